@@ -1,5 +1,10 @@
 import * as DataModel from './dataModel.js';
 import * as UIController from './uiController.js';
+import * as Calendar from './calendar.js';
+import * as Exporter from './exporter.js';
+import * as Importer from './importer.js';
+import * as EventLibrary from './eventLibrary.js';
+import * as EventFile from './eventFile.js';
 
 /**
  * App Controller Module
@@ -41,7 +46,7 @@ function addPlayerHandler() {
         // If players were already grouped, adding a new one invalidates groups/teams
         if (UIController.getUIState().isGrouped) {
             UIController.resetGroupsUI(); // Reset group/team UI elements
-            DataModel.setGroups({ A: [], B: [], C: [], D: [] }); // Reset data model groups
+            DataModel.setGroups(DataModel.createEmptyGroups()); // Reset data model groups
             DataModel.setTeams([]); // Reset data model teams
         }
     } else {
@@ -51,6 +56,47 @@ function addPlayerHandler() {
     }
 }
 
+/**
+ * Opens or closes the inline editor for a player in the player list.
+ * @param {string|null} playerId - The player to edit, or null to close the editor.
+ */
+function editPlayerHandler(playerId) {
+    UIController.getUIState().editingPlayerId = playerId;
+    UIController.displayPlayers();
+    if (playerId) {
+        const nameInput = UIController.getDOMElements().playerList.querySelector('.player-item-editing .edit-player-name');
+        if (nameInput) nameInput.focus();
+    }
+}
+
+/**
+ * Saves the inline edit of a player's name and handicap.
+ * Groups and teams keep the player; a warning is shown if the new handicap belongs in another group.
+ * @param {HTMLElement} item - The player list row being edited.
+ */
+function savePlayerEditHandler(item) {
+    UIController.clearError();
+    if (!UIController.validatePlayerEditUI(item)) return;
+
+    const playerId = item.getAttribute('data-player-id');
+    const result = DataModel.updatePlayer(
+        playerId,
+        item.querySelector('.edit-player-name').value,
+        item.querySelector('.edit-player-handicap').value
+    );
+    if (!result.valid) {
+        UIController.validatePlayerEditUI(item, result.errors);
+        return;
+    }
+
+    UIController.getUIState().editingPlayerId = null;
+    refreshHandicapViews();
+    UIController.displayScorecard();
+    if (result.groupChange) {
+        UIController.showError(`${result.player.name} is still in Group ${result.groupChange.from}, but the new handicap places them in Group ${result.groupChange.to}. Regroup the players to move them.`);
+    }
+}
+
 /**
  * Handles grouping players based on handicap.
  * Calls DataModel, updates UI state and displays.
@@ -73,6 +119,7 @@ function groupPlayersHandler() {
     DOMElements.selectTeamBtn.disabled = !canForm;
     DOMElements.selectAllBtn.disabled = !canForm;
     DOMElements.draftStyleSelectBtn.disabled = !canForm; 
+    DOMElements.optimizeTeamsBtn.disabled = !canForm;
 }
 
 /**
@@ -91,6 +138,7 @@ async function selectTeamHandler() {
         DOMElements.selectTeamBtn.disabled = true;
         DOMElements.selectAllBtn.disabled = true;
         DOMElements.draftStyleSelectBtn.disabled = true; 
+        DOMElements.optimizeTeamsBtn.disabled = true;
         return;
     }
     
@@ -98,6 +146,7 @@ async function selectTeamHandler() {
     DOMElements.selectTeamBtn.disabled = true;
     DOMElements.selectAllBtn.disabled = true;
     DOMElements.draftStyleSelectBtn.disabled = true;
+    DOMElements.optimizeTeamsBtn.disabled = true;
     
     // Perform animation (doesn't select players itself)
     await UIController.enhancedTeamSelectionAnimation(); 
@@ -109,6 +158,10 @@ async function selectTeamHandler() {
         // Update UI displays after data model changes
         UIController.displayGroups(); 
         UIController.displayTeams(); 
+        const warnings = [result.spreadWarning, result.ruleWarning].filter(Boolean);
+        if (warnings.length > 0) {
+            UIController.showError(warnings.join(' '));
+        }
     } else {
         UIController.showError(result.message || "Failed to select team.");
     }
@@ -118,6 +171,7 @@ async function selectTeamHandler() {
     DOMElements.selectTeamBtn.disabled = !canFormMore;
     DOMElements.selectAllBtn.disabled = !canFormMore;
     DOMElements.draftStyleSelectBtn.disabled = !canFormMore;
+    DOMElements.optimizeTeamsBtn.disabled = !canFormMore;
 }
 
 /**
@@ -134,7 +188,9 @@ async function selectAllTeamsHandler() {
     DOMElements.selectTeamBtn.disabled = true;
     DOMElements.selectAllBtn.disabled = true;
     DOMElements.draftStyleSelectBtn.disabled = true;
+    DOMElements.optimizeTeamsBtn.disabled = true;
 
+    DataModel.recordHistoryStep('Auto-select all teams');
     let teamsCreated = 0;
     while (DataModel.canFormTeam()) {
         const result = DataModel.selectTeam(); // Use basic selection logic
@@ -148,11 +204,17 @@ async function selectAllTeamsHandler() {
         }
     }
     
+    // Keep the final set of teams within the max handicap difference
+    const spreadResult = DataModel.enforceMaxHandicapDiff();
+
     // Update UI once after all selections
     UIController.displayGroups();
     UIController.displayTeams();
 
-    if (teamsCreated > 0) {
+    if (!spreadResult.withinLimit || spreadResult.ruleWarning) {
+         const warnings = [spreadResult.message, spreadResult.ruleWarning].filter(Boolean);
+         UIController.showError(`Auto-selected ${teamsCreated} teams. ${warnings.join(' ')}`);
+    } else if (teamsCreated > 0) {
          UIController.showError(`Auto-selected ${teamsCreated} teams.`);
     } else if (DataModel.getTeams().length > 0) {
          UIController.showError("No more teams could be formed.");
@@ -163,64 +225,269 @@ async function selectAllTeamsHandler() {
     DOMElements.selectTeamBtn.disabled = !canFormMore;
     DOMElements.selectAllBtn.disabled = !canFormMore;
     DOMElements.draftStyleSelectBtn.disabled = !canFormMore;
+    DOMElements.optimizeTeamsBtn.disabled = !canFormMore;
+}
+
+/**
+ * Handles forming and optimizing all remaining teams for the most even handicaps.
+ */
+function optimizeAllTeamsHandler() {
+    UIController.clearError();
+    if (!UIController.getUIState().isGrouped) {
+        UIController.showError("Please group players first.");
+        return;
+    }
+
+    const result = DataModel.optimizeAllTeams();
+    if (result.success) {
+        UIController.displayGroups();
+        UIController.displayTeams();
+        UIController.displayBalanceMetrics(result.before, result.after);
+
+        let message = `Optimized ${result.after.teamCount} teams (${result.teamsAdded} new).`;
+        if (!result.spreadResult.withinLimit) {
+            message += ` Maximum handicap difference of ${result.spreadResult.limit.toFixed(1)} could not be met. ` +
+                `Tightest spread reached: ${result.spreadResult.spread.toFixed(1)}.`;
+        }
+        if (result.ruleWarning) {
+            message += ` ${result.ruleWarning}`;
+        }
+        UIController.showError(message);
+    } else {
+        UIController.showError(result.message || "Failed to optimize teams.");
+    }
+
+    const DOMElements = UIController.getDOMElements();
+    const canFormMore = DataModel.canFormTeam();
+    DOMElements.selectTeamBtn.disabled = !canFormMore;
+    DOMElements.selectAllBtn.disabled = !canFormMore;
+    DOMElements.draftStyleSelectBtn.disabled = !canFormMore;
+    DOMElements.optimizeTeamsBtn.disabled = !canFormMore;
+}
+
+/**
+ * Enables the team forming buttons again if teams can still be formed.
+ */
+function restoreTeamFormingButtons() {
+    const DOMElements = UIController.getDOMElements();
+    const canForm = DataModel.canFormTeam();
+    DOMElements.selectTeamBtn.disabled = !canForm;
+    DOMElements.selectAllBtn.disabled = !canForm;
+    DOMElements.draftStyleSelectBtn.disabled = !canForm;
+    DOMElements.optimizeTeamsBtn.disabled = !canForm;
 }
 
 /**
- * Handles starting the interactive draft process.
+ * Handles opening the captain draft setup: turn order, pick clock and captains.
  */
 function startDraftStyleSelectionHandler() { 
     UIController.clearError(); 
     const UIState = UIController.getUIState();
     const DOMElements = UIController.getDOMElements();
 
+    const pausedDraft = DataModel.getInteractiveDraftState();
+    if (pausedDraft) {
+        DOMElements.draftStyleSelectBtn.disabled = true;
+        openDraftBoard(pausedDraft);
+        return;
+    }
     if (!UIState.isGrouped) { UIController.showError("Please group players first."); return; }
     if (!DataModel.canFormTeam()) { UIController.showError("Not enough players left to form teams."); return; }
 
     DOMElements.selectTeamBtn.disabled = true;
     DOMElements.selectAllBtn.disabled = true;
     DOMElements.draftStyleSelectBtn.disabled = true;
+    DOMElements.optimizeTeamsBtn.disabled = true;
+
+    UIController.showDraftSetupUI();
+    document.getElementById('startDraftBtn').addEventListener('click', startCaptainDraftHandler);
+    document.getElementById('cancelDraftSetupBtn').addEventListener('click', () => {
+        UIController.closeDraftSetupUI();
+        restoreTeamFormingButtons();
+    });
+}
 
-    const initResult = DataModel.initializeInteractiveDraft();
+/**
+ * Handles starting the captain draft with the options chosen in the setup overlay.
+ */
+function startCaptainDraftHandler() {
+    const initResult = DataModel.initializeInteractiveDraft(UIController.getDraftSetupOptions());
 
     if (initResult.success) {
-        UIController.startInteractiveDraftUI(initResult.draftState);
-        // Add listener to the dynamically created 'Next Pick' button
-        const nextPickBtn = document.getElementById('nextDraftPickBtn');
-        if (nextPickBtn) {
-            // Remove existing listener if any to prevent duplicates
-            nextPickBtn.removeEventListener('click', handleNextDraftPickHandler); 
-            nextPickBtn.addEventListener('click', handleNextDraftPickHandler);
-        }
+        UIController.closeDraftSetupUI();
+        saveDraftProgress();
+        openDraftBoard(initResult.draftState);
     } else {
         UIController.showError(initResult.message);
-        const canForm = DataModel.canFormTeam();
-        DOMElements.selectTeamBtn.disabled = !canForm;
-        DOMElements.selectAllBtn.disabled = !canForm;
-        DOMElements.draftStyleSelectBtn.disabled = !canForm;
     }
 }
 
 /**
- * Handles the click of the "Next Pick" button during the interactive draft.
+ * Shows the draft board for a new or resumed draft and starts the pick clock.
+ * @param {object} draftState - The draft state from DataModel.
+ */
+function openDraftBoard(draftState) {
+    UIController.startInteractiveDraftUI(draftState);
+    UIController.displayDraftButton();
+    // Add listeners to the dynamically created draft buttons
+    const overlay = document.getElementById('interactive-draft-overlay');
+    document.getElementById('nextDraftPickBtn').addEventListener('click', () => handleNextDraftPickHandler('auto'));
+    document.getElementById('undoDraftPickBtn').addEventListener('click', undoDraftPickHandler);
+    document.getElementById('redoDraftPickBtn').addEventListener('click', redoDraftPickHandler);
+    document.getElementById('pauseDraftBtn').addEventListener('click', pauseDraftHandler);
+    document.getElementById('cancelDraftBtn').addEventListener('click', cancelDraftHandler);
+    overlay.addEventListener('click', (event) => {
+        const pickButton = event.target.closest('.draft-pick-btn');
+        if (pickButton) captainPickHandler(pickButton.getAttribute('data-player-id'));
+    });
+    startDraftClock();
+}
+
+/**
+ * Saves after every change to the draft, so a refresh mid-draft can resume where it left off.
+ */
+function saveDraftProgress() {
+    saveCurrentEvent().then(result => {
+        if (!result.success) UIController.showError(result.message);
+    });
+}
+
+/**
+ * Starts the pick clock for the team on the clock, if the draft has one.
+ * When the clock runs out the pick is made automatically.
+ */
+function startDraftClock() {
+    stopDraftClock();
+    const draftState = DataModel.getInteractiveDraftState();
+    if (!draftState || !draftState.pickSeconds) return;
+
+    const UIState = UIController.getUIState();
+    let secondsLeft = draftState.pickSeconds;
+    UIController.updateDraftClock(secondsLeft);
+    UIState.draftClockTimer = setInterval(() => {
+        secondsLeft--;
+        UIController.updateDraftClock(secondsLeft);
+        if (secondsLeft <= 0) {
+            stopDraftClock();
+            handleNextDraftPickHandler('clock');
+        }
+    }, 1000);
+}
+
+/**
+ * Stops the pick clock, if it is running.
  */
-function handleNextDraftPickHandler() {
-    const pickResult = DataModel.makeInteractiveDraftPick();
+function stopDraftClock() {
+    const UIState = UIController.getUIState();
+    if (UIState.draftClockTimer) {
+        clearInterval(UIState.draftClockTimer);
+        UIState.draftClockTimer = null;
+    }
+    UIController.updateDraftClock(null);
+}
 
+/**
+ * Shows a draft pick, restarts the clock for the next team and finalizes the draft once every slot is filled.
+ * @param {object} pickResult - The result object from DataModel.makeCaptainPick or makeInteractiveDraftPick.
+ */
+function applyDraftPick(pickResult) {
     if (pickResult.success) {
         // Update UI to show the pick and highlight next slot
         UIController.updateDraftPickUI(pickResult); 
+        if (pickResult.ruleWarning) {
+            UIController.showError(pickResult.ruleWarning);
+        }
         
         // If draft is now complete, finalize
         if (pickResult.isDraftComplete) {
+            stopDraftClock();
             finalizeInteractiveDraftHandler();
+        } else {
+            startDraftClock();
         }
+        saveDraftProgress();
     } else {
         console.error("Draft pick failed:", pickResult.message); 
         UIController.showError(pickResult.message || "Failed to make draft pick.");
-        // Show close button on error
-        const closeButton = document.getElementById('closeDraftOverlayBtn');
-        if(closeButton) closeButton.style.display = 'block'; 
+        if (!DataModel.getInteractiveDraftState()) {
+            stopDraftClock();
+            // Show close button on error
+            const closeButton = document.getElementById('closeDraftOverlayBtn');
+            if(closeButton) closeButton.style.display = 'block'; 
+        }
+    }
+}
+
+/**
+ * Handles an automatic pick for the team on the clock, from the "Auto Pick" button or when the clock runs out.
+ * @param {string} [method='auto'] - 'auto' or 'clock', recorded in the pick log.
+ */
+function handleNextDraftPickHandler(method = 'auto') {
+    applyDraftPick(DataModel.makeInteractiveDraftPick(method));
+}
+
+/**
+ * Handles a captain picking a player from the available list.
+ * @param {string} playerId - The picked player.
+ */
+function captainPickHandler(playerId) {
+    UIController.clearError();
+    applyDraftPick(DataModel.makeCaptainPick(playerId));
+}
+
+/**
+ * Handles taking back the last pick; the team that made it is on the clock again.
+ */
+function undoDraftPickHandler() {
+    UIController.clearError();
+    const result = DataModel.undoDraftPick();
+    if (!result.success) {
+        UIController.showError(result.message);
+        return;
+    }
+    UIController.undoDraftPickUI(result);
+    startDraftClock();
+    saveDraftProgress();
+}
+
+/**
+ * Handles making the last undone pick again.
+ */
+function redoDraftPickHandler() {
+    UIController.clearError();
+    const result = DataModel.redoDraftPick();
+    if (!result.success) {
+        UIController.showError(result.message);
+        UIController.displayDraftPickUI(); // The redo list may have been cleared
+        return;
     }
+    applyDraftPick(result);
+}
+
+/**
+ * Handles pausing the draft: the board closes and the draft is saved until it is resumed.
+ */
+function pauseDraftHandler() {
+    stopDraftClock();
+    saveDraftProgress();
+    UIController.closeInteractiveDraftUI();
+    UIController.displayDraftButton();
+    UIController.getDOMElements().draftStyleSelectBtn.disabled = false;
+    UIController.showError("Draft paused. Click 'Resume Draft' to carry on.");
+}
+
+/**
+ * Handles cancelling the draft: no teams are formed and every player stays in their group.
+ */
+function cancelDraftHandler() {
+    if (!confirm("Cancel the draft? All picks will be discarded.")) return;
+    stopDraftClock();
+    DataModel.cancelInteractiveDraft();
+    saveDraftProgress();
+    UIController.closeInteractiveDraftUI();
+    UIController.displayDraftButton();
+    UIController.showError("Draft cancelled.");
+    restoreTeamFormingButtons();
 }
 
 /**
@@ -231,12 +498,21 @@ function finalizeInteractiveDraftHandler() {
     const DOMElements = UIController.getDOMElements();
 
     if (result.success) {
-         UIController.showError(`${result.teamsAdded} teams finalized from draft.`);
+         const spreadResult = result.spreadResult;
+         let message = `${result.teamsAdded} teams finalized from draft.`;
+         if (!spreadResult.withinLimit) {
+             message += ` ${spreadResult.message}`;
+         }
+         if (spreadResult.ruleWarning) {
+             message += ` ${spreadResult.ruleWarning}`;
+         }
+         UIController.showError(message);
          UIController.displayGroups(); 
          UIController.displayTeams(); 
          
          if (DataModel.getTeams().length > 0) {
              DOMElements.teeAssignmentTabButton.disabled = false;
+             DOMElements.scoringTabButton.disabled = false;
          }
     } else {
         UIController.showError(result.message || "Failed to finalize drafted teams.");
@@ -247,6 +523,7 @@ function finalizeInteractiveDraftHandler() {
     DOMElements.selectTeamBtn.disabled = !canFormMore;
     DOMElements.selectAllBtn.disabled = !canFormMore;
     DOMElements.draftStyleSelectBtn.disabled = !canFormMore; 
+    DOMElements.optimizeTeamsBtn.disabled = !canFormMore;
 }
 
 /**
@@ -271,50 +548,107 @@ function handleFileUpload(event) {
              UIController.showError("Error: Could not read file content.");
              return;
         }
-        processCSVHandler(contents); // Process the content
+        startImportHandler(contents); // Show the column mapping step
     };
     
     reader.readAsText(file);
  }
 
 /**
- * Processes the CSV content, adds players, and updates UI.
- * @param {string} csv - The CSV content as a string.
+ * Parses an import file and opens the column mapping step.
+ * @param {string} contents - The file contents.
  */
-function processCSVHandler(csv) { 
-    console.log("Processing CSV data..."); // Debug log
-    const result = DataModel.processCSV(csv);
-    console.log("CSV Processing Result:", result); // Debug log
-    
-    if (!result || result.errors.length > 0) { 
-        UIController.showError(`CSV Import Error: ${result ? result.errors[0] : 'Unknown processing error'}`);
+function startImportHandler(contents) {
+    const analysis = Importer.analyzeImport(contents);
+    if (analysis.rows.length === 0) {
+        UIController.showError(analysis.errors[0] || "The file has no player rows.");
+        UIController.getDOMElements().fileInput.value = '';
         return;
     }
+    UIController.getUIState().pendingImport = { text: contents, analysis };
+    UIController.displayImportMapping();
+}
+
+/**
+ * Handles toggling whether the first row of the pending import is a header.
+ * The columns are guessed again for the new layout.
+ */
+function importHeaderToggleHandler() {
+    const pending = UIController.getUIState().pendingImport;
+    if (!pending) return;
+    pending.analysis = Importer.analyzeImport(pending.text, this.checked);
+    UIController.displayImportMapping();
+}
+
+/**
+ * Handles changing which column a player field is read from.
+ * @param {Event} event - The change event from a column selector.
+ */
+function importMappingChangeHandler(event) {
+    const pending = UIController.getUIState().pendingImport;
+    const field = event.target.getAttribute('data-import-field');
+    if (!pending || !field) return;
+    if (event.target.value === '') {
+        delete pending.analysis.mapping[field];
+    } else {
+        pending.analysis.mapping[field] = parseInt(event.target.value);
+    }
+}
+
+/**
+ * Closes the column mapping step without importing.
+ */
+function cancelImportHandler() {
+    UIController.getUIState().pendingImport = null;
+    UIController.hideImportMapping();
+    UIController.getDOMElements().fileInput.value = '';
+}
+
+/**
+ * Builds the import preview from the chosen column mapping.
+ */
+function previewImportHandler() {
+    const pending = UIController.getUIState().pendingImport;
+    if (!pending) return;
+    UIController.clearError();
+    const preview = DataModel.previewImport(pending.text, { mapping: pending.analysis.mapping, hasHeader: pending.analysis.hasHeader });
+    console.log("Import preview:", preview); // Debug log
+    if (preview.errors.length > 0) {
+        UIController.showError(`CSV Import Error: ${preview.errors[0]}`);
+        return;
+    }
+    if (preview.rows.length === 0) {
+        UIController.showError("The file has no player rows.");
+        return;
+    }
+    pending.preview = preview;
+    UIController.displayImportPreview();
+}
+
+/**
+ * Applies the previewed import, then updates the UI.
+ * Adding players resets any groups and teams, as a manual add does.
+ */
+function applyImportHandler() {
+    const pending = UIController.getUIState().pendingImport;
+    if (!pending || !pending.preview) return;
+    const result = DataModel.applyImport(pending.preview.rows);
     
-    // Add imported players
-    const currentPlayers = DataModel.getPlayers();
-    console.log("Players before import:", currentPlayers); // Debug log
-    const combinedPlayers = currentPlayers.concat(result.players);
-    console.log("Players to set after import:", combinedPlayers); // Debug log
-    DataModel.setPlayers(combinedPlayers);
-    
-    // Update UI
-    console.log("Calling UIController.displayPlayers after CSV import..."); // Debug log
     UIController.displayPlayers();
-    console.log("UIController.displayPlayers finished."); // Debug log
-    
-    // Reset groups if necessary
-    if (UIController.getUIState().isGrouped) {
+    if (result.added > 0 && UIController.getUIState().isGrouped) {
         console.log("Resetting groups after CSV import."); // Debug log
         UIController.resetGroupsUI();
-        DataModel.setGroups({ A: [], B: [], C: [], D: [] }); 
+        DataModel.setGroups(DataModel.createEmptyGroups()); 
         DataModel.setTeams([]); 
+    } else if (result.updated > 0) {
+        UIController.displayGroups();
+        UIController.displayTeams();
     }
     
-    // Clear file input
-    UIController.getDOMElements().fileInput.value = '';
-    UIController.showError(`Imported ${result.players.length} players successfully.`);
- }
+    // Close the import steps and clear file input
+    cancelImportHandler();
+    UIController.showError(`Import complete: ${result.added} added, ${result.updated} updated, ${result.skipped} skipped.`);
+}
 
 /**
  * Handles resetting all application data and UI elements.
@@ -339,6 +673,7 @@ function resetAllHandler() {
 function initTeeAssignmentUI() { 
     UIController.clearError();
     // These functions read from DataModel and update the UI
+    UIController.displayCourseProfiles();
     UIController.displayUnassignedTeams();
     UIController.updateHoleDisplays();
     UIController.updateTeeSheet();
@@ -355,7 +690,7 @@ function autoAssignTeamsHandler() {
         UIController.updateHoleDisplays();
         UIController.updateTeeSheet();
         UIController.selectTeamForAssignment(null); 
-        UIController.showError("Teams auto-assigned sequentially.");
+        UIController.showError(result.message || "Teams auto-assigned sequentially.");
     } else {
         UIController.showError(result.message || "Auto-assignment failed.");
     }
@@ -372,7 +707,7 @@ function randomizeTeamAssignmentsHandler() {
          UIController.updateHoleDisplays();
          UIController.updateTeeSheet();
          UIController.selectTeamForAssignment(null); 
-         UIController.showError("Tee assignments randomized.");
+         UIController.showError(result.message || "Tee assignments randomized.");
      } else {
          UIController.showError(result.message || "Random assignment failed.");
      }
@@ -384,6 +719,7 @@ function randomizeTeamAssignmentsHandler() {
 function resetAssignmentsHandler() { 
     if (confirm("Are you sure you want to clear all hole assignments?")) {
         UIController.clearError();
+        DataModel.recordHistoryStep('Clear hole assignments');
         DataModel.setHoleAssignments({}); 
         UIController.displayUnassignedTeams();
         UIController.updateHoleDisplays();
@@ -394,94 +730,926 @@ function resetAssignmentsHandler() {
  }
 
 /**
- * Handles printing the tee sheet.
+ * Handles adding a pairing rule from the pairing rule form.
  */
-function printTeeSheetHandler() { 
-    window.print();
- }
+function addPairingRuleHandler() {
+    UIController.clearError();
+    const DOMElements = UIController.getDOMElements();
+    const result = DataModel.addPairingRule(
+        DOMElements.pairingRuleType.value,
+        DOMElements.pairingRulePlayerA.value,
+        DOMElements.pairingRulePlayerB.value
+    );
+    if (!result.success) {
+        UIController.showError(result.message);
+        return;
+    }
+    UIController.displayPairingRules();
+    if (result.issue) {
+        UIController.showError(`This rule cannot be met: ${result.issue}`);
+    }
+}
 
 /**
- * Sets up all primary event listeners for the application.
+ * Refreshes the team, group, tee assignment and scoring displays after teams were edited by hand,
+ * and updates the team selection buttons.
  */
-function setupEventListeners() {
+function refreshTeamEditViews() {
+    UIController.displayTeams();
+    if (UIController.getUIState().isGrouped) {
+        UIController.displayGroups();
+    }
+    UIController.displayUnassignedTeams();
+    UIController.updateHoleDisplays();
+    UIController.updateTeeSheet();
+    UIController.displayScorecard();
+
+    const canForm = DataModel.canFormTeam();
     const DOMElements = UIController.getDOMElements();
-    
-    // Tab navigation
-    DOMElements.tabButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            DOMElements.tabButtons.forEach(btn => btn.classList.remove('active'));
-            DOMElements.tabContents.forEach(content => content.classList.remove('active'));
-            
-            this.classList.add('active');
-            const tabId = this.getAttribute('data-tab');
-            const activeContent = document.getElementById(tabId);
-            if (activeContent) {
-                activeContent.classList.add('active');
-                if (tabId === 'teeAssignmentTab') {
-                    initTeeAssignmentUI(); 
-                }
-            }
-        });
-    });
-    
-    // Player Input
-    DOMElements.addPlayerBtn.addEventListener('click', addPlayerHandler);
-    DOMElements.resetBtn.addEventListener('click', resetAllHandler);
-    DOMElements.fileInput.addEventListener('change', handleFileUpload);
-    DOMElements.playerHandicapInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') addPlayerHandler(); });
-    DOMElements.playerNameInput.addEventListener('input', UIController.validateNameInputUI);
-    DOMElements.playerHandicapInput.addEventListener('input', UIController.validateHandicapInputUI);
-    // Player list remove buttons (using event delegation)
-    DOMElements.playerList.addEventListener('click', (event) => {
-        if (event.target.classList.contains('remove-btn')) {
-            const playerItem = event.target.closest('.player-item');
-            if (playerItem) {
-                const index = parseInt(playerItem.getAttribute('data-index'));
-                 if (confirm(`Are you sure you want to remove ${DataModel.getPlayers()[index]?.name}?`)) {
-                    DataModel.removePlayer(index);
-                    UIController.displayPlayers(); 
-                    if (UIController.getUIState().isGrouped) {
-                         UIController.resetGroupsUI(); 
-                         DataModel.setGroups({ A: [], B: [], C: [], D: [] }); 
-                         DataModel.setTeams([]); 
-                    }
-                }
-            }
-        }
-    });
+    DOMElements.selectTeamBtn.disabled = !canForm;
+    DOMElements.selectAllBtn.disabled = !canForm;
+    DOMElements.draftStyleSelectBtn.disabled = !canForm;
+    DOMElements.optimizeTeamsBtn.disabled = !canForm;
+}
 
-    // Grouping and Team Selection
-    DOMElements.groupPlayersBtn.addEventListener('click', groupPlayersHandler);
-    DOMElements.selectTeamBtn.addEventListener('click', selectTeamHandler); 
-    DOMElements.selectAllBtn.addEventListener('click', selectAllTeamsHandler);
-    DOMElements.draftStyleSelectBtn.addEventListener('click', startDraftStyleSelectionHandler); 
-    
-    // Tee Assignment
-    DOMElements.autoAssignBtn.addEventListener('click', autoAssignTeamsHandler);
-    DOMElements.randomAssignBtn.addEventListener('click', randomizeTeamAssignmentsHandler);
-    DOMElements.resetAssignmentBtn.addEventListener('click', resetAssignmentsHandler);
-    DOMElements.printTeeSheetBtn.addEventListener('click', printTeeSheetHandler);
-    // Tee Assignment - Manual Assignment (using event delegation on layout container)
-    DOMElements.courseLayout.addEventListener('click', (event) => {
-        const holeBox = event.target.closest('.hole-box');
-        if (holeBox) {
-            const selectedTeamId = UIController.getUIState().selectedTeamId;
-            if (selectedTeamId) {
-                const holeNumber = parseInt(holeBox.getAttribute('data-hole'));
-                const assignResult = DataModel.assignTeamToHole(selectedTeamId, holeNumber); 
-                if (assignResult.success) {
-                    UIController.displayUnassignedTeams(); 
-                    UIController.updateHoleDisplays(); 
-                    UIController.updateTeeSheet(); 
-                    UIController.selectTeamForAssignment(null); // Deselect
-                } else {
-                    UIController.showError(assignResult.message); 
-                }
-            } else if (!event.target.classList.contains('hole-team')) { // Don't show error if clicking on an assigned team
-                UIController.showError("Select a team from the 'Unassigned Teams' list first.");
-            }
-        }
-    });
+/**
+ * Handles the swap buttons on team cards. The first click picks a player, the second
+ * click on a same-group player of another team swaps them; clicking the picked player again cancels.
+ * @param {string} playerId - The player whose swap button was clicked.
+ */
+function swapPlayerHandler(playerId) {
+    UIController.clearError();
+    const UIState = UIController.getUIState();
+    if (!UIState.swapPlayerId || UIState.swapPlayerId === playerId) {
+        UIState.swapPlayerId = UIState.swapPlayerId === playerId ? null : playerId;
+        UIController.displayTeams();
+        return;
+    }
+    const result = DataModel.swapTeamPlayers(UIState.swapPlayerId, playerId);
+    UIState.swapPlayerId = null;
+    if (!result.success) {
+        UIController.displayTeams();
+        UIController.showError(result.message);
+        return;
+    }
+    refreshTeamEditViews();
+}
+
+/**
+ * Handles moving a player still waiting in a group onto a team.
+ * @param {number} teamId - The team to move the player to.
+ * @param {string} playerId - The waiting player.
+ */
+function movePlayerToTeamHandler(teamId, playerId) {
+    UIController.clearError();
+    const result = DataModel.movePlayerToTeam(playerId, teamId);
+    if (!result.success) {
+        UIController.displayTeams();
+        UIController.showError(result.message);
+        return;
+    }
+    UIController.getUIState().swapPlayerId = null;
+    refreshTeamEditViews();
+    if (result.replacedPlayer) {
+        UIController.showError(`${result.replacedPlayer.name} was moved back to their group.`);
+    }
+}
+
+/**
+ * Handles moving a grouped player to another group from the group lists.
+ * @param {string} playerId - The player to move.
+ * @param {string} groupLetter - The group to move them to.
+ */
+function movePlayerToGroupHandler(playerId, groupLetter) {
+    UIController.clearError();
+    const result = DataModel.movePlayerToGroup(playerId, groupLetter);
+    if (!result.success) {
+        UIController.displayGroups();
+        UIController.showError(result.message);
+        return;
+    }
+    refreshTeamEditViews();
+}
+
+/**
+ * Handles dissolving a team after confirmation.
+ * @param {number} teamId - The team to dissolve.
+ */
+function dissolveTeamHandler(teamId) {
+    UIController.clearError();
+    if (!confirm(`Dissolve Team ${teamId}? Its players go back to their groups and its scores and hole assignment are cleared.`)) return;
+    const result = DataModel.dissolveTeam(teamId);
+    if (!result.success) {
+        UIController.showError(result.message);
+        return;
+    }
+    UIController.getUIState().swapPlayerId = null;
+    refreshTeamEditViews();
+}
+
+/**
+ * Refreshes the player, group and team displays after a change that affects playing handicaps.
+ */
+function refreshHandicapViews() {
+    UIController.displayCourseProfiles();
+    UIController.displayPlayers();
+    if (UIController.getUIState().isGrouped) {
+        UIController.displayGroups();
+    }
+    UIController.displayTeams();
+    UIController.updateTeeSheet();
+}
+
+/**
+ * Refreshes every tee assignment view after the course profile changes.
+ * @param {boolean} [assignmentsCleared] - Whether the change cleared hole assignments.
+ */
+function refreshCourseViews(assignmentsCleared = false) {
+    refreshHandicapViews();
+    UIController.refreshCourseLayout();
+    UIController.displayUnassignedTeams();
+    UIController.selectTeamForAssignment(null);
+    if (assignmentsCleared) {
+        UIController.showError("Hole assignments were cleared because they do not fit the selected course.");
+    }
+}
+
+/**
+ * Handles selecting a different course profile.
+ * @param {Event} event - The select change event.
+ */
+function selectCourseProfileHandler(event) {
+    UIController.clearError();
+    const result = DataModel.selectCourseProfile(event.target.value);
+    if (!result.success) {
+        UIController.showError(result.message);
+    }
+    refreshCourseViews(result.assignmentsCleared);
+}
+
+/**
+ * Handles adding a new course profile from the name and hole count inputs.
+ */
+function addCourseProfileHandler() {
+    UIController.clearError();
+    const DOMElements = UIController.getDOMElements();
+    const holeCount = parseInt(DOMElements.newCourseHoles.value);
+    const result = DataModel.addCourseProfile(DOMElements.newCourseName.value, holeCount);
+    if (result.success) {
+        DOMElements.newCourseName.value = '';
+        refreshCourseViews();
+        UIController.showError(`Added ${result.profile.name}. Edit its holes below.` +
+            (result.assignmentsCleared ? " Hole assignments were cleared because they do not fit the new course." : ''));
+    } else {
+        UIController.showError(result.message);
+    }
+}
+
+/**
+ * Handles renaming the selected course profile.
+ */
+function renameCourseProfileHandler() {
+    UIController.clearError();
+    const profile = DataModel.getCourseProfile();
+    const newName = prompt("New name for this course:", profile.name);
+    if (newName === null) return; // Cancelled
+    const result = DataModel.renameCourseProfile(profile.id, newName);
+    if (result.success) {
+        refreshCourseViews();
+    } else {
+        UIController.showError(result.message);
+    }
+}
+
+/**
+ * Handles deleting the selected course profile.
+ */
+function deleteCourseProfileHandler() {
+    const profile = DataModel.getCourseProfile();
+    if (confirm(`Are you sure you want to delete the course profile "${profile.name}"?`)) {
+        UIController.clearError();
+        const result = DataModel.deleteCourseProfile(profile.id);
+        if (result.success) {
+            refreshCourseViews(result.assignmentsCleared);
+        } else {
+            UIController.showError(result.message);
+        }
+    }
+}
+
+/**
+ * Handles edits in the course hole table (event delegation).
+ * @param {Event} event - The input change event.
+ */
+function courseHoleChangeHandler(event) {
+    const input = event.target;
+    if (!input.hasAttribute('data-field')) return;
+    UIController.clearError();
+    const result = DataModel.updateCourseHole(
+        DataModel.getCourseProfile().id,
+        parseInt(input.getAttribute('data-hole')),
+        input.getAttribute('data-field'),
+        input.value
+    );
+    if (!result.success) {
+        UIController.showError(result.message);
+    }
+    refreshCourseViews(); // Also reverts invalid input and shows stroke index swaps
+}
+
+/**
+ * Handles adding a tee set to the selected course.
+ */
+function addTeeSetHandler() {
+    UIController.clearError();
+    const DOMElements = UIController.getDOMElements();
+    const result = DataModel.addTeeSet(
+        DataModel.getCourseProfile().id,
+        DOMElements.newTeeName.value,
+        DOMElements.newTeeSlope.value,
+        DOMElements.newTeeRating.value
+    );
+    if (result.success) {
+        DOMElements.newTeeName.value = '';
+        UIController.displayCourseProfiles();
+    } else {
+        UIController.showError(result.message);
+    }
+}
+
+/**
+ * Handles edits and removals in the tee sets table (event delegation).
+ * @param {Event} event - The change or click event.
+ */
+function teeSetTableHandler(event) {
+    const row = event.target.closest('tr[data-tee-id]');
+    if (!row) return;
+    const teeSetId = row.getAttribute('data-tee-id');
+    const profileId = DataModel.getCourseProfile().id;
+    let result;
+
+    if (event.type === 'click' && event.target.classList.contains('remove-btn')) {
+        UIController.clearError();
+        result = DataModel.removeTeeSet(profileId, teeSetId);
+    } else if (event.type === 'change' && event.target.hasAttribute('data-field')) {
+        UIController.clearError();
+        const slope = row.querySelector('[data-field="slope"]').value;
+        const courseRating = row.querySelector('[data-field="courseRating"]').value;
+        result = DataModel.updateTeeSet(profileId, teeSetId, slope, courseRating);
+    } else {
+        return;
+    }
+
+    if (!result.success) {
+        UIController.showError(result.message);
+    }
+    refreshHandicapViews();
+}
+
+/**
+ * Handles score edits in the scorecard table (event delegation).
+ * @param {Event} event - The input change event.
+ */
+function scoreChangeHandler(event) {
+    const input = event.target;
+    if (!input.hasAttribute('data-hole')) return;
+    UIController.clearError();
+    const result = DataModel.setPlayerScore(
+        input.getAttribute('data-player-id'),
+        parseInt(input.getAttribute('data-hole')),
+        input.value
+    );
+    if (!result.success) {
+        UIController.showError(result.message);
+    }
+    UIController.displayScorecard(); // Refreshes totals and missing holes, reverts invalid input
+}
+
+/**
+ * Handles per-hole "balls that count" edits in the scorecard header (event delegation).
+ * @param {Event} event - The input change event.
+ */
+function holeBallsToCountHandler(event) {
+    const input = event.target;
+    if (!input.hasAttribute('data-balls-hole')) return;
+    UIController.clearError();
+    const result = DataModel.setHoleBallsToCount(parseInt(input.getAttribute('data-balls-hole')), input.value);
+    if (!result.success) {
+        UIController.showError(result.message);
+    }
+    UIController.displayScorecard();
+}
+
+/**
+ * Handles setting balls that count on every hole from the par 3/4/5 inputs.
+ */
+function applyBallsByParHandler() {
+    UIController.clearError();
+    const inputs = UIController.getDOMElements().ballsByParInputs;
+    const countsByPar = {};
+    for (const par in inputs) {
+        if (inputs[par].value.trim() !== '') countsByPar[par] = inputs[par].value;
+    }
+    const result = DataModel.setBallsToCountByPar(countsByPar);
+    if (!result.success) {
+        UIController.showError(result.message);
+    }
+    UIController.displayScorecard();
+}
+
+/**
+ * Handles clearing all scores for the selected scoring team.
+ */
+function clearTeamScoresHandler() {
+    const teamId = UIController.getUIState().scoringTeamId;
+    if (teamId !== null && confirm(`Are you sure you want to clear all scores for Team ${teamId}?`)) {
+        UIController.clearError();
+        DataModel.clearTeamScores(teamId);
+        UIController.displayScorecard();
+    }
+}
+
+/**
+ * Handles a change to the skins pots or carryover setting.
+ * @param {string} key - The skins setting to update.
+ * @param {string|boolean} value - The new value.
+ */
+function updateSkinsSettingHandler(key, value) {
+    UIController.clearError();
+    const result = DataModel.updateSkinsSetting(key, value);
+    if (!result.success) UIController.showError(result.message);
+    UIController.displayScorecard();
+}
+
+/**
+ * Handles printing the tee sheet.
+ */
+function printTeeSheetHandler() { 
+    window.print();
+ }
+
+/**
+ * Handles a CSV/TSV export, using the format chosen in the export format select.
+ * @param {string} name - Base file name (e.g. 'roster').
+ * @param {function(string): string} buildExport - Builds the file contents for a delimiter.
+ * @param {boolean} isEmpty - True if there is nothing to export.
+ * @param {string} emptyMessage - Error shown when there is nothing to export.
+ */
+function exportDelimitedHandler(name, buildExport, isEmpty, emptyMessage) {
+    UIController.clearError();
+    if (isEmpty) {
+        UIController.showError(emptyMessage);
+        return;
+    }
+    const tsv = UIController.getDOMElements().exportFormatSelect.value === 'tsv';
+    const content = buildExport(tsv ? '\t' : ',');
+    UIController.downloadFile(`${name}.${tsv ? 'tsv' : 'csv'}`, content,
+        tsv ? 'text/tab-separated-values;charset=utf-8' : 'text/csv;charset=utf-8');
+}
+
+/**
+ * Handles exporting the tee sheet as an iCalendar file.
+ */
+function exportCalendarHandler() {
+    UIController.clearError();
+    const result = Calendar.buildTeeSheetCalendar();
+    if (result.success) {
+        UIController.downloadFile(`tee-sheet-${DataModel.getSettings().eventDate}.ics`, result.content, 'text/calendar;charset=utf-8');
+        UIController.showError(`Exported ${result.eventCount} tee time(s) to the calendar file.`);
+    } else {
+        UIController.showError(result.message);
+    }
+}
+
+/**
+ * Saves the open event to the event library.
+ * @returns {Promise<{success: boolean, message?: string}>} Result object.
+ */
+async function saveCurrentEvent() {
+    const currentEvent = UIController.getUIState().currentEvent;
+    if (!currentEvent) {
+        return { success: false, message: "The event library is not available, so this event cannot be saved." };
+    }
+    return EventLibrary.saveEvent(currentEvent.id, DataModel.getEventData());
+}
+
+/**
+ * Makes a stored event the open one and shows it. Nothing changes if the event's data has errors.
+ * @param {object} event - The event from the event library, with its data.
+ * @returns {Promise<{success: boolean, warnings?: Array<string>, message?: string, errors?: Array<string>}>} Result object;
+ *          warnings describe what was reset or removed while loading.
+ */
+async function showEvent(event) {
+    const loadResult = DataModel.loadEventData(event.data);
+    if (!loadResult.success) {
+        return { success: false, message: `"${event.name}" could not be opened. ${loadResult.message}`, errors: loadResult.errors || [] };
+    }
+    UIController.getUIState().currentEvent = { id: event.id, name: event.name };
+    UIController.displayCurrentEvent();
+    refreshAllViews();
+    const result = await EventLibrary.setCurrentEventId(event.id);
+    return result.success ? { success: true, warnings: loadResult.warnings } : result;
+}
+
+/**
+ * Opens the event that was open last. On the first visit the current (empty) event is stored
+ * as the first event in the library.
+ * @returns {Promise<{success: boolean, message?: string}>} Result object.
+ */
+async function openLastEvent() {
+    const currentEventId = await EventLibrary.getCurrentEventId();
+    const stored = currentEventId ? await EventLibrary.getEvent(currentEventId) : { success: false };
+    if (stored.success) return showEvent(stored.event);
+
+    const listResult = await EventLibrary.listEvents();
+    if (!listResult.success) return listResult;
+    if (listResult.events.length > 0) { // The last open event is gone; open the latest one instead
+        const latest = await EventLibrary.getEvent(listResult.events[0].id);
+        return latest.success ? showEvent(latest.event) : latest;
+    }
+    const created = await EventLibrary.createEvent(`Event ${DataModel.getSettings().eventDate}`, DataModel.getEventData());
+    return created.success ? showEvent(created.event) : created;
+}
+
+/**
+ * Lists the stored events in the event library.
+ */
+async function refreshEventLibrary() {
+    const result = await EventLibrary.listEvents();
+    if (result.success) {
+        UIController.displayEventLibrary(result.events);
+    } else {
+        UIController.showEventLibraryMessage(result.message);
+    }
+}
+
+/**
+ * Handles creating a new, empty event and opening it. The open event is saved first.
+ */
+async function createEventHandler() {
+    const DOMElements = UIController.getDOMElements();
+    const saveResult = await saveCurrentEvent();
+    if (!saveResult.success) { UIController.showEventLibraryMessage(saveResult.message); return; }
+
+    const created = await EventLibrary.createEvent(DOMElements.newEventName.value, DataModel.createNewEventData());
+    if (!created.success) { UIController.showEventLibraryMessage(created.message); return; }
+    const result = await showEvent(created.event);
+    if (!result.success) { UIController.showEventLibraryMessage(result.message); return; }
+    UIController.closeEventLibrary();
+    UIController.showError(`Created and opened "${created.event.name}".`);
+}
+
+/**
+ * Handles opening a stored event. The open event is saved first.
+ * @param {string} eventId - The event to open.
+ */
+async function openEventHandler(eventId) {
+    const saveResult = await saveCurrentEvent();
+    if (!saveResult.success) { UIController.showEventLibraryMessage(saveResult.message); return; }
+
+    const stored = await EventLibrary.getEvent(eventId);
+    if (!stored.success) { UIController.showEventLibraryMessage(stored.message); return; }
+    const result = await showEvent(stored.event);
+    if (!result.success) { UIController.showEventLibraryMessage(result.message, result.errors); return; }
+    if (result.warnings.length > 0) {
+        UIController.showEventLibraryMessage(`Opened "${stored.event.name}". Some of its data was reset or removed:`, result.warnings);
+        await refreshEventLibrary();
+        return;
+    }
+    UIController.closeEventLibrary();
+    UIController.showError(`Opened "${stored.event.name}".`);
+}
+
+/**
+ * Handles renaming an event.
+ * @param {string} eventId - The event to rename.
+ */
+async function renameEventHandler(eventId) {
+    const stored = await EventLibrary.getEvent(eventId);
+    if (!stored.success) { UIController.showEventLibraryMessage(stored.message); return; }
+    const name = prompt("New name for the event:", stored.event.name);
+    if (name === null) return;
+
+    const result = await EventLibrary.renameEvent(eventId, name);
+    if (!result.success) { UIController.showEventLibraryMessage(result.message); return; }
+    const currentEvent = UIController.getUIState().currentEvent;
+    if (currentEvent && currentEvent.id === eventId) {
+        currentEvent.name = result.name;
+        UIController.displayCurrentEvent();
+    }
+    UIController.showEventLibraryMessage(`Renamed to "${result.name}".`);
+    await refreshEventLibrary();
+}
+
+/**
+ * Handles copying an event. Copying the open event saves it first, so the copy has its latest changes.
+ * @param {string} eventId - The event to copy.
+ */
+async function duplicateEventHandler(eventId) {
+    const currentEvent = UIController.getUIState().currentEvent;
+    if (currentEvent && currentEvent.id === eventId) {
+        const saveResult = await saveCurrentEvent();
+        if (!saveResult.success) { UIController.showEventLibraryMessage(saveResult.message); return; }
+    }
+    const result = await EventLibrary.duplicateEvent(eventId);
+    UIController.showEventLibraryMessage(result.success ? `Created "${result.event.name}".` : result.message);
+    await refreshEventLibrary();
+}
+
+/**
+ * Handles downloading an event as an event file. The open event is exported as it is now, saved or not.
+ * @param {string} eventId - The event to export.
+ */
+async function exportEventFileHandler(eventId) {
+    const stored = await EventLibrary.getEvent(eventId);
+    if (!stored.success) { UIController.showEventLibraryMessage(stored.message); return; }
+    const currentEvent = UIController.getUIState().currentEvent;
+    const data = currentEvent && currentEvent.id === eventId ? DataModel.getEventData() : stored.event.data;
+    UIController.downloadFile(EventFile.getEventFileName(stored.event.name), EventFile.buildEventFile(stored.event.name, data),
+        'application/json;charset=utf-8');
+    UIController.showEventLibraryMessage(`Exported "${stored.event.name}".`);
+}
+
+/**
+ * Handles choosing an event file to import. A valid file becomes a new event, named as in the file
+ * (or after the file), which is then opened. The open event is saved first.
+ * @param {Event} event - The file input change event.
+ */
+function importEventFileHandler(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = ''; // Lets the same file be chosen again after it is fixed
+
+    const reader = new FileReader();
+    reader.onerror = function(e) {
+        console.error("FileReader error:", e.target.error);
+        UIController.showEventLibraryMessage(`Error reading file: ${e.target.error.name}`);
+    };
+    reader.onload = async function(e) {
+        const parsed = EventFile.parseEventFile(e.target.result);
+        if (!parsed.success) {
+            UIController.showEventLibraryMessage(`"${file.name}" was not imported. ${parsed.message}`, parsed.errors);
+            return;
+        }
+        const saveResult = await saveCurrentEvent();
+        if (!saveResult.success) { UIController.showEventLibraryMessage(saveResult.message); return; }
+
+        const name = await EventLibrary.getUnusedEventName(parsed.eventName || file.name.replace(/(\.event)?\.json$/i, ''));
+        const created = await EventLibrary.createEvent(name, parsed.data);
+        if (!created.success) { UIController.showEventLibraryMessage(created.message); return; }
+        const result = await showEvent(created.event);
+        if (!result.success) { UIController.showEventLibraryMessage(result.message, result.errors); return; }
+
+        const upgraded = parsed.migratedFrom ? ` It was upgraded from version ${parsed.migratedFrom} of the event format.` : '';
+        UIController.showEventLibraryMessage(`Imported and opened "${name}".${upgraded}`, [...parsed.warnings, ...result.warnings]);
+        await refreshEventLibrary();
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Handles deleting an event after confirmation.
+ * @param {string} eventId - The event to delete.
+ */
+async function deleteEventHandler(eventId) {
+    const stored = await EventLibrary.getEvent(eventId);
+    if (!stored.success) { UIController.showEventLibraryMessage(stored.message); return; }
+    if (!confirm(`Delete "${stored.event.name}"? Its players, teams and scores cannot be recovered.`)) return;
+
+    const result = await EventLibrary.deleteEvent(eventId);
+    UIController.showEventLibraryMessage(result.success ? `Deleted "${stored.event.name}".` : result.message);
+    await refreshEventLibrary();
+}
+
+/**
+ * Updates every view from the data model, after saved data is loaded or the history moves.
+ */
+function refreshAllViews() {
+    const DOMElements = UIController.getDOMElements();
+    UIController.displayPlayers();
+    UIController.displayGroups();
+    UIController.displayTeams();
+    UIController.getUIState().isGrouped = DataModel.getTeams().length > 0 || DataModel.getInteractiveDraftState() !== null ||
+        DataModel.getGroupLetters().some(letter => DataModel.getGroups()[letter].length > 0); // Update grouped state
+    const canForm = DataModel.canFormTeam();
+    DOMElements.selectTeamBtn.disabled = !canForm;
+    DOMElements.selectAllBtn.disabled = !canForm;
+    DOMElements.draftStyleSelectBtn.disabled = !canForm && !DataModel.getInteractiveDraftState(); // A saved draft can be resumed
+    DOMElements.optimizeTeamsBtn.disabled = !canForm;
+    DOMElements.showBracketBtn.disabled = DataModel.getTeams().length < 2;
+    DOMElements.teeAssignmentTabButton.disabled = DataModel.getTeams().length === 0;
+    DOMElements.scoringTabButton.disabled = DataModel.getTeams().length === 0;
+    // Update settings UI
+    DOMElements.balanceTeamsToggle.checked = DataModel.getSettings().balanceTeams;
+    DOMElements.maxHandicapDiff.value = DataModel.getSettings().maxHandicapDiff;
+    DOMElements.startFormatSelect.value = DataModel.getSettings().startFormat;
+    DOMElements.startTimeInput.value = DataModel.getSettings().startTime;
+    DOMElements.timeIntervalInput.value = DataModel.getSettings().timeInterval;
+    DOMElements.eventDateInput.value = DataModel.getSettings().eventDate;
+    UIController.displayDrawSeed();
+    UIController.displayTeamSize();
+    UIController.displayCourseProfiles();
+    UIController.refreshCourseLayout();
+    // Update tee assignment UI if that tab is active
+    if (document.getElementById('teeAssignmentTab').classList.contains('active')) {
+        initTeeAssignmentUI(); 
+    }
+    UIController.displayScorecard();
+}
+
+/**
+ * Handles undoing the most recent changes.
+ * @param {number} steps - How many steps to undo.
+ */
+function undoHandler(steps) {
+    UIController.clearError();
+    const result = DataModel.undoChange(steps);
+    if (result.success) {
+        refreshAllViews();
+        UIController.showError(`Undone: ${result.labels.join(', ')}.`);
+    } else {
+        UIController.showError(result.message);
+    }
+}
+
+/**
+ * Handles redoing undone changes.
+ * @param {number} steps - How many steps to redo.
+ */
+function redoHandler(steps) {
+    UIController.clearError();
+    const result = DataModel.redoChange(steps);
+    if (result.success) {
+        refreshAllViews();
+        UIController.showError(`Redone: ${result.labels.join(', ')}.`);
+    } else {
+        UIController.showError(result.message);
+    }
+}
+
+/**
+ * Handles the undo (Ctrl+Z) and redo (Ctrl+Shift+Z or Ctrl+Y) shortcuts; Cmd replaces Ctrl on a Mac.
+ * Text fields keep their own undo.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function historyShortcutHandler(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const target = event.target;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoHandler(1);
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redoHandler(1);
+    }
+}
+
+/**
+ * Sets up all primary event listeners for the application.
+ */
+function setupEventListeners() {
+    const DOMElements = UIController.getDOMElements();
+    
+    // Tab navigation
+    DOMElements.tabButtons.forEach(button => {
+        button.addEventListener('click', function() {
+            DOMElements.tabButtons.forEach(btn => btn.classList.remove('active'));
+            DOMElements.tabContents.forEach(content => content.classList.remove('active'));
+            
+            this.classList.add('active');
+            const tabId = this.getAttribute('data-tab');
+            const activeContent = document.getElementById(tabId);
+            if (activeContent) {
+                activeContent.classList.add('active');
+                if (tabId === 'teeAssignmentTab') {
+                    initTeeAssignmentUI(); 
+                } else if (tabId === 'courseTab') {
+                    UIController.displayCourseProfiles();
+                } else if (tabId === 'scoringTab') {
+                    UIController.displayScorecard();
+                }
+            }
+        });
+    });
+    
+    // Player Input
+    DOMElements.addPlayerBtn.addEventListener('click', addPlayerHandler);
+    DOMElements.resetBtn.addEventListener('click', resetAllHandler);
+    DOMElements.fileInput.addEventListener('change', handleFileUpload);
+    DOMElements.importHasHeader.addEventListener('change', importHeaderToggleHandler);
+    DOMElements.importMappingFields.addEventListener('change', importMappingChangeHandler);
+    DOMElements.cancelImportBtn.addEventListener('click', cancelImportHandler);
+    DOMElements.confirmImportBtn.addEventListener('click', previewImportHandler);
+    DOMElements.importPreviewBody.addEventListener('change', (event) => {
+        const pending = UIController.getUIState().pendingImport;
+        const index = event.target.getAttribute('data-preview-index');
+        if (!pending || !pending.preview || index === null) return;
+        pending.preview.rows[parseInt(index)].action = event.target.value;
+        UIController.displayImportPreview();
+    });
+    DOMElements.applyImportBtn.addEventListener('click', applyImportHandler);
+    DOMElements.backToMappingBtn.addEventListener('click', () => {
+        UIController.getUIState().pendingImport.preview = null;
+        UIController.displayImportMapping();
+    });
+    DOMElements.cancelPreviewBtn.addEventListener('click', cancelImportHandler);
+    DOMElements.playerHandicapInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') addPlayerHandler(); });
+    DOMElements.playerNameInput.addEventListener('input', UIController.validateNameInputUI);
+    DOMElements.playerHandicapInput.addEventListener('input', UIController.validateHandicapInputUI);
+    // Player list remove buttons (using event delegation)
+    DOMElements.playerList.addEventListener('click', (event) => {
+        const editItem = event.target.closest('.player-item');
+        if (event.target.classList.contains('edit-player-btn')) {
+            editPlayerHandler(editItem.getAttribute('data-player-id'));
+        } else if (event.target.classList.contains('save-player-btn')) {
+            savePlayerEditHandler(editItem);
+        } else if (event.target.classList.contains('cancel-edit-btn')) {
+            editPlayerHandler(null);
+        }
+        if (event.target.classList.contains('remove-btn')) {
+            const playerItem = event.target.closest('.player-item');
+            if (playerItem) {
+                const index = parseInt(playerItem.getAttribute('data-index'));
+                 if (confirm(`Are you sure you want to remove ${DataModel.getPlayers()[index]?.name}?`)) {
+                    DataModel.removePlayer(index);
+                    UIController.displayPlayers(); 
+                    if (UIController.getUIState().isGrouped) {
+                         UIController.resetGroupsUI(); 
+                         DataModel.setGroups(DataModel.createEmptyGroups()); 
+                         DataModel.setTeams([]); 
+                    }
+                }
+            }
+        }
+    });
+    DOMElements.playerList.addEventListener('input', (event) => {
+        const item = event.target.closest('.player-item-editing');
+        if (item) UIController.validatePlayerEditUI(item);
+    });
+    DOMElements.playerList.addEventListener('keydown', (event) => {
+        const item = event.target.closest('.player-item-editing');
+        if (!item || event.target.tagName !== 'INPUT') return;
+        if (event.key === 'Enter') savePlayerEditHandler(item);
+        if (event.key === 'Escape') editPlayerHandler(null);
+    });
+
+    // Pairing rules
+    DOMElements.addPairingRuleBtn.addEventListener('click', addPairingRuleHandler);
+    DOMElements.pairingRulesList.addEventListener('click', (event) => {
+        if (event.target.classList.contains('remove-rule-btn')) {
+            DataModel.removePairingRule(event.target.getAttribute('data-rule-id'));
+            UIController.displayPairingRules();
+        }
+    });
+
+    // Team card actions (using event delegation)
+    DOMElements.teamsContainer.addEventListener('click', (event) => {
+        const card = event.target.closest('.team-card');
+        if (!card) return;
+        if (event.target.classList.contains('swap-player-btn')) {
+            swapPlayerHandler(event.target.closest('.team-member').getAttribute('data-player-id'));
+        } else if (event.target.classList.contains('dissolve-team-btn')) {
+            dissolveTeamHandler(parseInt(card.getAttribute('data-team-id')));
+        }
+    });
+    DOMElements.teamsContainer.addEventListener('change', (event) => {
+        if (event.target.classList.contains('move-player-select') && event.target.value) {
+            const card = event.target.closest('.team-card');
+            movePlayerToTeamHandler(parseInt(card.getAttribute('data-team-id')), event.target.value);
+        }
+    });
+    [DOMElements.groupA, DOMElements.groupB, DOMElements.groupC, DOMElements.groupD, DOMElements.groupE].forEach(groupElement => {
+        groupElement.addEventListener('change', (event) => {
+            if (event.target.classList.contains('group-move-select') && event.target.value) {
+                const item = event.target.closest('.player-item');
+                movePlayerToGroupHandler(item.getAttribute('data-player-id'), event.target.value);
+            }
+        });
+    });
+
+    // Exports
+    DOMElements.exportRosterBtn.addEventListener('click', () => {
+        exportDelimitedHandler('roster', Exporter.buildRosterExport, DataModel.getPlayers().length === 0, "No players to export yet.");
+    });
+    DOMElements.exportTeamsBtn.addEventListener('click', () => {
+        exportDelimitedHandler('teams', Exporter.buildTeamsExport, DataModel.getTeams().length === 0, "No teams to export yet.");
+    });
+
+    // Grouping and Team Selection
+    DOMElements.groupPlayersBtn.addEventListener('click', groupPlayersHandler);
+    DOMElements.selectTeamBtn.addEventListener('click', selectTeamHandler); 
+    DOMElements.selectAllBtn.addEventListener('click', selectAllTeamsHandler);
+    DOMElements.draftStyleSelectBtn.addEventListener('click', startDraftStyleSelectionHandler); 
+    DOMElements.optimizeTeamsBtn.addEventListener('click', optimizeAllTeamsHandler);
+    
+    // Tee Assignment
+    DOMElements.autoAssignBtn.addEventListener('click', autoAssignTeamsHandler);
+    DOMElements.randomAssignBtn.addEventListener('click', randomizeTeamAssignmentsHandler);
+    DOMElements.resetAssignmentBtn.addEventListener('click', resetAssignmentsHandler);
+    DOMElements.printTeeSheetBtn.addEventListener('click', printTeeSheetHandler);
+    DOMElements.exportCalendarBtn.addEventListener('click', exportCalendarHandler);
+    DOMElements.exportTeeSheetBtn.addEventListener('click', () => {
+        exportDelimitedHandler('tee-sheet', Exporter.buildTeeSheetExport, DataModel.getTeeSheet().length === 0, "No teams are assigned to holes yet.");
+    });
+    // Scoring
+    DOMElements.scoringTeamSelect.addEventListener('change', function() {
+        UIController.getUIState().scoringTeamId = parseInt(this.value);
+        UIController.displayScorecard();
+    });
+    DOMElements.scorecardBody.addEventListener('change', scoreChangeHandler);
+    DOMElements.clearTeamScoresBtn.addEventListener('click', clearTeamScoresHandler);
+    DOMElements.scorecardHead.addEventListener('change', holeBallsToCountHandler);
+    DOMElements.applyBallsByParBtn.addEventListener('click', applyBallsByParHandler);
+    DOMElements.clearBallsByHoleBtn.addEventListener('click', () => {
+        UIController.clearError();
+        DataModel.setBallsToCountByPar({});
+        UIController.displayScorecard();
+    });
+    DOMElements.scoringFormatSelect.addEventListener('change', function() {
+        UIController.clearError();
+        const result = DataModel.setScoringFormat(this.value);
+        if (!result.success) UIController.showError(result.message);
+        UIController.displayScorecard();
+    });
+    DOMElements.stablefordTableBody.addEventListener('change', (event) => {
+        const input = event.target;
+        if (!input.hasAttribute('data-net-to-par')) return;
+        UIController.clearError();
+        const result = DataModel.setStablefordPoints(DataModel.getSettings().scoringFormat, input.getAttribute('data-net-to-par'), input.value);
+        if (!result.success) UIController.showError(result.message);
+        UIController.displayScorecard();
+    });
+    DOMElements.resetStablefordBtn.addEventListener('click', () => {
+        UIController.clearError();
+        DataModel.resetStablefordPoints(DataModel.getSettings().scoringFormat);
+        UIController.displayScorecard();
+    });
+    DOMElements.grossSkinsPot.addEventListener('change', function() {
+        updateSkinsSettingHandler('grossPot', this.value);
+    });
+    DOMElements.netSkinsPot.addEventListener('change', function() {
+        updateSkinsSettingHandler('netPot', this.value);
+    });
+    DOMElements.skinsCarryovers.addEventListener('change', function() {
+        updateSkinsSettingHandler('carryovers', this.checked);
+    });
+    DOMElements.ballsToCountInput.addEventListener('change', function() {
+        UIController.clearError();
+        const result = DataModel.setBallsToCount(this.value);
+        if (!result.success) UIController.showError(result.message);
+        UIController.displayScorecard();
+    });
+    DOMElements.scoringProgress.addEventListener('click', (event) => {
+        const item = event.target.closest('.scoring-progress-item');
+        if (item) {
+            UIController.getUIState().scoringTeamId = parseInt(item.getAttribute('data-team-id'));
+            UIController.displayScorecard();
+        }
+    });
+    // Course profiles
+    DOMElements.courseProfileSelect.addEventListener('change', selectCourseProfileHandler);
+    DOMElements.addCourseBtn.addEventListener('click', addCourseProfileHandler);
+    DOMElements.renameCourseBtn.addEventListener('click', renameCourseProfileHandler);
+    DOMElements.deleteCourseBtn.addEventListener('click', deleteCourseProfileHandler);
+    DOMElements.courseHolesBody.addEventListener('change', courseHoleChangeHandler);
+    DOMElements.addTeeSetBtn.addEventListener('click', addTeeSetHandler);
+    DOMElements.teeSetsBody.addEventListener('change', teeSetTableHandler);
+    DOMElements.teeSetsBody.addEventListener('click', teeSetTableHandler);
+    DOMElements.eventTeeSelect.addEventListener('change', function() {
+        UIController.clearError();
+        const result = DataModel.selectTeeSet(this.value);
+        if (!result.success) UIController.showError(result.message);
+        refreshHandicapViews();
+    });
+    DOMElements.handicapAllowance.addEventListener('change', function() {
+        UIController.clearError();
+        const result = DataModel.setHandicapAllowance(this.value);
+        if (!result.success) UIController.showError(result.message);
+        refreshHandicapViews();
+    });
+    // Tee Assignment - Manual Assignment (using event delegation on layout container)
+    DOMElements.courseLayout.addEventListener('click', (event) => {
+        const holeBox = event.target.closest('.hole-box');
+        if (holeBox) {
+            const selectedTeamId = UIController.getUIState().selectedTeamId;
+            if (selectedTeamId) {
+                const holeNumber = parseInt(holeBox.getAttribute('data-hole'));
+                const assignResult = DataModel.assignTeamToHole(selectedTeamId, holeNumber); 
+                if (assignResult.success) {
+                    UIController.displayUnassignedTeams(); 
+                    UIController.updateHoleDisplays(); 
+                    UIController.updateTeeSheet(); 
+                    UIController.selectTeamForAssignment(null); // Deselect
+                } else {
+                    UIController.showError(assignResult.message); 
+                }
+            } else if (!event.target.classList.contains('hole-team')) { // Don't show error if clicking on an assigned team
+                UIController.showError("Select a team from the 'Unassigned Teams' list first.");
+            }
+        }
+    });
      // Tee Assignment - Manual Unassignment (using event delegation on layout container)
     DOMElements.courseLayout.addEventListener('click', (event) => {
         if (event.target.classList.contains('hole-team')) {
@@ -522,57 +1690,131 @@ function setupEventListeners() {
         DataModel.updateSetting('balanceTeams', this.checked);
     });
     DOMElements.maxHandicapDiff.addEventListener('change', function() {
-        DataModel.updateSetting('maxHandicapDiff', parseFloat(this.value) || 0);
+        const limit = Math.max(0, parseFloat(this.value) || 0); // 0 turns the limit off
+        DataModel.updateSetting('maxHandicapDiff', limit);
+        this.value = limit;
+    });
+    DOMElements.drawSeedInput.addEventListener('change', function() {
+        DataModel.setDrawSeed(this.value);
+        UIController.displayDrawSeed();
+    });
+    DOMElements.groupingMode.addEventListener('change', function() {
+        const result = DataModel.setGroupingMode(this.value);
+        if (!result.success) {
+            UIController.showError(result.message);
+        } else if (UIController.getUIState().isGrouped) {
+            UIController.showError("Group the players again to apply the grouping mode.");
+        }
+        UIController.displayGroupingSettings();
+    });
+    DOMElements.groupThresholdInputs.addEventListener('change', (event) => {
+        const groupLetter = event.target.getAttribute('data-group');
+        if (!groupLetter) return;
+        const result = DataModel.setGroupThreshold(groupLetter, event.target.value);
+        if (!result.success) {
+            UIController.showError(result.message);
+            UIController.displayGroupingSettings();
+        }
+    });
+    const unevenFieldHandler = () => {
+        const result = DataModel.setUnevenField(DOMElements.unevenFieldMode.value, DOMElements.unevenFieldGroup.value);
+        if (!result.success) {
+            UIController.showError(result.message);
+            UIController.displayUnevenField();
+        } else if (UIController.getUIState().isGrouped && DataModel.getPlayers().length % DataModel.getSettings().teamSize !== 0) {
+            UIController.showError("Group the players again to apply the uneven field setting.");
+        }
+    };
+    DOMElements.teamSizeSelect.addEventListener('change', function() {
+        const hasTeams = DataModel.getTeams().length > 0;
+        if (hasTeams && !confirm("Changing the team size clears the groups, teams and scores. Continue?")) {
+            UIController.displayTeamSize();
+            return;
+        }
+        const result = DataModel.setTeamSize(parseInt(this.value));
+        if (!result.success) {
+            UIController.showError(result.message);
+        } else {
+            UIController.resetGroupsUI();
+            refreshTeamEditViews();
+        }
+        UIController.displayTeamSize();
+    });
+    DOMElements.unevenFieldMode.addEventListener('change', unevenFieldHandler);
+    DOMElements.unevenFieldGroup.addEventListener('change', unevenFieldHandler);
+    DOMElements.newSeedBtn.addEventListener('click', () => {
+        DataModel.setDrawSeed();
+        UIController.displayDrawSeed();
     });
     DOMElements.startFormatSelect.addEventListener('change', function() {
         DataModel.updateSetting('startFormat', this.value);
         UIController.updateTeeSheet(); // Update tee sheet when format changes
     });
     DOMElements.startTimeInput.addEventListener('change', function() {
+        if (!this.value) { // A cleared time keeps the current start time
+            this.value = DataModel.getSettings().startTime;
+            return;
+        }
         DataModel.updateSetting('startTime', this.value);
         UIController.updateTeeSheet(); // Update tee sheet when time changes
     });
     DOMElements.timeIntervalInput.addEventListener('change', function() {
-        DataModel.updateSetting('timeInterval', parseInt(this.value) || 10);
+        const interval = parseInt(this.value) > 0 ? parseInt(this.value) : 10;
+        DataModel.updateSetting('timeInterval', interval);
+        this.value = interval;
         UIController.updateTeeSheet(); // Update tee sheet when interval changes
     });
+    DOMElements.eventDateInput.addEventListener('change', function() {
+        UIController.clearError();
+        const result = DataModel.setEventDate(this.value);
+        if (!result.success) {
+            UIController.showError(result.message);
+            this.value = DataModel.getSettings().eventDate;
+        }
+    });
 
     // Help, Save, Load
     DOMElements.helpButton.addEventListener('click', UIController.showTutorial); 
-    DOMElements.saveButton.addEventListener('click', () => {
-        const result = DataModel.saveToLocalStorage();
-        UIController.showError(result.success ? "Data saved successfully!" : result.message); 
+    DOMElements.saveButton.addEventListener('click', async () => {
+        const result = await saveCurrentEvent();
+        UIController.showError(result.success ? `Saved "${UIController.getUIState().currentEvent.name}".` : result.message); 
     });
-    DOMElements.loadButton.addEventListener('click', () => {
-        UIController.clearError(); 
-        const result = DataModel.loadFromLocalStorage();
-        if (result.success) {
-            // Update all relevant UI parts after loading data
-            UIController.displayPlayers();
-            UIController.displayGroups();
-            UIController.displayTeams();
-            UIController.getUIState().isGrouped = DataModel.getTeams().length > 0; // Update grouped state
-            const canForm = DataModel.canFormTeam();
-            DOMElements.selectTeamBtn.disabled = !canForm;
-            DOMElements.selectAllBtn.disabled = !canForm;
-            DOMElements.draftStyleSelectBtn.disabled = !canForm;
-            DOMElements.showBracketBtn.disabled = DataModel.getTeams().length < 2;
-            DOMElements.teeAssignmentTabButton.disabled = DataModel.getTeams().length === 0;
-            // Update settings UI
-            DOMElements.balanceTeamsToggle.checked = DataModel.getSettings().balanceTeams;
-            DOMElements.maxHandicapDiff.value = DataModel.getSettings().maxHandicapDiff;
-            DOMElements.startFormatSelect.value = DataModel.getSettings().startFormat;
-            DOMElements.startTimeInput.value = DataModel.getSettings().startTime;
-            DOMElements.timeIntervalInput.value = DataModel.getSettings().timeInterval;
-            // Update tee assignment UI if that tab is active
-            if (document.getElementById('teeAssignmentTab').classList.contains('active')) {
-                initTeeAssignmentUI(); 
-            }
-            UIController.showError("Data loaded successfully!"); 
-        } else {
-            UIController.showError(result.message);
-        }
+    // Event library
+    DOMElements.eventsButton.addEventListener('click', async () => {
+        UIController.showEventLibrary();
+        await refreshEventLibrary();
+    });
+    DOMElements.eventLibraryCloseBtn.addEventListener('click', UIController.closeEventLibrary);
+    DOMElements.createEventBtn.addEventListener('click', createEventHandler);
+    DOMElements.eventFileInput.addEventListener('change', importEventFileHandler);
+    DOMElements.newEventName.addEventListener('keypress', (event) => {
+        if (event.key === 'Enter') createEventHandler();
+    });
+    DOMElements.eventList.addEventListener('click', (event) => {
+        const actionButton = event.target.closest('button[data-event-action]');
+        if (!actionButton) return;
+        const eventId = actionButton.closest('tr').getAttribute('data-event-id');
+        const handlers = {
+            open: openEventHandler,
+            rename: renameEventHandler,
+            duplicate: duplicateEventHandler,
+            export: exportEventFileHandler,
+            delete: deleteEventHandler
+        };
+        handlers[actionButton.getAttribute('data-event-action')](eventId);
+    });
+    // Undo/redo history
+    DOMElements.undoButton.addEventListener('click', () => undoHandler(1));
+    DOMElements.redoButton.addEventListener('click', () => redoHandler(1));
+    DOMElements.historyButton.addEventListener('click', UIController.toggleHistoryPanel);
+    DOMElements.historyCloseBtn.addEventListener('click', UIController.toggleHistoryPanel);
+    DOMElements.historyList.addEventListener('click', (event) => {
+        const stepButton = event.target.closest('button[data-history-action]');
+        if (!stepButton) return;
+        const steps = parseInt(stepButton.getAttribute('data-history-steps'));
+        if (stepButton.getAttribute('data-history-action') === 'undo') undoHandler(steps); else redoHandler(steps);
     });
+    document.addEventListener('keydown', historyShortcutHandler);
      // Tutorial navigation
     DOMElements.tutorialPrevBtn.addEventListener('click', () => UIController.navigateTutorial(-1));
     DOMElements.tutorialNextBtn.addEventListener('click', () => UIController.navigateTutorial(1));
@@ -582,42 +1824,27 @@ function setupEventListeners() {
 }
 
 // --- Public API ---
-export function init() {
+export async function init() {
     console.log("AppController initializing...");
     UIController.init(); // Initialize UI elements
     setupEventListeners(); // Set up event listeners
+    DataModel.setHistoryListener(UIController.displayHistory);
+    UIController.displayHistory(DataModel.getHistory());
 
-    // Attempt to load saved data and update UI
-    const loadResult = DataModel.loadFromLocalStorage();
-    if (loadResult.success) {
-        console.log("Loaded data from localStorage.");
-        UIController.displayPlayers();
-        UIController.displayGroups();
-        UIController.displayTeams();
-        UIController.getUIState().isGrouped = DataModel.getTeams().length > 0;
-        
-        const DOMElements = UIController.getDOMElements();
-        const canForm = DataModel.canFormTeam();
-        DOMElements.selectTeamBtn.disabled = !canForm;
-        DOMElements.selectAllBtn.disabled = !canForm;
-        DOMElements.draftStyleSelectBtn.disabled = !canForm; 
-        DOMElements.showBracketBtn.disabled = DataModel.getTeams().length < 2;
-        DOMElements.teeAssignmentTabButton.disabled = DataModel.getTeams().length === 0;
-        // Update settings UI from loaded data
-        DOMElements.balanceTeamsToggle.checked = DataModel.getSettings().balanceTeams;
-        DOMElements.maxHandicapDiff.value = DataModel.getSettings().maxHandicapDiff;
-        DOMElements.startFormatSelect.value = DataModel.getSettings().startFormat;
-        DOMElements.startTimeInput.value = DataModel.getSettings().startTime;
-        DOMElements.timeIntervalInput.value = DataModel.getSettings().timeInterval;
-
-        // If tee assignment tab happens to be active on load (unlikely but possible)
-        if (document.getElementById('teeAssignmentTab').classList.contains('active')) {
-            initTeeAssignmentUI(); 
-        }
-    } else {
-        console.log("No saved data found or load error:", loadResult.message);
-        // Initialize with default empty state (already done by UIController.init)
-        UIController.displayPlayers(); // Ensure empty player list is shown
+    // Move data saved before the event library into it, then open the last event
+    const migration = await EventLibrary.migrateLegacySave();
+    if (migration.migrated) {
+        UIController.showError(`Your saved data is now the event "${migration.event.name}" in the event library.`);
+    }
+    const openResult = await openLastEvent();
+    if (openResult.success && openResult.warnings.length > 0) {
+        UIController.showError(`Some data of "${UIController.getUIState().currentEvent.name}" was reset or removed. ${openResult.warnings.join(' ')}`);
+    }
+    if (!openResult.success) {
+        console.log("No event could be opened:", openResult.message);
+        UIController.showError(migration.success ? openResult.message : migration.message);
+        UIController.displayCurrentEvent();
+        refreshAllViews(); // Show the default empty event
     }
     console.log("AppController initialization complete.");
 }
@@ -0,0 +1,150 @@
+import * as DataModel from './dataModel.js';
+import * as Scoring from './scoring.js';
+
+/**
+ * Calendar Module
+ * Builds an iCalendar (.ics) file from the tee sheet, with one event per team tee time.
+ */
+
+const ROUND_DURATION_MINUTES = 270; // Calendar length of a round of golf
+const MAX_LINE_OCTETS = 75; // RFC 5545 line length limit, excluding the line break
+const START_FORMAT_LABELS = {
+    sequential: 'Sequential start',
+    shotgun: 'Shotgun start'
+};
+
+// --- Private Helper Functions ---
+
+/**
+ * Escapes a text value for an iCalendar property (RFC 5545 section 3.3.11).
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line so no line is longer than 75 octets; continuation lines start with a space.
+ * Multi-byte characters are never split.
+ * @param {string} line - The unfolded content line.
+ * @returns {string} The folded line, joined with CRLF.
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    for (const char of line) {
+        const octets = encoder.encode(char).length;
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1; // Leading space counts
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a local date and time as an iCalendar floating DATE-TIME (e.g. 20260501T081000).
+ * Floating times show at the same clock time in every calendar, like a printed tee sheet.
+ * @param {string} eventDate - The date as YYYY-MM-DD.
+ * @param {number} minutes - Minutes after midnight on that date (may run past midnight).
+ * @returns {string} The formatted date-time.
+ */
+function formatLocalDateTime(eventDate, minutes) {
+    const [year, month, day] = eventDate.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day, 0, minutes));
+    const pad = value => value.toString().padStart(2, '0');
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+}
+
+/**
+ * Formats the current time as an iCalendar UTC DATE-TIME for DTSTAMP.
+ * @returns {string} The formatted timestamp.
+ */
+function formatUtcNow() {
+    return new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds the description for a team's tee time event.
+ * @param {object} row - Tee sheet row from DataModel.getTeeSheet.
+ * @param {object} hole - Hole data from the course profile.
+ * @returns {string} The description, one detail per line.
+ */
+function buildDescription(row, hole) {
+    const settings = DataModel.getSettings();
+    const lines = [
+        `Starting hole: ${row.hole}${hole ? ` (par ${hole.par})` : ''}`,
+        `Tee time: ${row.teeTime}`,
+        `Start format: ${START_FORMAT_LABELS[settings.startFormat] || settings.startFormat}`,
+        `Team ${row.team.id}:`
+    ];
+    DataModel.getTeamPlayers(row.team).forEach(player => {
+        if (player) lines.push(`- ${player.name} (${player.isPlus ? '+' : ''}${player.handicap})`);
+    });
+    const scoringNote = Scoring.getTeamScoringNote(row.team);
+    if (scoringNote) lines.push(scoringNote);
+    lines.push(`Draw seed: ${settings.drawSeed}`);
+    return lines.join('\n');
+}
+
+// --- Public API ---
+
+/**
+ * Builds an iCalendar file with one VEVENT per team on the tee sheet.
+ * @returns {{success: boolean, content?: string, eventCount?: number, message?: string}} Result object.
+ */
+export function buildTeeSheetCalendar() {
+    const settings = DataModel.getSettings();
+    const teeSheet = DataModel.getTeeSheet();
+    if (teeSheet.length === 0) {
+        return { success: false, message: "No teams are assigned to holes yet." };
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(settings.eventDate || '')) {
+        return { success: false, message: "Please set the event date before exporting the calendar." };
+    }
+
+    const course = DataModel.getCourseProfile();
+    const stamp = formatUtcNow();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Golf Team Selector//Tee Sheet//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    teeSheet.forEach(row => {
+        const hole = course.holes.find(h => h.number === row.hole);
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${settings.eventDate}-${settings.drawSeed}-team-${row.team.id}@golf-team-selector`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatLocalDateTime(settings.eventDate, row.minutes)}`,
+            `DTEND:${formatLocalDateTime(settings.eventDate, row.minutes + ROUND_DURATION_MINUTES)}`,
+            `SUMMARY:${escapeText(`Golf: Team ${row.team.id} - Hole ${row.hole} at ${row.teeTime}`)}`,
+            `LOCATION:${escapeText(`${course.name}, hole ${row.hole}`)}`,
+            `DESCRIPTION:${escapeText(buildDescription(row, hole))}`,
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+
+    return {
+        success: true,
+        content: lines.map(foldLine).join('\r\n') + '\r\n',
+        eventCount: teeSheet.length
+    };
+}
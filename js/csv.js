@@ -0,0 +1,105 @@
+/**
+ * CSV Module
+ * Reads and writes delimited text (CSV or TSV) following RFC 4180 quoting rules.
+ */
+
+// --- Private Helper Functions ---
+
+/**
+ * Quotes a field if it contains the delimiter, a quote or a line break.
+ * Embedded quotes are doubled.
+ * @param {*} value - The field value (null and undefined become empty fields).
+ * @param {string} delimiter - The field delimiter.
+ * @returns {string} The field, quoted if needed.
+ */
+function formatField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+// --- Public API ---
+
+/**
+ * Formats rows of fields as delimited text with CRLF line endings.
+ * @param {Array<Array<*>>} rows - The rows, each an array of field values.
+ * @param {string} [delimiter=','] - ',' for CSV or '\t' for TSV.
+ * @returns {string} The delimited text.
+ */
+export function formatDelimited(rows, delimiter = ',') {
+    return rows.map(row => row.map(value => formatField(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Guesses the delimiter of delimited text from its first line: tabs mean TSV, otherwise CSV.
+ * @param {string} text - The delimited text.
+ * @returns {string} ',' or '\t'.
+ */
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r\n|\n|\r/, 1)[0];
+    return firstLine.includes('\t') ? '\t' : ',';
+}
+
+/**
+ * Parses delimited text into rows of fields. Quoted fields may contain the delimiter,
+ * doubled quotes and line breaks. A leading byte order mark and blank lines are ignored.
+ * @param {string} text - The delimited text.
+ * @param {string} [delimiter] - The field delimiter; detected from the first line if omitted.
+ * @returns {{rows: Array<{line: number, fields: Array<string>}>, errors: Array<string>}} Parsed rows
+ *          with the line each one starts on, and any quoting errors.
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const rows = [];
+    const errors = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0].trim() !== '') {
+            rows.push({ line: rowLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            field = ''; // Whitespace before an opening quote is dropped
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        errors.push(`Line ${rowLine} has a quoted field that is never closed.`);
+    }
+    if (field !== '' || fields.length > 0) endRow();
+    return { rows, errors };
+}
@@ -1,3 +1,6 @@
+import { createSeededRandom, generateSeed } from './random.js';
+import { analyzeImport, readImportRow, normalizePlayerName } from './importer.js';
+
 /**
  * Data Model Module
  * Handles data structures, validation, and data persistence.
@@ -6,24 +9,441 @@
 // Private data store
 const _data = {
     players: [],
-    groups: { A: [], B: [], C: [], D: [] },
+    groups: { A: [], B: [], C: [], D: [] }, // Player IDs by group letter
     teams: [],
     holeAssignments: {}, // { "1": [teamId1, teamId2], "5": [teamId3], ... }
-    settings: {
-        balanceTeams: false,
-        maxHandicapDiff: 5,
-        startFormat: 'sequential',
-        startTime: '08:00',
-        timeInterval: 10
-    },
+    scores: {}, // { [playerId]: { [hole]: grossScore } }
+    pairingRules: [], // { id, type: 'together' | 'apart', playerIds: [playerIdA, playerIdB] }
+    alternates: [], // Player IDs left out of the groups when the field uses an alternates list
+    settings: null, // Set from createDefaultSettings below
+    courseProfiles: [], // Filled with the built-in profile below
     interactiveDraftState: null 
 };
 
 // Configuration (can be adjusted if needed)
-const doubleStackedHoles = [3, 4, 6, 7, 8, 10, 12, 13, 16, 18];
+const DEFAULT_DOUBLE_STACKED_HOLES = [3, 4, 6, 7, 8, 10, 12, 13, 16, 18]; // Used by the built-in course profile
+const MAX_COURSE_HOLES = 36;
+const MAX_HOLE_CAPACITY = 4;
+const STANDARD_SLOPE = 113; // WHS slope rating of a course of standard difficulty
+const MAX_GROSS_SCORE = 20;
+const GROUP_LETTERS = ['A', 'B', 'C', 'D', 'E']; // Group letters for the largest team size
+const MIN_TEAM_SIZE = 2;
+const MAX_TEAM_SIZE = 5;
+const SCORING_FORMATS = ['strokePlay', 'stableford', 'modifiedStableford'];
+const PAIRING_RULE_TYPES = ['together', 'apart'];
+const UNEVEN_FIELD_MODES = ['threesomes', 'fivesome', 'alternates'];
+const GROUPING_MODES = ['equal', 'thresholds'];
+const DRAFT_ORDERS = ['snake', 'linear'];
+const MAX_PICK_SECONDS = 600;
+// Stableford points by net score relative to par. The lowest key covers anything better
+// and the highest key anything worse (e.g. "2" = net double bogey or worse).
+const DEFAULT_STABLEFORD_TABLES = {
+    stableford: { '-4': 6, '-3': 5, '-2': 4, '-1': 3, '0': 2, '1': 1, '2': 0 },
+    modifiedStableford: { '-4': 8, '-3': 8, '-2': 5, '-1': 2, '0': 0, '1': -1, '2': -3 }
+};
+const MAX_DRAW_ATTEMPTS = 200; // Random draws tried per team when enforcing maxHandicapDiff
+const MAX_SWAP_ITERATIONS = 500; // Safety cap for swap-based team improvement
+const OPTIMIZER_RESTARTS = 30; // Perturb-and-improve rounds used by optimizeAllTeams
+const MAX_HISTORY_STEPS = 50; // Undo steps kept
+// Version of the saved event data. Version 1 is data saved without a version (before event files),
+// which may still hold copies of players from before players had IDs.
+const EVENT_SCHEMA_VERSION = 2;
+// Upgrades event data by one version, keyed by the version it upgrades from
+const EVENT_MIGRATIONS = {
+    1: data => {
+        migratePlayerReferences(data);
+        migrateDraftState(data);
+    }
+};
+// How each setting is checked when saved event data is loaded; invalid values fall back to the default.
+// Checks get the settings merged so far, which already hold the event's team size.
+const SETTING_CHECKS = {
+    balanceTeams: value => typeof value === 'boolean',
+    maxHandicapDiff: isAmount,
+    startFormat: value => value === 'sequential' || value === 'shotgun',
+    startTime: value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value),
+    timeInterval: value => Number.isInteger(value) && value > 0,
+    eventDate: value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value),
+    drawSeed: value => typeof value === 'string' && value.trim() !== '',
+    courseProfileId: value => typeof value === 'string',
+    teeSetId: value => typeof value === 'string',
+    handicapAllowance: value => isAmount(value) && value > 0 && value <= 100,
+    ballsToCount: (value, settings) => Number.isInteger(value) && value >= 1 && value <= settings.teamSize,
+    ballsToCountByHole: (value, settings) => isPlainObject(value) &&
+        Object.values(value).every(count => Number.isInteger(count) && count >= 1 && count <= settings.teamSize),
+    scoringFormat: value => SCORING_FORMATS.includes(value),
+    stablefordTables: value => isPlainObject(value) && Object.values(value).every(table =>
+        isPlainObject(table) && Object.values(table).every(points => typeof points === 'number' && Number.isFinite(points))),
+    skins: value => isPlainObject(value) && isAmount(value.grossPot) && isAmount(value.netPot) && typeof value.carryovers === 'boolean',
+    teamSize: value => Number.isInteger(value) && value >= MIN_TEAM_SIZE && value <= MAX_TEAM_SIZE,
+    groupingMode: value => GROUPING_MODES.includes(value),
+    groupThresholds: value => isPlainObject(value) && Object.keys(value).every(letter => GROUP_LETTERS.includes(letter) &&
+        typeof value[letter] === 'number' && Number.isFinite(value[letter])) && areCutoffsAscending(value),
+    unevenField: (value, settings) => isPlainObject(value) && UNEVEN_FIELD_MODES.includes(value.mode) &&
+        GROUP_LETTERS.slice(0, settings.teamSize).includes(value.group)
+};
+const SETTING_LABELS = {
+    balanceTeams: 'balance teams',
+    maxHandicapDiff: 'max handicap difference',
+    startFormat: 'start format',
+    startTime: 'start time',
+    timeInterval: 'tee time interval'
+};
+
+_data.settings = createDefaultSettings();
+
+// Seeded random streams. Team formation and hole assignment use separate streams so
+// re-randomizing holes never changes which teams a given seed produces.
+let _teamRandom = createSeededRandom(`${_data.settings.drawSeed}:teams`);
+let _holeRandom = createSeededRandom(`${_data.settings.drawSeed}:holes`);
+
+let _idCounter = 0; // Keeps IDs created in the same millisecond unique
+
+// Undo/redo history. Each step holds a snapshot of the event data from before (undo) or after (redo) the change.
+const _history = {
+    undo: [], // { label, time, snapshot }, oldest first
+    redo: [], // Undone steps, last undone at the end
+    pending: null, // { label, snapshot } of the step being recorded until the current task ends
+    listener: null // Called whenever the history changes
+};
 
 // --- Private Helper Functions ---
 
+/**
+ * Serializes the event data for the history. A draft in progress is left out; it has its own pick undo.
+ * @returns {string} The snapshot.
+ */
+function createSnapshot() {
+    const { interactiveDraftState, ...eventData } = _data;
+    return JSON.stringify(eventData);
+}
+
+/**
+ * Puts the event data back to a snapshot. The random streams restart only if the draw seed changes.
+ * @param {string} snapshot - A snapshot from createSnapshot.
+ */
+function restoreSnapshot(snapshot) {
+    const drawSeed = _data.settings.drawSeed;
+    Object.assign(_data, JSON.parse(snapshot));
+    if (_data.settings.drawSeed !== drawSeed) {
+        resetTeamRandom();
+        resetHoleRandom();
+    }
+}
+
+/**
+ * Tells the history listener, if any, that the history changed.
+ */
+function notifyHistoryListener() {
+    if (_history.listener) _history.listener(getHistory());
+}
+
+/**
+ * Ends the step being recorded. Steps that changed nothing (e.g. an edit that failed validation) are dropped.
+ */
+function commitPendingChange() {
+    const pending = _history.pending;
+    if (!pending) return;
+    _history.pending = null;
+    if (createSnapshot() === pending.snapshot) return;
+    _history.undo.push({ label: pending.label, time: Date.now(), snapshot: pending.snapshot });
+    if (_history.undo.length > MAX_HISTORY_STEPS) _history.undo.shift();
+    _history.redo = []; // A new change replaces anything undone
+    notifyHistoryListener();
+}
+
+/**
+ * Steps through the history: each step's snapshot is restored and the current data is kept
+ * on the opposite list so the step can be reversed.
+ * @param {Array<object>} from - The list to take steps from.
+ * @param {Array<object>} to - The list reversed steps go on.
+ * @param {number} steps - How many steps.
+ * @param {string} action - 'undo' or 'redo', for messages.
+ * @returns {{success: boolean, labels?: Array<string>, message?: string}} Result object.
+ */
+function moveThroughHistory(from, to, steps, action) {
+    commitPendingChange(); // A change made earlier in this task is a step of its own
+    if (_data.interactiveDraftState) {
+        return { success: false, message: `Finish or cancel the draft before using ${action}.` };
+    }
+    if (from.length === 0) {
+        return { success: false, message: `Nothing to ${action}.` };
+    }
+    const labels = [];
+    for (let i = 0; i < steps && from.length > 0; i++) {
+        const step = from.pop();
+        to.push({ label: step.label, time: step.time, snapshot: createSnapshot() });
+        restoreSnapshot(step.snapshot);
+        labels.push(step.label);
+    }
+    console.log(`History ${action}: ${labels.join(', ')}`); // Debug log
+    notifyHistoryListener();
+    return { success: true, labels };
+}
+
+/**
+ * Creates editable copies of the default Stableford point tables.
+ * @returns {object} Point tables keyed by scoring format.
+ */
+function createDefaultStablefordTables() {
+    return {
+        stableford: { ...DEFAULT_STABLEFORD_TABLES.stableford },
+        modifiedStableford: { ...DEFAULT_STABLEFORD_TABLES.modifiedStableford }
+    };
+}
+
+/**
+ * Checks that a value is an object and not an array or null.
+ * @param {*} value - The value.
+ * @returns {boolean} True for a plain object.
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks that a value is a number of 0 or more.
+ * @param {*} value - The value.
+ * @returns {boolean} True for a finite, non-negative number.
+ */
+function isAmount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Checks that handicap cutoffs rise from group to group. Groups without a cutoff are skipped.
+ * @param {object} cutoffs - Cutoffs by group letter.
+ * @returns {boolean} True if every cutoff is above the one of the group before it.
+ */
+function areCutoffsAscending(cutoffs) {
+    const values = GROUP_LETTERS.filter(letter => cutoffs[letter] !== undefined).map(letter => cutoffs[letter]);
+    return values.every((cutoff, index) => index === 0 || cutoff > values[index - 1]);
+}
+
+/**
+ * Creates the settings of a new event.
+ * @returns {object} The default settings.
+ */
+function createDefaultSettings() {
+    return {
+        balanceTeams: false,
+        maxHandicapDiff: 5,
+        startFormat: 'sequential',
+        startTime: '08:00',
+        timeInterval: 10,
+        eventDate: getTodayDate(),
+        drawSeed: generateSeed(),
+        courseProfileId: 'default',
+        teeSetId: 'default-white',
+        handicapAllowance: 100, // Percent of course handicap used as playing handicap (e.g. 85 for four-ball)
+        ballsToCount: 2, // Best net balls that count per hole
+        ballsToCountByHole: {}, // Per-hole overrides: { "1": 3, "5": 1, ... }
+        scoringFormat: 'strokePlay', // 'strokePlay', 'stableford' or 'modifiedStableford'
+        stablefordTables: createDefaultStablefordTables(),
+        skins: { grossPot: 0, netPot: 0, carryovers: true },
+        teamSize: 4, // Players per team; there is one group per team slot
+        groupingMode: 'equal', // 'equal' (split the sorted field evenly) or 'thresholds' (playing handicap cutoffs)
+        groupThresholds: { A: 5, B: 12, C: 20, D: 28 }, // Highest playing handicap in each group; the last group takes the rest
+        unevenField: { mode: 'threesomes', group: 'D' } // How players beyond a multiple of the team size are placed
+    };
+}
+
+/**
+ * Gets today's local date as YYYY-MM-DD, the default event date.
+ * @returns {string} The date.
+ */
+function getTodayDate() {
+    const today = new Date();
+    const month = (today.getMonth() + 1).toString().padStart(2, '0');
+    const day = today.getDate().toString().padStart(2, '0');
+    return `${today.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Restarts the team formation random stream from the current draw seed.
+ */
+function resetTeamRandom() {
+    _teamRandom = createSeededRandom(`${_data.settings.drawSeed}:teams`);
+}
+
+/**
+ * Restarts the hole assignment random stream from the current draw seed.
+ */
+function resetHoleRandom() {
+    _holeRandom = createSeededRandom(`${_data.settings.drawSeed}:holes`);
+}
+
+/**
+ * Creates a unique ID string.
+ * @param {string} prefix - Prefix describing the kind of object (e.g. 'course').
+ * @returns {string} The ID.
+ */
+function createId(prefix) {
+    _idCounter++;
+    return `${prefix}-${Date.now().toString(36)}-${_idCounter.toString(36)}`;
+}
+
+/**
+ * Builds default hole data for a new course profile.
+ * 18-hole courses get odd stroke indexes on the front nine and even on the back.
+ * @param {number} holeCount - Number of holes.
+ * @param {Array<number>} [multiTeamHoles] - Holes that take two teams in a shotgun start.
+ * @returns {Array<object>} Hole objects.
+ */
+function createDefaultHoles(holeCount, multiTeamHoles = []) {
+    return Array.from({ length: holeCount }, (_, index) => {
+        const number = index + 1;
+        let strokeIndex = number;
+        if (holeCount === 18) {
+            strokeIndex = number <= 9 ? number * 2 - 1 : (number - 9) * 2;
+        }
+        return {
+            number,
+            par: 4,
+            strokeIndex,
+            yardage: 0,
+            capacity: multiTeamHoles.includes(number) ? 2 : 1
+        };
+    });
+}
+
+/**
+ * Creates the built-in course profile matching the original fixed 18-hole layout.
+ * @returns {object} The course profile.
+ */
+function createDefaultCourseProfile() {
+    return {
+        id: 'default',
+        name: 'Default Course',
+        holes: createDefaultHoles(18, DEFAULT_DOUBLE_STACKED_HOLES),
+        teeSets: [{ id: 'default-white', name: 'White', slope: STANDARD_SLOPE, courseRating: 72 }]
+    };
+}
+
+/**
+ * Gets the selected course profile, falling back to the first profile.
+ * @returns {object} The course profile.
+ */
+function getActiveCourseProfile() {
+    return _data.courseProfiles.find(profile => profile.id === _data.settings.courseProfileId) || _data.courseProfiles[0];
+}
+
+/**
+ * Gets the tee set used for a player: their own tee if it exists on the selected
+ * course, otherwise the event's tee set.
+ * @param {object} [player] - The player object (may have a 'tee' name).
+ * @returns {object} The tee set.
+ */
+function getTeeSetForPlayer(player) {
+    const teeSets = getActiveCourseProfile().teeSets;
+    if (player && player.tee) {
+        const playerTee = teeSets.find(tee => tee.name.toLowerCase() === player.tee.toLowerCase());
+        if (playerTee) return playerTee;
+    }
+    return teeSets.find(tee => tee.id === _data.settings.teeSetId) || teeSets[0];
+}
+
+/**
+ * Calculates a player's WHS course handicap:
+ * Handicap Index x (Slope Rating / 113) + (Course Rating - Par), rounded.
+ * @param {object} player - The player object.
+ * @returns {number} The course handicap (plus handicaps are negative).
+ */
+function getCourseHandicap(player) {
+    const teeSet = getTeeSetForPlayer(player);
+    const par = getActiveCourseProfile().holes.reduce((sum, hole) => sum + hole.par, 0);
+    return Math.round(getNumericHandicap(player) * (teeSet.slope / STANDARD_SLOPE) + (teeSet.courseRating - par));
+}
+
+/**
+ * Calculates a player's playing handicap: the course handicap after the event's
+ * handicap allowance, rounded. Team totals, grouping and balancing all use this.
+ * @param {object} player - The player object.
+ * @returns {number} The playing handicap (plus handicaps are negative).
+ */
+function getPlayingHandicap(player) {
+    return Math.round(getCourseHandicap(player) * (_data.settings.handicapAllowance / 100));
+}
+
+/**
+ * Recalculates every team's total after a course, tee or allowance change.
+ */
+function recalculateTeamHandicaps() {
+    _data.teams.forEach(team => { team.totalHandicap = calculateTeamHandicap(team); });
+}
+
+/**
+ * Gets the number of teams a hole can take in a shotgun start.
+ * @param {number} hole - The hole number.
+ * @returns {number} The capacity, or 0 if the hole is not on the course.
+ */
+function getHoleCapacityInternal(hole) {
+    const holeData = getActiveCourseProfile().holes[hole - 1];
+    return holeData ? holeData.capacity : 0;
+}
+
+/**
+ * Places teams on holes in order: one team per hole first, then fills each
+ * hole's extra capacity (second slots, then third slots, and so on).
+ * @param {Array<object>} teamsToAssign - Teams in the order they should be placed.
+ * @returns {number} The number of teams placed.
+ */
+function fillHoleSlots(teamsToAssign) {
+    const holes = getActiveCourseProfile().holes;
+    const maxCapacity = Math.max(...holes.map(hole => hole.capacity));
+    let teamIndex = 0;
+
+    for (let pass = 1; pass <= maxCapacity && teamIndex < teamsToAssign.length; pass++) {
+        for (let i = 0; i < holes.length && teamIndex < teamsToAssign.length; i++) {
+            const hole = holes[i].number;
+            if (holes[i].capacity < pass) continue;
+            const teamId = teamsToAssign[teamIndex].id;
+            const assignResult = assignTeamToHole(teamId, hole);
+            if (assignResult.success) {
+                teamIndex++;
+            } else {
+                console.error(`Failed to assign team ${teamId} to hole ${hole}: ${assignResult.message}`);
+            }
+        }
+    }
+    return teamIndex;
+}
+
+/**
+ * Validates tee ratings.
+ * @param {string|number} slope - Slope rating.
+ * @param {string|number} courseRating - Course rating.
+ * @returns {{valid: boolean, slope?: number, courseRating?: number, message?: string}} Validation result.
+ */
+function validateTeeRatings(slope, courseRating) {
+    const slopeValue = Number(slope);
+    const ratingValue = Number(courseRating);
+    if (!Number.isInteger(slopeValue) || slopeValue < 55 || slopeValue > 155) {
+        return { valid: false, message: 'Slope rating must be a whole number from 55 to 155.' };
+    }
+    if (isNaN(ratingValue) || ratingValue <= 0 || ratingValue > 90) {
+        return { valid: false, message: 'Course rating must be a number between 0 and 90.' };
+    }
+    return { valid: true, slope: slopeValue, courseRating: ratingValue };
+}
+
+/**
+ * Builds the result object for the bulk assignment functions.
+ * @param {number} unplaced - Number of teams that did not fit on the course.
+ * @returns {{success: boolean, unplaced: number, message?: string}} Result object.
+ */
+function buildAssignmentResult(unplaced) {
+    if (unplaced > 0) {
+        const capacity = getActiveCourseProfile().holes.reduce((sum, hole) => sum + hole.capacity, 0);
+        return {
+            success: true,
+            unplaced,
+            message: `${unplaced} team(s) could not be placed: ${getActiveCourseProfile().name} takes at most ${capacity} teams.`
+        };
+    }
+    return { success: true, unplaced: 0 };
+}
+
 /**
  * Validates a player's name.
  * @param {string} name - The player's name.
@@ -63,411 +483,2696 @@ function validateHandicap(handicap) {
 }
 
 /**
- * Calculates the total handicap for a team.
- * Plus handicaps contribute negatively.
- * @param {object} team - The team object with a 'members' array.
- * @returns {number} The calculated team handicap.
+ * Orders players for grouping: lower playing handicap first, with the index breaking ties.
+ * @param {object} a - First player.
+ * @param {object} b - Second player.
+ * @returns {number} Sort order.
  */
-function calculateTeamHandicap(team) {
-    let total = 0;
-    if (team && team.members && team.members.length > 0) {
-        team.members.forEach(player => {
-            if (player) { // Check if player object exists (important for draft)
-                total += getNumericHandicap(player);
-            }
-        });
-    }
-    return total;
+function comparePlayersForGrouping(a, b) {
+    return getPlayingHandicap(a) - getPlayingHandicap(b) || getNumericHandicap(a) - getNumericHandicap(b);
 }
 
 /**
- * Gets the numeric value of a player's handicap (plus is negative).
- * @param {object} player - The player object.
- * @returns {number} The numeric handicap value.
+ * Finds the group a player is currently in. Players on a team count towards
+ * the group of their slot (slot order matches the group letters).
+ * @param {string} playerId - The player's ID.
+ * @returns {string|null} The group letter, or null if the player is not grouped.
  */
-const getNumericHandicap = (player) => player.isPlus ? -player.handicap : player.handicap;
+function findPlayerGroupLetter(playerId) {
+    const groupLetters = getGroupLetters();
+    const groupLetter = groupLetters.find(letter => _data.groups[letter].includes(playerId));
+    if (groupLetter) return groupLetter;
+    const placement = findPlayerTeamSlot(playerId);
+    return placement ? getSlotGroupLetter(placement.team, placement.slot) : null;
+}
 
 /**
- * Checks if enough players exist in each group to form at least one team.
- * @returns {boolean} True if a team can be formed, false otherwise.
+ * Gets the group letters in use: one group per team slot, following the team size setting.
+ * @returns {Array<string>} The group letters, in slot order.
  */
-function canFormTeam() {
-    const groups = _data.groups;
-    return groups.A.length > 0 && groups.B.length > 0 && groups.C.length > 0 && groups.D.length > 0;
+function getGroupLetters() {
+    return GROUP_LETTERS.slice(0, _data.settings.teamSize);
 }
 
 /**
- * Gets all teams that are not currently assigned to a hole.
- * @returns {Array<object>} An array of unassigned team objects.
+ * Creates an empty list of player IDs for each group in use.
+ * @returns {object} Empty arrays by group letter.
  */
-function getUnassignedTeamsInternal() {
-    const allTeams = _data.teams;
-    const assignedIds = new Set(getAssignedTeamIds()); 
-    return allTeams.filter(team => !assignedIds.has(team.id));
+function createEmptyGroups() {
+    return Object.fromEntries(getGroupLetters().map(letter => [letter, []]));
 }
 
-// --- Public API ---
-// Export functions and getters to be used by other modules.
+/**
+ * Gets the group a team slot holds players from. Slots follow the group letters;
+ * a long team's extra slot holds a second player from the team's extra group.
+ * @param {object} team - The team object.
+ * @param {number} slot - The slot index.
+ * @returns {string|null} The group letter, or null for an unknown slot.
+ */
+function getSlotGroupLetter(team, slot) {
+    const groupLetters = getGroupLetters();
+    return groupLetters[slot] || (slot === groupLetters.length && team.extraGroup) || null;
+}
 
-export function getDoubleStackedHoles() { return doubleStackedHoles; }
-export function getPlayers() { return _data.players; }
-export function getGroups() { return _data.groups; }
-export function getTeams() { return _data.teams; }
-export function getHoleAssignments() { return _data.holeAssignments; }
-export function getSettings() { return _data.settings; }
+/**
+ * Works out how a field is split into groups when it is not a multiple of the team size,
+ * following the uneven field setting:
+ * - threesomes: the chosen group is short, and teams without a player from it count a blind draw;
+ * - fivesome: the chosen group is long, and its extra players join teams as an extra player;
+ * - alternates: the last players added wait on an alternates list.
+ * The mode names describe a team size of four; smaller and larger teams are one player short or long the same way.
+ * @param {number} playerCount - Number of players on the roster.
+ * @returns {{sizes: object, alternateCount: number, shortTeams: number, longTeams: number, message?: string}}
+ *          Group sizes by letter, how many players become alternates, how many short and long teams
+ *          the field makes, and a message if the field cannot be split this way.
+ */
+function getFieldPlan(playerCount) {
+    const { mode, group } = _data.settings.unevenField;
+    const teamSize = _data.settings.teamSize;
+    const remainder = playerCount % teamSize;
+    const fullTeams = Math.floor(playerCount / teamSize);
+    const plan = { sizes: {}, alternateCount: 0, shortTeams: 0, longTeams: 0 };
+    getGroupLetters().forEach(letter => { plan.sizes[letter] = fullTeams; });
+    if (remainder === 0) return plan;
 
-export function setPlayers(players) { _data.players = players; }
-export function setGroups(groups) { _data.groups = groups; }
-export function setTeams(teams) { _data.teams = teams; }
-export function setHoleAssignments(assignments) { _data.holeAssignments = assignments; }
-export function updateSetting(key, value) { _data.settings[key] = value; }
+    if (mode === 'alternates') {
+        plan.alternateCount = remainder;
+    } else if (mode === 'fivesome') {
+        if (remainder > fullTeams) {
+            plan.message = `${playerCount} players cannot be split into teams of ${teamSize + 1}: ${remainder} extra players need ${remainder} teams, and there are only ${fullTeams}. Choose short teams or an alternates list.`;
+        }
+        plan.sizes[group] += remainder;
+        plan.longTeams = remainder;
+    } else {
+        const teamCount = fullTeams + 1;
+        plan.shortTeams = teamSize - remainder;
+        if (plan.shortTeams > teamCount) {
+            plan.message = `${playerCount} players cannot be split into teams of ${teamSize - 1}. Choose long teams or an alternates list.`;
+        }
+        getGroupLetters().forEach(letter => { plan.sizes[letter] = letter === group ? teamCount - plan.shortTeams : teamCount; });
+    }
+    return plan;
+}
 
 /**
- * Resets all player, group, team, and assignment data. Settings are preserved.
+ * Checks the handicap cutoffs: every group but the last needs one, and they must rise from group to group.
+ * @returns {string|null} A message describing the problem, or null if the cutoffs can be used.
  */
-export function resetAll() {
-    _data.players = [];
-    _data.groups = { A: [], B: [], C: [], D: [] };
-    _data.teams = [];
-    _data.holeAssignments = {};
-    _data.interactiveDraftState = null; // Reset draft state
+function getThresholdIssue() {
+    const cutoffs = _data.settings.groupThresholds;
+    const letters = getGroupLetters().slice(0, -1); // The last group takes everyone above the cutoffs
+    for (const [index, letter] of letters.entries()) {
+        if (typeof cutoffs[letter] !== 'number') {
+            return `Set a handicap cutoff for Group ${letter}.`;
+        }
+        const previous = letters[index - 1];
+        if (previous && cutoffs[letter] <= cutoffs[previous]) {
+            return `Handicap cutoffs must rise from group to group: Group ${letter} (${cutoffs[letter]}) is not above Group ${previous} (${cutoffs[previous]}).`;
+        }
+    }
+    return null;
 }
 
 /**
- * Adds a new player after validation.
- * @param {string} nameInput - Player name string.
- * @param {string} handicapInput - Handicap string.
- * @returns {{valid: boolean, player?: object, errors?: object}} Result object.
+ * Splits the roster into groups by playing handicap, following the field plan, or the
+ * handicap cutoffs when grouping by thresholds. Group sizes follow the cutoffs, so they may be unequal.
+ * @returns {{groups?: object, alternates?: Array<string>, message?: string}} Player IDs by group letter
+ *          and the alternates, or a message if the field cannot be split.
  */
-export function addPlayer(nameInput, handicapInput) {
-    const nameValidation = validatePlayerName(nameInput);
-    const handicapValidation = validateHandicap(handicapInput);
-    if (!nameValidation.valid || !handicapValidation.valid) {
-        return {
-            valid: false,
-            errors: {
-                name: nameValidation.valid ? null : nameValidation.message,
-                handicap: handicapValidation.valid ? null : handicapValidation.message
-            }
-        };
+function buildGroups() {
+    const byThresholds = _data.settings.groupingMode === 'thresholds';
+    const plan = getFieldPlan(_data.players.length);
+    const issue = byThresholds ? getThresholdIssue() : plan.message;
+    if (issue) return { message: issue };
+
+    const alternates = _data.players.slice(_data.players.length - plan.alternateCount).map(player => player.id);
+    const sortedPlayers = _data.players
+        .filter(player => !alternates.includes(player.id))
+        .sort(comparePlayersForGrouping);
+    const groupLetters = getGroupLetters();
+    const groups = createEmptyGroups();
+    if (byThresholds) {
+        const cutoffs = _data.settings.groupThresholds;
+        sortedPlayers.forEach(player => {
+            const playingHandicap = getPlayingHandicap(player);
+            const groupLetter = groupLetters.find((letter, index) =>
+                index === groupLetters.length - 1 || playingHandicap <= cutoffs[letter]);
+            groups[groupLetter].push(player.id);
+        });
+        return { groups, alternates };
     }
-    const player = {
-        name: nameInput.trim(),
-        handicap: handicapValidation.value,
-        isPlus: handicapValidation.isPlus,
-        displayHandicap: handicapValidation.isPlus ? `+${handicapValidation.value}` : handicapValidation.value.toString()
-    };
-    _data.players.push(player);
-    return { valid: true, player };
+    let start = 0;
+    for (const groupLetter of groupLetters) {
+        groups[groupLetter] = sortedPlayers.slice(start, start + plan.sizes[groupLetter]).map(player => player.id);
+        start += plan.sizes[groupLetter];
+    }
+    return { groups, alternates };
 }
 
 /**
- * Removes a player by index.
- * @param {number} index - The index of the player to remove.
- * @returns {boolean} True if removal was successful.
+ * Gets the group whose slot a threesome leaves open, or null if the field does not use threesomes.
+ * @returns {string|null} The group letter.
  */
-export function removePlayer(index) {
-    if (index >= 0 && index < _data.players.length) {
-        _data.players.splice(index, 1);
-        _data.interactiveDraftState = null; // Reset draft if player removed
-        return true;
+function getBlindDrawGroup() {
+    return _data.settings.unevenField.mode === 'threesomes' ? _data.settings.unevenField.group : null;
+}
+
+/**
+ * Gives long teams their extra player once the chosen group has more players left
+ * than the teams still to be formed can take.
+ * @param {Array<object>} teams - Teams that may take a fifth player, in order.
+ */
+function placeExtraPlayers(teams) {
+    const { mode, group } = _data.settings.unevenField;
+    if (mode !== 'fivesome') return;
+    const otherLetters = getGroupLetters().filter(letter => letter !== group);
+    const teamsStillToForm = Math.min(...otherLetters.map(letter => _data.groups[letter].length));
+    let surplus = _data.groups[group].length - teamsStillToForm;
+    const rules = getPairingRulesToApply(true);
+    for (const team of teams) {
+        if (surplus <= 0) break;
+        if (team.playerIds.length !== _data.settings.teamSize || team.playerIds.includes(null)) continue;
+        // Pick the player who breaks the fewest pairing rules on this team
+        const candidates = [..._data.groups[group]];
+        const violations = candidates.map(playerId => countRuleViolations([...team.playerIds, playerId], rules));
+        const fewest = Math.min(...violations);
+        const eligible = candidates.filter((playerId, index) => violations[index] === fewest);
+        const playerId = eligible[Math.floor(_teamRandom() * eligible.length)];
+        _data.groups[group].splice(_data.groups[group].indexOf(playerId), 1);
+        team.playerIds.push(playerId);
+        team.extraGroup = group;
+        team.totalHandicap = calculateTeamHandicap(team);
+        surplus--;
     }
-    return false;
 }
 
 /**
- * Groups players into A, B, C, D based on handicap.
- * @returns {{success: boolean, message?: string}} Result object.
+ * Gets the order teams pick in during a draft round. Linear drafts use the same order every round;
+ * snake drafts reverse it every other round.
+ * @param {object} state - The interactive draft state.
+ * @param {number} roundIndex - The round.
+ * @returns {Array<number>} Team indexes in picking order.
  */
-export function groupPlayers() {
-    if (_data.players.length < 4) {
-        return { success: false, message: "Please add at least 4 players to form groups." };
-    }
-    _data.groups = { A: [], B: [], C: [], D: [] };
-    const sortedPlayers = [..._data.players].sort((a, b) => {
-        const handicapA = getNumericHandicap(a);
-        const handicapB = getNumericHandicap(b);
-        return handicapA - handicapB; // Lower numeric handicap is better
-    });
-    const quarterSize = Math.ceil(sortedPlayers.length / 4);
-    _data.groups.A = sortedPlayers.slice(0, quarterSize);
-    _data.groups.B = sortedPlayers.slice(quarterSize, quarterSize * 2);
-    _data.groups.C = sortedPlayers.slice(quarterSize * 2, quarterSize * 3);
-    _data.groups.D = sortedPlayers.slice(quarterSize * 3);
-    _data.interactiveDraftState = null; // Reset draft state on regroup
+function getDraftTeamOrder(state, roundIndex) {
+    const order = Array.from({ length: state.numTeams }, (value, index) => index);
+    return state.order === 'snake' && roundIndex % 2 === 1 ? order.reverse() : order;
+}
+
+/**
+ * Moves the draft on to the next turn, and on to the next round after the last team's turn.
+ * @param {object} state - The interactive draft state.
+ */
+function advanceDraftTurn(state) {
+    state.currentPickInRound++;
+    if (state.currentPickInRound >= state.numTeams) {
+        state.currentPickInRound = 0;
+        state.currentRoundIndex++;
+    }
+}
+
+/**
+ * Sets the team whose turn it is, moving past turns with nothing to pick: a captain already
+ * fills the team's slot for the round's group, or the blind draw group has run out
+ * (those teams become threesomes and keep the slot open).
+ * @param {object} state - The interactive draft state.
+ */
+function settleDraftTurn(state) {
+    const groupLetters = getGroupLetters();
+    const blindDrawGroup = getBlindDrawGroup();
+    while (state.currentRoundIndex < state.draftOrder.length) {
+        const groupLetter = state.draftOrder[state.currentRoundIndex];
+        state.currentTeamIndex = getDraftTeamOrder(state, state.currentRoundIndex)[state.currentPickInRound];
+        const slotFilled = state.draftedTeamsData[state.currentTeamIndex].playerIds[groupLetters.indexOf(groupLetter)] !== null;
+        const slotOpen = groupLetter === blindDrawGroup && state.availableGroups[groupLetter].length === 0;
+        if (!slotFilled && !slotOpen) return;
+        advanceDraftTurn(state);
+    }
+}
+
+/**
+ * Adds up the playing handicaps of the players drafted onto a team so far.
+ * @param {Array<string|null>} playerIds - The team's slots; null for open slots.
+ * @returns {number} The team's partial handicap.
+ */
+function calculatePartialHandicap(playerIds) {
+    return playerIds.reduce((sum, id) => sum + (id ? getPlayingHandicap(getPlayerById(id)) : 0), 0);
+}
+
+/**
+ * Describes the pairing rule a draft pick would break for the team whose turn it is.
+ * @param {object} state - The interactive draft state.
+ * @param {string} playerId - The picked player.
+ * @returns {string|undefined} The warning, or undefined if the pick keeps the rules.
+ */
+function getDraftPickRuleWarning(state, playerId) {
+    const groupLetter = state.draftOrder[state.currentRoundIndex];
+    const partialIds = state.draftedTeamsData[state.currentTeamIndex].playerIds;
+    const ruleContext = createRuleContext(getPairingRulesToApply(true), state.availableGroups);
+    const blockingRule = findBlockingRule(playerId, getGroupLetters().indexOf(groupLetter), partialIds, ruleContext);
+    return blockingRule ?
+        `Picking ${getPlayerName(playerId)} for Team ${state.firstTeamId + state.currentTeamIndex} breaks ${describePairingRule(blockingRule)}.` : undefined;
+}
+
+/**
+ * Checks that a saved draft, whose shape has been checked, still matches the groups: it drafts only
+ * groups in use, and every player it holds is still waiting in the group the draft has them in.
+ * @param {object} state - The saved draft state.
+ * @param {object} groups - The groups it is loaded with.
+ * @param {Array<string>} groupLetters - The group letters in use.
+ * @returns {boolean} True if the draft can be resumed.
+ */
+function isDraftStateUsable(state, groups, groupLetters) {
+    const inGroup = (playerId, letter) => Array.isArray(groups[letter]) && groups[letter].includes(playerId);
+    return state.draftOrder.every(letter => groupLetters.includes(letter)) &&
+        state.draftedTeamsData.every(teamData => teamData.playerIds.length === groupLetters.length &&
+            teamData.playerIds.every((playerId, slot) => playerId === null || inGroup(playerId, groupLetters[slot]))) &&
+        Object.keys(state.availableGroups).every(letter => state.availableGroups[letter].every(playerId => inGroup(playerId, letter)));
+}
+
+/**
+ * Places a drafted player on the team whose turn it is, logs the pick and moves to the next turn.
+ * @param {object} state - The interactive draft state.
+ * @param {string} playerId - The picked player.
+ * @param {string} method - 'captain' for a captain's own pick, 'auto' or 'clock' for automatic picks.
+ * @param {string} [ruleWarning] - Pairing rule the pick breaks, if any.
+ * @returns {object} The pick result (see makeCaptainPick).
+ */
+function recordDraftPick(state, playerId, method, ruleWarning) {
+    const teamIndex = state.currentTeamIndex;
+    const groupLetter = state.draftOrder[state.currentRoundIndex];
+    const available = state.availableGroups[groupLetter];
+    const player = getPlayerById(playerId);
+
+    state.draftedTeamsData[teamIndex].playerIds[getGroupLetters().indexOf(groupLetter)] = playerId;
+    state.draftedTeamsData[teamIndex].partialHandicap += getPlayingHandicap(player);
+    available.splice(available.indexOf(playerId), 1);
+    state.pickLog.push({
+        pick: state.pickLog.length + 1,
+        round: state.currentRoundIndex + 1,
+        teamIndex,
+        groupLetter,
+        playerId,
+        method
+    });
+
+    advanceDraftTurn(state);
+    settleDraftTurn(state);
+    return {
+        success: true,
+        player,
+        teamIndex,
+        groupLetter,
+        isDraftComplete: state.currentRoundIndex >= state.draftOrder.length,
+        ruleWarning,
+        updatedState: state
+    };
+}
+
+/**
+ * Works out the group a player would be placed in if the players were grouped now.
+ * @param {string} playerId - The player's ID.
+ * @returns {string|null} The group letter, or null if the player would not be in a group.
+ */
+function getGroupingLetterFor(playerId) {
+    const { groups } = buildGroups();
+    if (!groups) return null;
+    return Object.keys(groups).find(letter => groups[letter].includes(playerId)) || null;
+}
+
+/**
+ * Reads and validates every data row of an import file.
+ * @param {string} csv - The CSV or TSV content.
+ * @param {{mapping?: object, hasHeader?: boolean}} options - Overrides for the detected layout.
+ * @returns {{rows: Array<{line: number, name: string, handicapInput: string, player: (object|null), errors: Array<string>}>, errors: Array<string>}}
+ *          One entry per row (player is null when the row is invalid) and file-level errors.
+ */
+function readImportFile(csv, options) {
+    const analysis = analyzeImport(csv, options.hasHeader);
+    const mapping = options.mapping || analysis.mapping;
+    const errors = [...analysis.errors];
+
+    const hasNameColumn = ['lastName', 'firstName', 'fullName'].some(key => mapping[key] !== undefined && mapping[key] !== null);
+    if (!hasNameColumn || mapping.handicap === undefined || mapping.handicap === null) {
+        errors.push("Please choose the name and handicap columns. Format should be LastName,FirstName,Handicap");
+        return { rows: [], errors };
+    }
+
+    const rows = analysis.rows.map(row => {
+        const values = readImportRow(row.fields, mapping);
+        const rowErrors = [];
+        const nameValidation = validatePlayerName(values.name);
+        if (!nameValidation.valid) rowErrors.push(`Invalid name in line ${row.line}: ${nameValidation.message}`);
+        const handicapValidation = validateHandicap(values.handicapInput);
+        if (!handicapValidation.valid) rowErrors.push(`Invalid handicap format in line ${row.line}: ${handicapValidation.message}`);
+
+        let player = null;
+        if (rowErrors.length === 0) {
+            player = {
+                id: createId('player'),
+                name: values.name,
+                handicap: handicapValidation.value,
+                isPlus: handicapValidation.isPlus,
+                displayHandicap: handicapValidation.isPlus ?
+                    `+${handicapValidation.value}` :
+                    handicapValidation.value.toString()
+            };
+            if (values.ghin) player.ghin = values.ghin;
+            if (values.email) player.email = values.email;
+            if (values.tee) player.tee = values.tee;
+        }
+        return { line: row.line, name: values.name, handicapInput: values.handicapInput, player, errors: rowErrors };
+    });
+    return { rows, errors };
+}
+
+/**
+ * Finds a player by ID.
+ * @param {string} playerId - The player's ID.
+ * @returns {object | undefined} The player object or undefined if not found.
+ */
+function getPlayerById(playerId) {
+    return _data.players.find(player => player.id === playerId);
+}
+
+/**
+ * Upgrades saved data to reference players by ID. Saves made before players had IDs hold
+ * separate copies of each player in the groups and teams; each copy is matched back to its
+ * roster entry by name and handicap. Scores saved by team slot move to the player.
+ * @param {object} parsedData - The parsed saved data (modified in place).
+ */
+function migratePlayerReferences(parsedData) {
+    const players = parsedData.players || (parsedData.players = []);
+    players.forEach(player => {
+        if (!player.id) player.id = createId('player');
+    });
+
+    const claimed = new Set();
+    const toPlayerId = ref => {
+        if (ref === null || ref === undefined) return null;
+        if (typeof ref === 'string') return ref;
+        const isMatch = player => player.name === ref.name && player.handicap === ref.handicap &&
+            Boolean(player.isPlus) === Boolean(ref.isPlus);
+        let match = players.find(player => isMatch(player) && !claimed.has(player.id)) || players.find(isMatch);
+        if (!match) { // A copy with no roster entry is added to the roster
+            match = { ...ref, id: createId('player') };
+            players.push(match);
+        }
+        claimed.add(match.id);
+        return match.id;
+    };
+
+    const groups = parsedData.groups || (parsedData.groups = {});
+    Object.keys(groups).forEach(groupLetter => {
+        groups[groupLetter] = (groups[groupLetter] || []).map(toPlayerId).filter(Boolean);
+    });
+
+    const legacyScores = parsedData.scores || {};
+    const scoresByPlayer = {};
+    let hasLegacyTeams = false;
+    (parsedData.teams || []).forEach(team => {
+        if (!team.members) return;
+        hasLegacyTeams = true;
+        team.playerIds = team.members.map(toPlayerId);
+        const teamScores = legacyScores[team.id] || {};
+        team.playerIds.forEach((playerId, slot) => {
+            if (playerId && teamScores[slot]) scoresByPlayer[playerId] = teamScores[slot];
+        });
+        delete team.members;
+    });
+    if (hasLegacyTeams) parsedData.scores = scoresByPlayer;
+}
+
+/**
+ * Upgrades a saved draft to the current draft state. Drafts saved before captains and pick logs
+ * cannot be resumed and are dropped; drafts saved before picks could be undone get an empty redo list.
+ * @param {object} parsedData - The parsed saved data (modified in place).
+ */
+function migrateDraftState(parsedData) {
+    const state = parsedData.interactiveDraftState;
+    if (!isPlainObject(state)) return;
+    if (!Array.isArray(state.pickLog)) {
+        parsedData.interactiveDraftState = null;
+    } else if (state.redoPicks === undefined) {
+        state.redoPicks = [];
+    }
+}
+
+/**
+ * Upgrades saved event data to the current schema version, one version at a time.
+ * @param {object} data - The saved event data (modified in place).
+ * @returns {{success: boolean, fromVersion?: number, message?: string}} Result object with the version the data had.
+ */
+function migrateEventData(data) {
+    const fromVersion = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        return { success: false, message: `The event data has an unknown version (${data.schemaVersion}).` };
+    }
+    if (fromVersion > EVENT_SCHEMA_VERSION) {
+        return { success: false, message: `The event data is version ${fromVersion}, made by a newer version of this app (this one reads up to version ${EVENT_SCHEMA_VERSION}).` };
+    }
+    for (let version = fromVersion; version < EVENT_SCHEMA_VERSION; version++) {
+        EVENT_MIGRATIONS[version](data);
+        data.schemaVersion = version + 1;
+    }
+    return { success: true, fromVersion };
+}
+
+/**
+ * Checks the shape of saved event data field by field: every list, object, ID and value is of the
+ * right kind. References to players and teams that are not in the event are not errors here;
+ * dropDanglingReferences removes them. Settings are checked separately by mergeSettings.
+ * @param {object} data - Event data at the current schema version.
+ * @returns {Array<string>} A description of each problem found.
+ */
+function findEventDataErrors(data) {
+    const errors = [];
+    const checkList = (key, describe, checkItem) => {
+        if (data[key] === undefined) return;
+        if (!Array.isArray(data[key])) {
+            errors.push(`${describe} must be a list.`);
+            return;
+        }
+        data[key].forEach((item, index) => {
+            if (!isPlainObject(item)) errors.push(`${describe}: entry ${index + 1} must be an object.`);
+            else checkItem(item, index);
+        });
+    };
+    const checkPlayerIds = (ids, where, allowOpenSlots = false) => {
+        if (!Array.isArray(ids)) errors.push(`${where} must be a list of players.`);
+        else if (!ids.every(playerId => (typeof playerId === 'string' && playerId !== '') || (allowOpenSlots && playerId === null))) {
+            errors.push(`${where} has an entry that is not a player ID.`);
+        }
+    };
+
+    const playerIds = new Set();
+    const playerNames = {};
+    if (!Array.isArray(data.players)) errors.push("Players must be a list.");
+    checkList('players', 'Players', (player, index) => {
+        const where = `Player ${index + 1}${typeof player.name === 'string' && player.name.trim() ? ` (${player.name})` : ''}`;
+        if (typeof player.id !== 'string' || player.id === '') errors.push(`${where} has no ID.`);
+        else if (playerIds.has(player.id)) errors.push(`${where} has the same ID as another player.`);
+        else {
+            playerIds.add(player.id);
+            playerNames[player.id] = player.name;
+        }
+        if (typeof player.name !== 'string' || player.name.trim() === '') errors.push(`${where} has no name.`);
+        if (!isAmount(player.handicap) || player.handicap > 54) errors.push(`${where} needs a handicap from 0 to 54.`);
+        if (player.isPlus !== undefined && typeof player.isPlus !== 'boolean') errors.push(`${where} has an invalid plus handicap flag.`);
+        if (player.tee !== undefined && typeof player.tee !== 'string') errors.push(`${where} has an invalid tee.`);
+    });
+
+    if (data.groups !== undefined) {
+        if (!isPlainObject(data.groups)) {
+            errors.push("Groups must be an object of player lists by group letter.");
+        } else {
+            Object.keys(data.groups).forEach(letter => {
+                if (!GROUP_LETTERS.includes(letter)) errors.push(`Group ${letter} is not a group letter (${GROUP_LETTERS.join(', ')}).`);
+                else checkPlayerIds(data.groups[letter], `Group ${letter}`);
+            });
+        }
+    }
+
+    const teamIds = new Set();
+    checkList('teams', 'Teams', (team, index) => {
+        const where = `Team ${Number.isInteger(team.id) ? team.id : `entry ${index + 1}`}`;
+        if (!Number.isInteger(team.id) || team.id < 1) errors.push(`Teams: entry ${index + 1} needs a whole-number ID.`);
+        else if (teamIds.has(team.id)) errors.push(`${where} appears more than once.`);
+        else teamIds.add(team.id);
+        checkPlayerIds(team.playerIds, where, true);
+        if (team.extraGroup !== undefined && !GROUP_LETTERS.includes(team.extraGroup)) errors.push(`${where} has an unknown extra player group (${team.extraGroup}).`);
+    });
+
+    if (data.holeAssignments !== undefined) {
+        if (!isPlainObject(data.holeAssignments)) {
+            errors.push("Hole assignments must be an object of team lists by hole number.");
+        } else {
+            Object.keys(data.holeAssignments).forEach(hole => {
+                const assigned = data.holeAssignments[hole];
+                if (!/^[1-9]\d*$/.test(hole)) errors.push(`Hole assignments: "${hole}" is not a hole number.`);
+                else if (!Array.isArray(assigned) || !assigned.every(Number.isInteger)) errors.push(`Hole ${hole} assignments must be a list of team IDs.`);
+            });
+        }
+    }
+
+    if (data.scores !== undefined) {
+        if (!isPlainObject(data.scores)) {
+            errors.push("Scores must be an object of scores by player.");
+        } else {
+            Object.keys(data.scores).forEach(playerId => {
+                const playerScores = data.scores[playerId];
+                const name = playerNames[playerId] || playerId;
+                if (!isPlainObject(playerScores)) errors.push(`Scores for ${name} must be an object of scores by hole.`);
+                else Object.keys(playerScores).forEach(hole => {
+                    const score = playerScores[hole];
+                    if (!Number.isInteger(score) || score < 1 || score > MAX_GROSS_SCORE) {
+                        errors.push(`The score for ${name} on hole ${hole} must be a whole number from 1 to ${MAX_GROSS_SCORE}.`);
+                    }
+                });
+            });
+        }
+    }
+
+    checkList('pairingRules', 'Pairing rules', (rule, index) => {
+        if (!PAIRING_RULE_TYPES.includes(rule.type)) errors.push(`Pairing rule ${index + 1} has an unknown type (${rule.type}).`);
+        if (!Array.isArray(rule.playerIds) || rule.playerIds.length !== 2) errors.push(`Pairing rule ${index + 1} must name two players.`);
+        else checkPlayerIds(rule.playerIds, `Pairing rule ${index + 1}`);
+    });
+    if (data.alternates !== undefined) checkPlayerIds(data.alternates, 'The alternates list');
+
+    checkList('courseProfiles', 'Course profiles', (profile, index) => {
+        const where = `Course ${typeof profile.name === 'string' && profile.name ? `"${profile.name}"` : index + 1}`;
+        if (typeof profile.id !== 'string' || profile.id === '') errors.push(`${where} has no ID.`);
+        if (typeof profile.name !== 'string' || profile.name.trim() === '') errors.push(`${where} has no name.`);
+        if (!Array.isArray(profile.holes) || profile.holes.length === 0 || profile.holes.length > MAX_COURSE_HOLES) {
+            errors.push(`${where} must have from 1 to ${MAX_COURSE_HOLES} holes.`);
+        } else if (!profile.holes.every(hole => isPlainObject(hole) && Number.isInteger(hole.number) && Number.isInteger(hole.par))) {
+            errors.push(`${where} has a hole without a whole-number hole number and par.`);
+        }
+        if (profile.teeSets === undefined) return;
+        if (!Array.isArray(profile.teeSets)) {
+            errors.push(`${where}: tee sets must be a list.`);
+        } else if (!profile.teeSets.every(tee => isPlainObject(tee) && typeof tee.id === 'string' && typeof tee.name === 'string' &&
+                isAmount(tee.slope) && tee.slope > 0 && isAmount(tee.courseRating))) {
+            errors.push(`${where} has a tee set without an ID, name, slope rating and course rating.`);
+        }
+    });
+
+    if (data.settings !== undefined && !isPlainObject(data.settings)) errors.push("Settings must be an object.");
+    if (data.interactiveDraftState !== undefined && data.interactiveDraftState !== null) {
+        errors.push(...findDraftStateErrors(data.interactiveDraftState));
+    }
+    return errors;
+}
+
+/**
+ * Checks the shape of a saved draft: its counts, turn indexes, group letters and player lists.
+ * Whether the draft still matches the groups is checked when it is loaded (see isDraftStateUsable).
+ * @param {object} state - The saved draft state.
+ * @returns {Array<string>} A description of each problem found.
+ */
+function findDraftStateErrors(state) {
+    if (!isPlainObject(state)) return ["The draft in progress must be an object."];
+    const errors = [];
+    const isIndex = (value, limit) => Number.isInteger(value) && value >= 0 && value <= limit;
+    const isPlayerId = playerId => typeof playerId === 'string' && playerId !== '';
+    const { numTeams, draftOrder } = state;
+    if (!Number.isInteger(numTeams) || numTeams < 1) {
+        return ["The draft in progress needs a whole number of teams."];
+    }
+    if (!Array.isArray(draftOrder) || !draftOrder.every(letter => GROUP_LETTERS.includes(letter))) {
+        return ["The draft in progress needs a list of group letters to draft from."];
+    }
+
+    if (!Number.isInteger(state.firstTeamId) || state.firstTeamId < 1) errors.push("The draft in progress needs a whole-number first team ID.");
+    if (!DRAFT_ORDERS.includes(state.order)) errors.push(`The draft in progress has an unknown order (${state.order}).`);
+    if (!Number.isInteger(state.pickSeconds) || state.pickSeconds < 0 || state.pickSeconds > MAX_PICK_SECONDS) {
+        errors.push(`The draft in progress needs a pick clock from 0 to ${MAX_PICK_SECONDS} seconds.`);
+    }
+    if (!Array.isArray(state.captainIds) || state.captainIds.length !== numTeams || !state.captainIds.every(isPlayerId)) {
+        errors.push(`The draft in progress needs one captain for each of its ${numTeams} teams.`);
+    }
+    if (!isIndex(state.currentRoundIndex, draftOrder.length)) errors.push("The draft in progress has an invalid round.");
+    if (!isIndex(state.currentTeamIndex, numTeams - 1)) errors.push("The draft in progress has an invalid team on the clock.");
+    if (!isIndex(state.currentPickInRound, numTeams)) errors.push("The draft in progress has an invalid pick number.");
+    if (!isPlainObject(state.availableGroups) || !Object.keys(state.availableGroups).every(letter =>
+            GROUP_LETTERS.includes(letter) && Array.isArray(state.availableGroups[letter]) && state.availableGroups[letter].every(isPlayerId))) {
+        errors.push("The draft in progress needs a list of available players for each group.");
+    }
+    const teams = state.draftedTeamsData;
+    if (!Array.isArray(teams) || teams.length !== numTeams || !teams.every(teamData => isPlainObject(teamData) &&
+            Array.isArray(teamData.playerIds) && teamData.playerIds.length === teams[0].playerIds.length &&
+            teamData.playerIds.every(playerId => playerId === null || isPlayerId(playerId)) && typeof teamData.partialHandicap === 'number')) {
+        errors.push(`The draft in progress needs ${numTeams} teams, each with the same number of player slots.`);
+    }
+    const isPick = entry => isPlainObject(entry) && isIndex(entry.teamIndex, numTeams - 1) &&
+        draftOrder.includes(entry.groupLetter) && isPlayerId(entry.playerId);
+    if (!Array.isArray(state.pickLog) || !state.pickLog.every(isPick)) errors.push("The draft in progress has an invalid pick log.");
+    if (!Array.isArray(state.redoPicks) || !state.redoPicks.every(isPick)) errors.push("The draft in progress has an invalid list of undone picks.");
+    if (typeof state.targetTeamHandicap !== 'number' || typeof state.avgPlayerHandicap !== 'number') {
+        errors.push("The draft in progress needs its balancing targets.");
+    }
+    return errors;
+}
+
+/**
+ * Removes references to players and teams that are not in the event: group and alternate entries,
+ * team slots (left open), hole assignments, scores and pairing rules. Older versions could leave
+ * these behind, e.g. hole assignments for teams that were cleared.
+ * @param {object} data - Event data whose shape has been checked (modified in place).
+ * @param {Array<string>} warnings - Receives a note for each reference removed.
+ */
+function dropDanglingReferences(data, warnings) {
+    const playerIds = new Set(data.players.map(player => player.id));
+    const teamIds = new Set((data.teams || []).map(team => team.id));
+    const isKnown = playerId => playerIds.has(playerId);
+
+    Object.keys(data.groups || {}).forEach(letter => {
+        data.groups[letter].filter(playerId => !isKnown(playerId)).forEach(playerId =>
+            warnings.push(`Group ${letter} listed a player who is not in the event (${playerId}); they were removed from it.`));
+        data.groups[letter] = data.groups[letter].filter(isKnown);
+    });
+    (data.teams || []).forEach(team => {
+        team.playerIds.forEach((playerId, slot) => {
+            if (playerId === null || isKnown(playerId)) return;
+            warnings.push(`Team ${team.id} listed a player who is not in the event (${playerId}); the slot was left open.`);
+            team.playerIds[slot] = null;
+        });
+    });
+    Object.keys(data.holeAssignments || {}).forEach(hole => {
+        data.holeAssignments[hole].filter(teamId => !teamIds.has(teamId)).forEach(teamId =>
+            warnings.push(`Hole ${hole} was assigned a team that is not in the event (Team ${teamId}); the assignment was removed.`));
+        data.holeAssignments[hole] = data.holeAssignments[hole].filter(teamId => teamIds.has(teamId));
+        if (data.holeAssignments[hole].length === 0) delete data.holeAssignments[hole];
+    });
+    Object.keys(data.scores || {}).filter(playerId => !isKnown(playerId)).forEach(playerId => {
+        warnings.push(`Scores for a player who is not in the event (${playerId}) were removed.`);
+        delete data.scores[playerId];
+    });
+    if (data.pairingRules) {
+        const kept = data.pairingRules.filter(rule => rule.playerIds.every(isKnown));
+        if (kept.length < data.pairingRules.length) {
+            warnings.push(`${data.pairingRules.length - kept.length} pairing rule(s) named a player who is not in the event and were removed.`);
+        }
+        data.pairingRules = kept;
+    }
+    if (data.alternates) {
+        data.alternates.filter(playerId => !isKnown(playerId)).forEach(playerId =>
+            warnings.push(`The alternates list had a player who is not in the event (${playerId}); they were removed from it.`));
+        data.alternates = data.alternates.filter(isKnown);
+    }
+}
+
+/**
+ * Builds an event's settings from saved settings, setting by setting: saved values that pass
+ * their check replace the default, and missing settings (from older saves) keep it.
+ * @param {object} [savedSettings] - The saved settings.
+ * @param {Array<string>} warnings - Receives a note for each saved setting that was not used.
+ * @returns {object} The settings.
+ */
+function mergeSettings(savedSettings, warnings) {
+    const settings = createDefaultSettings();
+    const keys = Object.keys(savedSettings || {}).sort((a, b) => (b === 'teamSize') - (a === 'teamSize')); // Team size first
+    keys.forEach(key => {
+        if (!SETTING_CHECKS[key]) {
+            warnings.push(`The unknown setting "${key}" was ignored.`);
+        } else if (SETTING_CHECKS[key](savedSettings[key], settings)) {
+            settings[key] = savedSettings[key];
+        } else {
+            warnings.push(`The setting "${key}" had an invalid value (${JSON.stringify(savedSettings[key])}) and was reset to the default.`);
+        }
+    });
+    const groupLetters = GROUP_LETTERS.slice(0, settings.teamSize);
+    if (!groupLetters.includes(settings.unevenField.group)) { // The default group is not used by small teams
+        settings.unevenField.group = groupLetters[groupLetters.length - 1];
+    }
+    return settings;
+}
+
+/**
+ * Calculates the total playing handicap for a team.
+ * Plus handicaps contribute negatively.
+ * @param {object} team - The team object with a 'playerIds' array.
+ * @returns {number} The calculated team handicap.
+ */
+function calculateTeamHandicap(team) {
+    let total = 0;
+    if (team && team.playerIds && team.playerIds.length > 0) {
+        team.playerIds.forEach(playerId => {
+            const player = playerId ? getPlayerById(playerId) : null;
+            if (player) { // Empty slots are null (important for draft)
+                total += getPlayingHandicap(player);
+            }
+        });
+    }
+    return total;
+}
+
+/**
+ * Gets the numeric value of a player's handicap (plus is negative).
+ * @param {object} player - The player object.
+ * @returns {number} The numeric handicap value.
+ */
+const getNumericHandicap = (player) => player.isPlus ? -player.handicap : player.handicap;
+
+/**
+ * Checks if enough players exist in each group to form at least one team.
+ * @returns {boolean} True if a team can be formed, false otherwise.
+ */
+function canFormTeam() {
+    const groups = _data.groups;
+    const blindDrawGroup = getBlindDrawGroup();
+    // Once the blind draw group runs out, the remaining teams are threesomes
+    return getGroupLetters().every(letter => groups[letter].length > 0 || letter === blindDrawGroup);
+}
+
+/**
+ * Gets the handicap teams are balanced on: the team's average playing handicap per player,
+ * times the team size. A full team's is its total; threesomes and fivesomes are scaled to
+ * the same number of players, so they compare fairly with full teams.
+ * @param {object} team - Team object with a 'totalHandicap' property.
+ * @returns {number} The balance handicap, or 0 for a team without players.
+ */
+function getBalanceHandicap(team) {
+    const playerCount = team.playerIds.filter(Boolean).length;
+    return playerCount > 0 ? team.totalHandicap / playerCount * _data.settings.teamSize : 0;
+}
+
+/**
+ * Gets the spread between the highest and lowest team balance handicap (see getBalanceHandicap).
+ * @param {Array<object>} teams - Team objects with a 'totalHandicap' property.
+ * @returns {number} The spread, or 0 if there are fewer than 2 teams.
+ */
+function getHandicapSpread(teams) {
+    if (!teams || teams.length < 2) return 0;
+    const handicaps = teams.map(getBalanceHandicap);
+    return Math.max(...handicaps) - Math.min(...handicaps);
+}
+
+/**
+ * Gets the variance of team balance handicaps (see getBalanceHandicap) around their mean.
+ * @param {Array<object>} teams - Team objects with a 'totalHandicap' property.
+ * @returns {number} The variance, or 0 if there are no teams.
+ */
+function getHandicapVariance(teams) {
+    if (!teams || teams.length === 0) return 0;
+    const handicaps = teams.map(getBalanceHandicap);
+    const mean = handicaps.reduce((sum, handicap) => sum + handicap, 0) / handicaps.length;
+    return handicaps.reduce((sum, handicap) => sum + (handicap - mean) ** 2, 0) / handicaps.length;
+}
+
+/**
+ * Calculates balance metrics for a set of teams, from their balance handicaps (see getBalanceHandicap).
+ * @param {Array<object>} teams - Team objects with a 'totalHandicap' property.
+ * @returns {{teamCount: number, mean: number, variance: number, stdDev: number, spread: number}} Metrics.
+ */
+function getBalanceMetrics(teams) {
+    const teamCount = teams ? teams.length : 0;
+    const mean = teamCount > 0 ? teams.reduce((sum, team) => sum + getBalanceHandicap(team), 0) / teamCount : 0;
+    const variance = getHandicapVariance(teams);
+    return { teamCount, mean, variance, stdDev: Math.sqrt(variance), spread: getHandicapSpread(teams) };
+}
+
+/**
+ * Gets the active max handicap difference, or null if the setting is disabled (0).
+ * @returns {number | null} The limit.
+ */
+function getMaxHandicapDiffLimit() {
+    const limit = parseFloat(_data.settings.maxHandicapDiff);
+    return limit > 0 ? limit : null;
+}
+
+/**
+ * Repeatedly swaps same-group players between teams while it lowers the given score.
+ * Each iteration applies the single best swap found; stops when no swap improves the score.
+ * Swaps never break more pairing rules than they fix, and ones that fix rules are preferred.
+ * @param {Array<object>} teams - The teams to improve (modified in place).
+ * @param {function(Array<object>): number} scoreFn - Score to minimize.
+ * @param {function(Array<object>): boolean} [isDone] - Optional early-exit check.
+ * @param {function(object): boolean} [canChange] - Which teams may trade players; the others only count towards the score.
+ * @returns {number} The number of swaps made.
+ */
+function improveTeamsBySwaps(teams, scoreFn, isDone = () => false, canChange = () => true) {
+    const rules = getPairingRulesToApply();
+    let swaps = 0;
+    let currentScore = scoreFn(teams);
+    let currentViolations = teams.reduce((sum, team) => sum + countRuleViolations(team.playerIds, rules), 0);
+
+    while (swaps < MAX_SWAP_ITERATIONS && (currentViolations > 0 || !isDone(teams))) {
+        let bestSwap = null;
+        let bestScore = currentScore;
+        let bestViolations = currentViolations;
+
+        for (let i = 0; i < teams.length; i++) {
+            if (!canChange(teams[i])) continue;
+            for (let j = i + 1; j < teams.length; j++) {
+                if (!canChange(teams[j])) continue;
+                for (let slot = 0; slot < teams[i].playerIds.length; slot++) {
+                    const playerI = getPlayerById(teams[i].playerIds[slot]);
+                    const playerJ = getPlayerById(teams[j].playerIds[slot]);
+                    if (!playerI || !playerJ) continue;
+
+                    // Try the swap, score it, then undo it
+                    const delta = getPlayingHandicap(playerJ) - getPlayingHandicap(playerI);
+                    teams[i].totalHandicap += delta;
+                    teams[j].totalHandicap -= delta;
+                    const score = scoreFn(teams);
+                    teams[i].totalHandicap -= delta;
+                    teams[j].totalHandicap += delta;
+
+                    let violations = currentViolations;
+                    if (rules.length > 0) {
+                        const before = countRuleViolations(teams[i].playerIds, rules) + countRuleViolations(teams[j].playerIds, rules);
+                        [teams[i].playerIds[slot], teams[j].playerIds[slot]] = [teams[j].playerIds[slot], teams[i].playerIds[slot]];
+                        const after = countRuleViolations(teams[i].playerIds, rules) + countRuleViolations(teams[j].playerIds, rules);
+                        [teams[i].playerIds[slot], teams[j].playerIds[slot]] = [teams[j].playerIds[slot], teams[i].playerIds[slot]];
+                        violations += after - before;
+                    }
+
+                    // Meeting pairing rules comes first; the score only decides between equally good swaps
+                    if (violations < bestViolations || (violations === bestViolations && score < bestScore - 1e-9)) {
+                        bestScore = score;
+                        bestViolations = violations;
+                        bestSwap = { i, j, slot };
+                    }
+                }
+            }
+        }
+
+        if (!bestSwap) break; // Local optimum reached
+
+        const { i, j, slot } = bestSwap;
+        [teams[i].playerIds[slot], teams[j].playerIds[slot]] = [teams[j].playerIds[slot], teams[i].playerIds[slot]];
+        teams[i].totalHandicap = calculateTeamHandicap(teams[i]);
+        teams[j].totalHandicap = calculateTeamHandicap(teams[j]);
+        currentScore = bestScore;
+        currentViolations = bestViolations;
+        swaps++;
+    }
+    return swaps;
+}
+
+/**
+ * Gets the ID for the next new team: one more than the highest ID in use. Other teams keep their
+ * numbers (and hole assignments) when a team is dissolved, but the highest number is free again
+ * once its team is gone; dissolveTeam drops that team's hole assignments and scores first.
+ * @returns {number} The next team ID.
+ */
+function getNextTeamId() {
+    return _data.teams.reduce((maxId, team) => Math.max(maxId, team.id), 0) + 1;
+}
+
+/**
+ * Finds the team and slot a player is in.
+ * @param {string} playerId - The player's ID.
+ * @returns {{team: object, slot: number}|null} The team and slot index, or null if the player is not on a team.
+ */
+function findPlayerTeamSlot(playerId) {
+    for (const team of _data.teams) {
+        const slot = team.playerIds.indexOf(playerId);
+        if (slot > -1) return { team, slot };
+    }
+    return null;
+}
+
+/**
+ * Gets a player's name for messages.
+ * @param {string} playerId - The player's ID.
+ * @returns {string} The name, or 'Unknown player' if the player is not on the roster.
+ */
+function getPlayerName(playerId) {
+    const player = getPlayerById(playerId);
+    return player ? player.name : 'Unknown player';
+}
+
+/**
+ * Describes a pairing rule for messages, e.g. "Smith, Al and Jones, Bo (together)".
+ * @param {object} rule - The pairing rule.
+ * @returns {string} The description.
+ */
+function describePairingRule(rule) {
+    const [playerIdA, playerIdB] = rule.playerIds;
+    return `${getPlayerName(playerIdA)} and ${getPlayerName(playerIdB)} (${rule.type})`;
+}
+
+/**
+ * Links players joined by "together" rules into components: every player in a
+ * component has to end up on the same team.
+ * @returns {Map<string, Array<string>>} The component (player IDs) of each linked player.
+ */
+function getTogetherComponents() {
+    const components = new Map();
+    _data.pairingRules.filter(rule => rule.type === 'together').forEach(rule => {
+        const [playerIdA, playerIdB] = rule.playerIds;
+        const componentA = components.get(playerIdA) || [playerIdA];
+        const componentB = components.get(playerIdB) || [playerIdB];
+        if (componentA === componentB) return;
+        const merged = [...componentA, ...componentB];
+        merged.forEach(playerId => components.set(playerId, merged));
+    });
+    return components;
+}
+
+/**
+ * Explains why a pairing rule can never be met within the one-player-per-group team structure.
+ * @param {object} rule - The pairing rule.
+ * @param {Map<string, Array<string>>} components - Components from getTogetherComponents.
+ * @returns {string|null} The reason, or null if the rule can be met.
+ */
+function getStructuralRuleIssue(rule, components) {
+    const [playerIdA, playerIdB] = rule.playerIds;
+    const component = components.get(playerIdA) || [playerIdA];
+    if (rule.type === 'apart') {
+        return component.includes(playerIdB) ? '"Together" rules link them onto the same team.' : null;
+    }
+
+    const groupA = findPlayerGroupLetter(playerIdA);
+    if (groupA && groupA === findPlayerGroupLetter(playerIdB)) {
+        return `Both players are in Group ${groupA}, and each team has only one Group ${groupA} player.`;
+    }
+    const playerIdByGroup = {};
+    for (const playerId of component) {
+        const groupLetter = findPlayerGroupLetter(playerId);
+        if (!groupLetter) continue;
+        if (playerIdByGroup[groupLetter]) {
+            return `Other "together" rules link them to ${getPlayerName(playerIdByGroup[groupLetter])} and ` +
+                `${getPlayerName(playerId)}, who are both in Group ${groupLetter}.`;
+        }
+        playerIdByGroup[groupLetter] = playerId;
+    }
+    return null;
+}
+
+/**
+ * Explains why the teams formed so far break a pairing rule.
+ * @param {object} rule - The pairing rule.
+ * @returns {string|null} The reason, or null if the teams do not break the rule.
+ */
+function getPlacementRuleIssue(rule) {
+    const [playerIdA, playerIdB] = rule.playerIds;
+    const placementA = findPlayerTeamSlot(playerIdA);
+    const placementB = findPlayerTeamSlot(playerIdB);
+    if (rule.type === 'apart') {
+        return placementA && placementB && placementA.team === placementB.team ?
+            `Both players are on Team ${placementA.team.id}.` : null;
+    }
+    if (placementA && placementB && placementA.team !== placementB.team) {
+        return `${getPlayerName(playerIdA)} is on Team ${placementA.team.id} and ${getPlayerName(playerIdB)} is on Team ${placementB.team.id}.`;
+    }
+    if (Boolean(placementA) !== Boolean(placementB)) {
+        const placed = placementA ? { playerId: playerIdA, team: placementA.team } : { playerId: playerIdB, team: placementB.team };
+        return `${getPlayerName(placed.playerId)} is already on Team ${placed.team.id} without ${getPlayerName(placed.playerId === playerIdA ? playerIdB : playerIdA)}.`;
+    }
+    return null;
+}
+
+/**
+ * Gets the pairing rules team draws and swaps should still try to meet.
+ * @param {boolean} [skipBrokenByTeams=false] - Also leave out rules the teams formed so far already break.
+ * @returns {Array<object>} The rules.
+ */
+function getPairingRulesToApply(skipBrokenByTeams = false) {
+    const components = getTogetherComponents();
+    return _data.pairingRules.filter(rule =>
+        !getStructuralRuleIssue(rule, components) && !(skipBrokenByTeams && getPlacementRuleIssue(rule)));
+}
+
+/**
+ * Counts the pairing rules a team breaks: "apart" players who share it, and
+ * "together" players who are on it without their partner.
+ * @param {Array<string|null>} playerIds - The team's player IDs.
+ * @param {Array<object>} rules - The rules to check.
+ * @returns {number} The number of broken rules.
+ */
+function countRuleViolations(playerIds, rules) {
+    return rules.reduce((count, rule) => {
+        const hasA = playerIds.includes(rule.playerIds[0]);
+        const hasB = playerIds.includes(rule.playerIds[1]);
+        return count + ((rule.type === 'apart' ? hasA && hasB : hasA !== hasB) ? 1 : 0);
+    }, 0);
+}
+
+/**
+ * Finds a pairing rule that stops a player from joining a team being formed.
+ * "Together" partners must go in the team's empty slot for their group and still be available.
+ * @param {string} playerId - The player to add.
+ * @param {number} slot - The slot (group index) the player would fill.
+ * @param {Array<string|null>} partialIds - Player IDs chosen so far, null for open slots.
+ * @param {{rules: Array<object>, slotOf: Map<string, number>, isAvailable: function(string): boolean}} context -
+ *        Rules to apply, each grouped player's slot, and whether a player can still be picked.
+ * @returns {object|null} The first rule the pick would break, or null if the player can join.
+ */
+function findBlockingRule(playerId, slot, partialIds, context) {
+    for (const rule of context.rules) {
+        const partnerIndex = rule.playerIds.indexOf(playerId);
+        if (partnerIndex === -1) {
+            // A team member's "together" partner claims this slot
+            if (rule.type === 'together') {
+                const memberIndex = rule.playerIds.findIndex(id => partialIds.includes(id));
+                if (memberIndex > -1 && context.slotOf.get(rule.playerIds[1 - memberIndex]) === slot) return rule;
+            }
+            continue;
+        }
+        const partnerId = rule.playerIds[1 - partnerIndex];
+        if (rule.type === 'apart') {
+            if (partialIds.includes(partnerId)) return rule;
+        } else if (!partialIds.includes(partnerId)) {
+            const partnerSlot = context.slotOf.get(partnerId);
+            if (partnerSlot === undefined || partialIds[partnerSlot] || !context.isAvailable(partnerId)) return rule;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the context findBlockingRule needs for the current groups.
+ * @param {Array<object>} rules - The rules to apply.
+ * @param {object} available - Player IDs still available, by group letter.
+ * @returns {{rules: Array<object>, slotOf: Map<string, number>, isAvailable: function(string): boolean}} The context.
+ */
+function createRuleContext(rules, available) {
+    const slotOf = new Map();
+    getGroupLetters().forEach((groupLetter, slot) => {
+        _data.groups[groupLetter].forEach(playerId => slotOf.set(playerId, slot));
+        _data.teams.forEach(team => { if (team.playerIds[slot]) slotOf.set(team.playerIds[slot], slot); });
+    });
+    const availableIds = new Set(Object.values(available).flat());
+    return { rules, slotOf, isAvailable: playerId => availableIds.has(playerId) };
+}
+
+/**
+ * Draws a random team that meets every pairing rule, backtracking through the groups.
+ * @param {object} groups - Available player IDs by group letter.
+ * @param {object} context - Context from createRuleContext.
+ * @returns {Array<string>|null} Player IDs in slot order, or null if no such team exists.
+ */
+function drawTeamWithRules(groups, context) {
+    const groupLetters = getGroupLetters();
+    const partialIds = groupLetters.map(() => null);
+    const search = slot => {
+        if (slot === groupLetters.length) return true;
+        if (groups[groupLetters[slot]].length === 0) return search(slot + 1); // Short team: slot stays open
+        const candidates = [...groups[groupLetters[slot]]];
+        for (let i = candidates.length - 1; i > 0; i--) {
+            const j = Math.floor(_teamRandom() * (i + 1));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+        for (const playerId of candidates) {
+            if (findBlockingRule(playerId, slot, partialIds, context)) continue;
+            partialIds[slot] = playerId;
+            if (search(slot + 1)) return true;
+            partialIds[slot] = null;
+        }
+        return false;
+    };
+    return search(0) ? partialIds : null;
+}
+
+/**
+ * Lists the pairing rules some of the given teams break.
+ * @param {Array<object>} teams - The teams to check.
+ * @param {Array<object>} rules - The rules to check.
+ * @returns {Array<string>} A description of each broken rule.
+ */
+function describeBrokenRules(teams, rules) {
+    return rules.filter(rule => teams.some(team => countRuleViolations(team.playerIds, [rule]) > 0)).map(describePairingRule);
+}
+
+/**
+ * Gets all teams that are not currently assigned to a hole.
+ * @returns {Array<object>} An array of unassigned team objects.
+ */
+function getUnassignedTeamsInternal() {
+    const allTeams = _data.teams;
+    const assignedIds = new Set(getAssignedTeamIds()); 
+    return allTeams.filter(team => !assignedIds.has(team.id));
+}
+
+_data.courseProfiles.push(createDefaultCourseProfile());
+
+// --- Public API ---
+// Export functions and getters to be used by other modules.
+
+export function getDoubleStackedHoles() {
+    return getActiveCourseProfile().holes.filter(hole => hole.capacity > 1).map(hole => hole.number);
+}
+export function getCourseProfiles() { return _data.courseProfiles; }
+export function getCourseProfile() { return getActiveCourseProfile(); }
+export function getHoleCount() { return getActiveCourseProfile().holes.length; }
+export function getTeeSet() { return getTeeSetForPlayer(null); }
+export { getTeeSetForPlayer, getCourseHandicap, getPlayingHandicap };
+export { getHoleCapacityInternal as getHoleCapacity };
+export function getPlayers() { return _data.players; }
+export function getGroups() { return _data.groups; } // Player IDs by group letter
+export function getTeams() { return _data.teams; }
+export function getHoleAssignments() { return _data.holeAssignments; }
+export function getSettings() { return _data.settings; }
+export function getScores() { return _data.scores; }
+
+/**
+ * Starts an undoable step, snapshotting the event data before it changes. Every change made
+ * before the current task ends (one user action) belongs to the same step; the first label wins.
+ * Called by every function that changes event data, and by handlers that combine several changes.
+ * @param {string} label - Describes the change in the history (e.g. "Add player").
+ */
+export function recordHistoryStep(label) {
+    if (_history.pending) return;
+    _history.pending = { label, snapshot: createSnapshot() };
+    queueMicrotask(commitPendingChange);
+}
+
+/**
+ * Gets the undo and redo steps for display.
+ * @returns {{undo: Array<{label: string, time: number}>, redo: Array<{label: string, time: number}>}}
+ *          Steps that can be undone (oldest first) and redone (next redo last).
+ */
+export function getHistory() {
+    const describe = ({ label, time }) => ({ label, time });
+    return { undo: _history.undo.map(describe), redo: _history.redo.map(describe) };
+}
+
+/**
+ * Sets the function called with getHistory() whenever the history changes.
+ * @param {function|null} listener - The listener.
+ */
+export function setHistoryListener(listener) {
+    _history.listener = listener;
+}
+
+/**
+ * Forgets all undo and redo steps, e.g. after saved data replaces the event.
+ */
+export function clearHistory() {
+    _history.undo = [];
+    _history.redo = [];
+    _history.pending = null;
+    notifyHistoryListener();
+}
+
+/**
+ * Undoes the most recent changes.
+ * @param {number} [steps=1] - How many steps to undo.
+ * @returns {{success: boolean, labels?: Array<string>, message?: string}} Result object with the undone steps' labels.
+ */
+export function undoChange(steps = 1) {
+    return moveThroughHistory(_history.undo, _history.redo, steps, 'undo');
+}
+
+/**
+ * Redoes changes that were undone.
+ * @param {number} [steps=1] - How many steps to redo.
+ * @returns {{success: boolean, labels?: Array<string>, message?: string}} Result object with the redone steps' labels.
+ */
+export function redoChange(steps = 1) {
+    return moveThroughHistory(_history.redo, _history.undo, steps, 'redo');
+}
+
+export function setPlayers(players) {
+    recordHistoryStep('Update players');
+    _data.players = players;
+}
+export { getGroupLetters, createEmptyGroups };
+export function setGroups(groups) {
+    recordHistoryStep('Update groups');
+    _data.groups = groups;
+    _data.alternates = []; // Alternates belong to a grouping
+}
+export function getAlternates() { return _data.alternates; }
+export { getSlotGroupLetter };
+export function setTeams(teams) {
+    recordHistoryStep('Update teams');
+    _data.teams = teams;
+    _data.scores = {}; // A new set of teams starts a new round
+    _data.holeAssignments = {}; // Assignments were for the old teams
+}
+export { getPlayerById, validatePlayerName, validateHandicap };
+export { isPlainObject }; // Also used to check event files
+
+/**
+ * Gets a team's players in slot order (A, B, C, D).
+ * @param {object} team - The team object.
+ * @returns {Array<object|null>} Player objects, with null for empty slots.
+ */
+export function getTeamPlayers(team) {
+    return team.playerIds.map(playerId => (playerId && getPlayerById(playerId)) || null);
+}
+
+/**
+ * Gets the players still available in a group.
+ * @param {string} groupLetter - A group letter ('A' to 'E').
+ * @returns {Array<object>} Player objects.
+ */
+export function getGroupPlayers(groupLetter) {
+    return (_data.groups[groupLetter] || []).map(getPlayerById).filter(Boolean);
+}
+export function setHoleAssignments(assignments) {
+    recordHistoryStep('Update hole assignments');
+    _data.holeAssignments = assignments;
+}
+export function updateSetting(key, value) {
+    recordHistoryStep(`Change ${SETTING_LABELS[key] || key}`);
+    _data.settings[key] = value;
+}
+
+/**
+ * Sets the draw seed used for all random team and hole draws, restarting both random streams.
+ * Re-entering a published seed with the same roster reproduces the same draw.
+ * @param {string} [seed] - The seed to use; a new one is generated if omitted or blank.
+ * @returns {string} The seed now in use.
+ */
+export function setDrawSeed(seed) {
+    recordHistoryStep('Change draw seed');
+    const trimmed = typeof seed === 'string' ? seed.trim() : '';
+    _data.settings.drawSeed = trimmed || generateSeed();
+    resetTeamRandom();
+    resetHoleRandom();
+    return _data.settings.drawSeed;
+}
+
+/**
+ * Sets the date the event is played on, used for calendar exports.
+ * @param {string} date - The date as YYYY-MM-DD.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function setEventDate(date) {
+    recordHistoryStep('Change event date');
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+    const parsed = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+    if (!parsed || parsed.getUTCDate() !== Number(match[3]) || parsed.getUTCMonth() !== Number(match[2]) - 1) {
+        return { success: false, message: "Please enter a valid event date." };
+    }
+    _data.settings.eventDate = date;
+    return { success: true };
+}
+
+/**
+ * Resets all player, group, team, and assignment data. Settings are preserved.
+ */
+export function resetAll() {
+    recordHistoryStep('Reset all');
+    _data.players = [];
+    _data.groups = createEmptyGroups();
+    _data.teams = [];
+    _data.holeAssignments = {};
+    _data.scores = {};
+    _data.pairingRules = [];
+    _data.alternates = [];
+    _data.interactiveDraftState = null; // Reset draft state
+}
+
+/**
+ * Adds a new player after validation.
+ * @param {string} nameInput - Player name string.
+ * @param {string} handicapInput - Handicap string.
+ * @returns {{valid: boolean, player?: object, errors?: object}} Result object.
+ */
+export function addPlayer(nameInput, handicapInput) {
+    recordHistoryStep('Add player');
+    const nameValidation = validatePlayerName(nameInput);
+    const handicapValidation = validateHandicap(handicapInput);
+    if (!nameValidation.valid || !handicapValidation.valid) {
+        return {
+            valid: false,
+            errors: {
+                name: nameValidation.valid ? null : nameValidation.message,
+                handicap: handicapValidation.valid ? null : handicapValidation.message
+            }
+        };
+    }
+    const player = {
+        id: createId('player'),
+        name: nameInput.trim(),
+        handicap: handicapValidation.value,
+        isPlus: handicapValidation.isPlus,
+        displayHandicap: handicapValidation.isPlus ? `+${handicapValidation.value}` : handicapValidation.value.toString()
+    };
+    _data.players.push(player);
+    return { valid: true, player };
+}
+
+/**
+ * Updates a player's name and handicap after validation. Groups and teams reference
+ * players by ID, so they pick up the change; team totals are recalculated.
+ * The player stays in their current group even if the new handicap would place them
+ * in another one; groupChange reports that case so it can be flagged.
+ * @param {string} playerId - The player's ID.
+ * @param {string} nameInput - Player name string.
+ * @param {string} handicapInput - Handicap string.
+ * @returns {{valid: boolean, player?: object, groupChange?: ({from: string, to: string}|null), errors?: object}} Result object.
+ */
+export function updatePlayer(playerId, nameInput, handicapInput) {
+    recordHistoryStep('Edit player');
+    const player = getPlayerById(playerId);
+    if (!player) {
+        return { valid: false, errors: { name: 'Player not found', handicap: null } };
+    }
+    const nameValidation = validatePlayerName(nameInput);
+    const handicapValidation = validateHandicap(handicapInput);
+    if (!nameValidation.valid || !handicapValidation.valid) {
+        return {
+            valid: false,
+            errors: {
+                name: nameValidation.valid ? null : nameValidation.message,
+                handicap: handicapValidation.valid ? null : handicapValidation.message
+            }
+        };
+    }
+
+    const handicapChanged = player.handicap !== handicapValidation.value || player.isPlus !== handicapValidation.isPlus;
+    player.name = nameInput.trim();
+    player.handicap = handicapValidation.value;
+    player.isPlus = handicapValidation.isPlus;
+    player.displayHandicap = handicapValidation.isPlus ? `+${handicapValidation.value}` : handicapValidation.value.toString();
+
+    let groupChange = null;
+    if (handicapChanged) {
+        recalculateTeamHandicaps();
+        if (_data.interactiveDraftState) { // Keep a draft in progress balancing on the new handicap
+            _data.interactiveDraftState.draftedTeamsData.forEach(teamData => {
+                teamData.partialHandicap = calculatePartialHandicap(teamData.playerIds);
+            });
+        }
+        const currentGroup = findPlayerGroupLetter(playerId);
+        const newGroup = getGroupingLetterFor(playerId);
+        if (currentGroup && newGroup && currentGroup !== newGroup) {
+            groupChange = { from: currentGroup, to: newGroup };
+        }
+    }
+    return { valid: true, player, groupChange };
+}
+
+/**
+ * Removes a player by index, along with every reference to them: their group, team slot,
+ * scores, pairing rules and alternate place. A team they were on keeps an open slot, which
+ * the blind draw fills; a fivesome's extra player leaves no slot behind.
+ * @param {number} index - The index of the player to remove.
+ * @returns {boolean} True if removal was successful.
+ */
+export function removePlayer(index) {
+    recordHistoryStep('Remove player');
+    if (index >= 0 && index < _data.players.length) {
+        const [removed] = _data.players.splice(index, 1);
+        for (const groupLetter in _data.groups) {
+            _data.groups[groupLetter] = _data.groups[groupLetter].filter(playerId => playerId !== removed.id);
+        }
+        _data.teams.forEach(team => {
+            const slot = team.playerIds.indexOf(removed.id);
+            if (slot === -1) return;
+            if (slot === _data.settings.teamSize) {
+                team.playerIds.splice(slot, 1);
+                delete team.extraGroup;
+            } else {
+                team.playerIds[slot] = null;
+            }
+            team.totalHandicap = calculateTeamHandicap(team);
+        });
+        delete _data.scores[removed.id];
+        _data.pairingRules = _data.pairingRules.filter(rule => !rule.playerIds.includes(removed.id));
+        _data.alternates = _data.alternates.filter(playerId => playerId !== removed.id);
+        _data.interactiveDraftState = null; // Reset draft if player removed
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Groups players into one group per team slot (A, B, ...) based on playing handicap. Fields that
+ * are not a multiple of the team size are split according to the uneven field setting (see getFieldPlan).
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function groupPlayers() {
+    recordHistoryStep('Group players');
+    const teamSize = _data.settings.teamSize;
+    if (_data.players.length < teamSize) {
+        return { success: false, message: `Please add at least ${teamSize} players to form groups.` };
+    }
+    const result = buildGroups();
+    if (result.message) {
+        return { success: false, message: result.message };
+    }
+    _data.groups = result.groups;
+    _data.alternates = result.alternates;
+    _data.interactiveDraftState = null; // Reset draft state on regroup
+    resetTeamRandom(); // Team draws restart from the seed so they can be reproduced
+    return { success: true };
+}
+
+/**
+ * Selects a team randomly from available players in each group.
+ * Threesomes are drawn once the blind draw group is empty, and fivesomes take their fifth player
+ * while the extra group has players to spare.
+ * If a max handicap difference is set, draws are retried until the spread against
+ * existing teams stays within the limit; otherwise the tightest draw is kept.
+ * Draws meet the pairing rules whenever the remaining players allow it.
+ * @returns {{success: boolean, team?: object, spreadWarning?: string, ruleWarning?: string, message?: string}} Result object.
+ */
+export function selectTeam() {
+    recordHistoryStep('Select team');
+    const groups = _data.groups;
+    if (_data.interactiveDraftState) {
+        return { success: false, message: "Finish or cancel the draft before forming other teams." };
+    }
+    if (!canFormTeam()) {
+        return { success: false, message: "Not enough players left to form a full team." };
+    }
+
+    const limit = getMaxHandicapDiffLimit();
+    const attempts = limit !== null && _data.teams.length > 0 ? MAX_DRAW_ATTEMPTS : 1;
+    const rules = getPairingRulesToApply(true);
+    const ruleContext = createRuleContext(rules, groups);
+    let rulesCanBeMet = rules.length > 0;
+    let bestDraw = null;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const playerIndices = {};
+        const ruleDraw = rulesCanBeMet ? drawTeamWithRules(groups, ruleContext) : null;
+        rulesCanBeMet = ruleDraw !== null; // If no team meets the rules now, none will on a retry
+        for (const [slot, groupLetter] of getGroupLetters().entries()) {
+            playerIndices[groupLetter] = ruleDraw ? groups[groupLetter].indexOf(ruleDraw[slot]) :
+                Math.floor(_teamRandom() * groups[groupLetter].length);
+        }
+        const candidate = { // An empty blind draw group leaves its slot open (a threesome)
+            playerIds: getGroupLetters().map(groupLetter => groups[groupLetter][playerIndices[groupLetter]] || null)
+        };
+        candidate.totalHandicap = calculateTeamHandicap(candidate);
+        const spread = getHandicapSpread([..._data.teams, candidate]);
+
+        if (!bestDraw || spread < bestDraw.spread) {
+            bestDraw = { candidate, playerIndices, spread };
+        }
+        if (limit === null || spread <= limit) break;
+    }
+
+    const newTeam = {
+        id: getNextTeamId(),
+        playerIds: bestDraw.candidate.playerIds,
+        totalHandicap: bestDraw.candidate.totalHandicap
+    };
+    _data.teams.push(newTeam);
+
+    // Remove selected players from groups
+    for (const groupLetter in bestDraw.playerIndices) {
+        if (groups[groupLetter].length > 0) groups[groupLetter].splice(bestDraw.playerIndices[groupLetter], 1);
+    }
+    placeExtraPlayers([newTeam]);
+
+    const result = { success: true, team: newTeam };
+    if (limit !== null && bestDraw.spread > limit) {
+        result.spreadWarning = `Team ${newTeam.id} could not be drawn within the maximum handicap difference of ${limit.toFixed(1)}. ` +
+            `Tightest spread reached: ${bestDraw.spread.toFixed(1)}.`;
+    }
+    const brokenRules = describeBrokenRules([newTeam], rules);
+    if (brokenRules.length > 0) {
+        result.ruleWarning = `Team ${newTeam.id} breaks the pairing rule${brokenRules.length > 1 ? 's' : ''} ` +
+            `${brokenRules.join('; ')}: no team from the remaining players could meet ${brokenRules.length > 1 ? 'them' : 'it'}.`;
+    }
+    return result;
+}
+
+/**
+ * Checks whether a team is already in play: assigned to a hole (so it is on the tee sheet and
+ * calendar) or with scores entered. Balancing never moves players on or off such a team.
+ * @param {object} team - The team object.
+ * @returns {boolean} True if the team's players must stay as they are.
+ */
+function isTeamInPlay(team) {
+    return Object.values(_data.holeAssignments).some(teamIds => teamIds.includes(team.id)) ||
+        team.playerIds.some(playerId => playerId && _data.scores[playerId] && Object.keys(_data.scores[playerId]).length > 0);
+}
+
+/**
+ * Describes how the teams' spread compares with the max handicap difference.
+ * @param {Array<object>} teams - The teams.
+ * @returns {{withinLimit: boolean, spread: number, limit: number | null, message?: string}} The spread report.
+ */
+function getSpreadReport(teams) {
+    const limit = getMaxHandicapDiffLimit();
+    const spread = getHandicapSpread(teams);
+    const withinLimit = limit === null || spread <= limit;
+    return {
+        withinLimit,
+        spread,
+        limit,
+        message: withinLimit ? undefined :
+            `Maximum handicap difference of ${limit.toFixed(1)} could not be met. Tightest spread reached: ${spread.toFixed(1)}.`
+    };
+}
+
+/**
+ * Enforces the max handicap difference setting across all formed teams by swapping
+ * same-group players between teams until the spread is within the limit.
+ * The same swaps also repair pairing rules the teams break. Teams already in play
+ * (see isTeamInPlay) keep their players but still count towards the spread.
+ * @returns {{success: boolean, withinLimit: boolean, spread: number, limit: number | null, swaps: number, message?: string, ruleWarning?: string}} Result object.
+ */
+export function enforceMaxHandicapDiff() {
+    recordHistoryStep('Even out team handicaps');
+    const limit = getMaxHandicapDiffLimit();
+    const teams = _data.teams;
+    const rules = getPairingRulesToApply();
+    if (teams.length < 2 || (limit === null && rules.length === 0)) {
+        return { success: true, withinLimit: true, spread: getHandicapSpread(teams), limit, swaps: 0 };
+    }
+    const teamsInPlay = new Set(teams.filter(isTeamInPlay));
+
+    // Minimize the spread first; variance breaks ties so swaps can still make progress
+    // when several teams share the highest or lowest total.
+    const swaps = improveTeamsBySwaps(
+        teams,
+        t => getHandicapSpread(t) * 1000 + getHandicapVariance(t),
+        t => limit === null || getHandicapSpread(t) <= limit,
+        team => !teamsInPlay.has(team)
+    );
+    const brokenRules = describeBrokenRules(teams, rules);
+
+    return {
+        success: true,
+        ...getSpreadReport(teams),
+        swaps,
+        ruleWarning: brokenRules.length > 0 ? `Pairing rules still broken after swapping: ${brokenRules.join('; ')}.` : undefined
+    };
+}
+
+/**
+ * Forms every remaining team from the groups, then searches for the lowest team-handicap
+ * variance across all teams using swap-based local search with random restarts.
+ * Teams keep one player per group; only same-group players are ever swapped.
+ * Meeting the pairing rules takes priority over balance, and the max handicap difference is enforced last.
+ * Teams already assigned to a hole or with scores keep their players.
+ * before measures the teams that existed before the call (none if no teams had been formed).
+ * @returns {{success: boolean, teamsAdded?: number, before?: object, after?: object, spreadResult?: object, ruleWarning?: string, message?: string}} Result object.
+ */
+export function optimizeAllTeams() {
+    recordHistoryStep('Optimize teams');
+    const groups = _data.groups;
+    if (_data.interactiveDraftState) {
+        return { success: false, message: "Finish or cancel the draft before forming other teams." };
+    }
+    const blindDrawGroup = getBlindDrawGroup();
+    const numNewTeams = Math.min(...getGroupLetters()
+        .filter(groupLetter => groupLetter !== blindDrawGroup)
+        .map(groupLetter => groups[groupLetter].length));
+    if (numNewTeams === 0 && _data.teams.length < 2) {
+        return { success: false, message: "Not enough players or teams to optimize." };
+    }
+
+    const before = getBalanceMetrics(_data.teams); // The teams the user has now
+
+    // New teams start from a plain random draw, which the search below improves
+    const shuffled = {};
+    for (const groupLetter of getGroupLetters()) {
+        shuffled[groupLetter] = [...groups[groupLetter]];
+        for (let i = shuffled[groupLetter].length - 1; i > 0; i--) {
+            const j = Math.floor(_teamRandom() * (i + 1));
+            [shuffled[groupLetter][i], shuffled[groupLetter][j]] = [shuffled[groupLetter][j], shuffled[groupLetter][i]];
+        }
+    }
+    const newTeams = [];
+    const firstTeamId = getNextTeamId();
+    for (let i = 0; i < numNewTeams; i++) {
+        const team = {
+            id: firstTeamId + i,
+            playerIds: getGroupLetters().map(groupLetter => shuffled[groupLetter][i] || null) // Short teams leave the blind draw slot open
+        };
+        team.totalHandicap = calculateTeamHandicap(team);
+        newTeams.push(team);
+    }
+
+    const teams = [..._data.teams, ...newTeams];
+
+    // Local search, then repeatedly perturb the best solution and search again
+    const rules = getPairingRulesToApply();
+    const countViolations = () => teams.reduce((sum, team) => sum + countRuleViolations(team.playerIds, rules), 0);
+    const teamsInPlay = new Set(teams.filter(isTeamInPlay));
+    const canChange = team => !teamsInPlay.has(team);
+    improveTeamsBySwaps(teams, getHandicapVariance, undefined, canChange);
+    let bestMembers = teams.map(team => [...team.playerIds]);
+    let bestVariance = getHandicapVariance(teams);
+    let bestViolations = countViolations();
+
+    for (let restart = 0; restart < OPTIMIZER_RESTARTS && teams.length > 1 && (bestVariance > 0 || bestViolations > 0); restart++) {
+        for (let k = 0; k < 3; k++) {
+            const i = Math.floor(_teamRandom() * teams.length);
+            const j = Math.floor(_teamRandom() * teams.length);
+            const slot = Math.floor(_teamRandom() * _data.settings.teamSize);
+            if (i === j || !canChange(teams[i]) || !canChange(teams[j])) continue;
+            [teams[i].playerIds[slot], teams[j].playerIds[slot]] = [teams[j].playerIds[slot], teams[i].playerIds[slot]];
+            teams[i].totalHandicap = calculateTeamHandicap(teams[i]);
+            teams[j].totalHandicap = calculateTeamHandicap(teams[j]);
+        }
+        improveTeamsBySwaps(teams, getHandicapVariance, undefined, canChange);
+
+        const variance = getHandicapVariance(teams);
+        const violations = countViolations();
+        if (violations < bestViolations || (violations === bestViolations && variance < bestVariance - 1e-9)) {
+            bestVariance = variance;
+            bestViolations = violations;
+            bestMembers = teams.map(team => [...team.playerIds]);
+        } else {
+            // Return to the best solution before the next perturbation
+            teams.forEach((team, index) => {
+                team.playerIds = [...bestMembers[index]];
+                team.totalHandicap = calculateTeamHandicap(team);
+            });
+        }
+    }
+
+    _data.teams.push(...newTeams);
+    for (const groupLetter of getGroupLetters()) {
+        groups[groupLetter] = groups[groupLetter].filter(playerId => !newTeams.some(team => team.playerIds.includes(playerId)));
+    }
+    placeExtraPlayers(newTeams);
+    _data.interactiveDraftState = null;
+
+    // Lowest variance does not always mean the smallest spread, so the max handicap difference is enforced as well
+    const { withinLimit, spread, limit } = enforceMaxHandicapDiff();
+    const spreadResult = { withinLimit, spread, limit };
+    const after = getBalanceMetrics(_data.teams);
+    const result = { success: true, teamsAdded: newTeams.length, before, after, spreadResult };
+    const brokenRules = describeBrokenRules(_data.teams, rules);
+    if (brokenRules.length > 0) {
+        result.ruleWarning = `These pairing rules could not be met by any swap: ${brokenRules.join('; ')}.`;
+    }
+    return result;
+}
+
+/**
+ * Adds a pre-formed team (e.g., from draft) and removes its players from the main groups.
+ * @param {object} team - The team object to add.
+ * @returns {{success: boolean}} Result object.
+ */
+export function addTeamAndRemovePlayers(team) {
+    recordHistoryStep('Add team');
+     _data.teams.push(team);
+     team.playerIds.forEach(playerId => {
+         if (!playerId) return; // Skip empty slots if any
+         for (const groupLetter in _data.groups) {
+             const group = _data.groups[groupLetter];
+             const playerIndex = group.indexOf(playerId);
+             if (playerIndex > -1) {
+                 group.splice(playerIndex, 1);
+                 break; // Player found and removed, move to next member
+             }
+         }
+     });
+     return { success: true };
+}
+
+export { canFormTeam }; // Export the function directly
+
+/**
+ * Finds a team by its ID.
+ * @param {number} teamId - The ID of the team to find.
+ * @returns {object | undefined} The team object or undefined if not found.
+ */
+export function findTeamById(teamId) { return _data.teams.find(team => team.id === teamId); }
+
+/**
+ * Swaps two players from the same group between their teams, so each team keeps
+ * one A, one B, one C and one D player. Scores and hole assignments stay with the
+ * players and teams.
+ * @param {string} playerIdA - ID of a player on one team.
+ * @param {string} playerIdB - ID of a player from the same group on another team.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function swapTeamPlayers(playerIdA, playerIdB) {
+    recordHistoryStep('Swap players');
+    if (_data.interactiveDraftState) {
+        return { success: false, message: "Finish the draft before editing teams." };
+    }
+    const placementA = findPlayerTeamSlot(playerIdA);
+    const placementB = findPlayerTeamSlot(playerIdB);
+    if (!placementA || !placementB) {
+        return { success: false, message: "Both players must be on a team to swap them." };
+    }
+    if (placementA.team === placementB.team) {
+        return { success: false, message: "Choose a player from a different team to swap with." };
+    }
+    if (placementA.slot !== placementB.slot) {
+        return { success: false, message: "Only players from the same group can be swapped, so each team keeps one player from each group." };
+    }
+    placementA.team.playerIds[placementA.slot] = playerIdB;
+    placementB.team.playerIds[placementB.slot] = playerIdA;
+    placementA.team.totalHandicap = calculateTeamHandicap(placementA.team);
+    placementB.team.totalHandicap = calculateTeamHandicap(placementB.team);
+    return { success: true };
+}
+
+/**
+ * Moves a player still waiting in a group to another group, e.g. to move a player
+ * who plays better than their handicap up a group. The next grouping starts over from the roster.
+ * @param {string} playerId - ID of a player in one of the groups.
+ * @param {string} groupLetter - The group to move the player to.
+ * @returns {{success: boolean, fromGroup?: string, message?: string}} Result object.
+ */
+export function movePlayerToGroup(playerId, groupLetter) {
+    recordHistoryStep('Move player to group');
+    if (_data.interactiveDraftState) {
+        return { success: false, message: "Finish the draft before moving players between groups." };
+    }
+    const groupLetters = getGroupLetters();
+    if (!groupLetters.includes(groupLetter)) {
+        return { success: false, message: `Choose one of groups ${groupLetters.join(', ')}.` };
+    }
+    const fromGroup = groupLetters.find(letter => _data.groups[letter].includes(playerId));
+    if (!fromGroup) {
+        return { success: false, message: "Only players still waiting in a group can be moved to another group." };
+    }
+    if (fromGroup === groupLetter) {
+        return { success: false, message: `${getPlayerName(playerId)} is already in Group ${groupLetter}.` };
+    }
+    _data.groups[fromGroup].splice(_data.groups[fromGroup].indexOf(playerId), 1);
+    const target = _data.groups[groupLetter];
+    target.push(playerId);
+    target.sort((a, b) => comparePlayersForGrouping(getPlayerById(a), getPlayerById(b)));
+    console.log(`Moved ${getPlayerName(playerId)} from Group ${fromGroup} to Group ${groupLetter}.`); // Debug log
+    return { success: true, fromGroup };
+}
+
+/**
+ * Describes what unequal groups mean for the teams still to be formed: how many teams the
+ * groups make, how many are short (blind draw) or long, and how many players are left without a team.
+ * @returns {string|null} The warning, or null if every group has the same number of players.
+ */
+export function getGroupBalanceWarning() {
+    const groupLetters = getGroupLetters();
+    const sizes = groupLetters.map(letter => _data.groups[letter].length);
+    if (sizes.every(size => size === sizes[0])) return null;
+
+    const { mode, group } = _data.settings.unevenField;
+    const blindDrawGroup = getBlindDrawGroup();
+    const teamCount = Math.min(...groupLetters.filter(letter => letter !== blindDrawGroup).map(letter => _data.groups[letter].length));
+    const shortTeams = blindDrawGroup ? Math.max(teamCount - _data.groups[blindDrawGroup].length, 0) : 0;
+    const longTeams = mode === 'fivesome' ? Math.min(Math.max(_data.groups[group].length - teamCount, 0), teamCount) : 0;
+    const used = sizes.reduce((sum, size) => sum + Math.min(size, teamCount), 0) + longTeams;
+    const waiting = sizes.reduce((sum, size) => sum + size, 0) - used;
+
+    const details = [`${teamCount} team${teamCount === 1 ? '' : 's'} can be formed`];
+    if (shortTeams > 0) details.push(`${shortTeams} short a Group ${blindDrawGroup} player (blind draw)`);
+    if (longTeams > 0) details.push(`${longTeams} with an extra Group ${group} player`);
+    if (waiting > 0) details.push(`${waiting} player${waiting === 1 ? '' : 's'} will be left without a team`);
+    return `Groups are unequal (${groupLetters.map((letter, index) => `${letter}: ${sizes[index]}`).join(', ')}). ${details.join('; ')}.`;
+}
+
+/**
+ * Moves a player still waiting in a group onto a team, in that group's slot.
+ * The player they replace goes back to the group.
+ * @param {string} playerId - ID of a player in one of the groups.
+ * @param {number} teamId - The team to move the player to.
+ * @returns {{success: boolean, replacedPlayer?: object, message?: string}} Result object.
+ */
+export function movePlayerToTeam(playerId, teamId) {
+    recordHistoryStep('Move player to team');
+    if (_data.interactiveDraftState) {
+        return { success: false, message: "Finish the draft before editing teams." };
+    }
+    const team = findTeamById(teamId);
+    if (!team) {
+        return { success: false, message: `Team ${teamId} not found.` };
+    }
+    const groupLetters = getGroupLetters();
+    const groupLetter = groupLetters.find(letter => _data.groups[letter].includes(playerId));
+    if (!groupLetter) {
+        return { success: false, message: "Only players still waiting in a group can be moved onto a team." };
+    }
+    const slot = groupLetters.indexOf(groupLetter);
+    const replacedId = team.playerIds[slot];
+    const group = _data.groups[groupLetter];
+    group.splice(group.indexOf(playerId), 1);
+    if (replacedId) {
+        group.push(replacedId);
+        delete _data.scores[replacedId]; // Scores were for this team's round
+    }
+    team.playerIds[slot] = playerId;
+    team.totalHandicap = calculateTeamHandicap(team);
+    return { success: true, replacedPlayer: replacedId ? getPlayerById(replacedId) : null };
+}
+
+/**
+ * Breaks up a team: its players go back to their groups, its scores are cleared and
+ * it is taken off the tee sheet. Other teams keep their IDs and holes.
+ * @param {number} teamId - The team to dissolve.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function dissolveTeam(teamId) {
+    recordHistoryStep('Dissolve team');
+    if (_data.interactiveDraftState) {
+        return { success: false, message: "Finish the draft before editing teams." };
+    }
+    const team = findTeamById(teamId);
+    if (!team) {
+        return { success: false, message: `Team ${teamId} not found.` };
+    }
+    team.playerIds.forEach((playerId, slot) => {
+        if (!playerId) return;
+        _data.groups[getSlotGroupLetter(team, slot)].push(playerId);
+        delete _data.scores[playerId];
+    });
+    _data.teams = _data.teams.filter(t => t !== team);
+    for (const hole in _data.holeAssignments) {
+        _data.holeAssignments[hole] = _data.holeAssignments[hole].filter(id => id !== teamId);
+        if (_data.holeAssignments[hole].length === 0) delete _data.holeAssignments[hole];
+    }
+    console.log(`Dissolved Team ${teamId}. Groups:`, _data.groups); // Debug log
+    return { success: true };
+}
+
+// --- Pairing Rules ---
+
+export function getPairingRules() { return _data.pairingRules; }
+
+/**
+ * Adds a rule that two players must be on the same team ('together') or on different teams ('apart').
+ * @param {string} type - 'together' or 'apart'.
+ * @param {string} playerIdA - ID of the first player.
+ * @param {string} playerIdB - ID of the second player.
+ * @returns {{success: boolean, rule?: object, issue?: string, message?: string}} Result object; issue
+ *          explains why the new rule cannot be met with the current groups and teams.
+ */
+export function addPairingRule(type, playerIdA, playerIdB) {
+    recordHistoryStep('Add pairing rule');
+    if (!PAIRING_RULE_TYPES.includes(type)) {
+        return { success: false, message: `Unknown pairing rule type: ${type}.` };
+    }
+    if (!getPlayerById(playerIdA) || !getPlayerById(playerIdB)) {
+        return { success: false, message: "Choose two players for the rule." };
+    }
+    if (playerIdA === playerIdB) {
+        return { success: false, message: "Choose two different players for the rule." };
+    }
+    const existing = _data.pairingRules.find(rule => rule.playerIds.includes(playerIdA) && rule.playerIds.includes(playerIdB));
+    if (existing) {
+        return {
+            success: false,
+            message: existing.type === type ?
+                `${getPlayerName(playerIdA)} and ${getPlayerName(playerIdB)} already have this rule.` :
+                `${getPlayerName(playerIdA)} and ${getPlayerName(playerIdB)} already have a "${existing.type}" rule. Remove it first.`
+        };
+    }
+    const rule = { id: createId('rule'), type, playerIds: [playerIdA, playerIdB] };
+    _data.pairingRules.push(rule);
+    return { success: true, rule, issue: getPairingRuleIssues()[rule.id] };
+}
+
+/**
+ * Removes a pairing rule.
+ * @param {string} ruleId - The rule's ID.
+ * @returns {boolean} True if the rule was removed.
+ */
+export function removePairingRule(ruleId) {
+    recordHistoryStep('Remove pairing rule');
+    const index = _data.pairingRules.findIndex(rule => rule.id === ruleId);
+    if (index === -1) return false;
+    _data.pairingRules.splice(index, 1);
+    return true;
+}
+
+/**
+ * Explains which pairing rules cannot be met, and why: the one-player-per-group team
+ * structure rules them out, or the teams formed so far already break them.
+ * @returns {object} The reason by rule ID, for rules that cannot be met.
+ */
+export function getPairingRuleIssues() {
+    const components = getTogetherComponents();
+    const issues = {};
+    _data.pairingRules.forEach(rule => {
+        const issue = getStructuralRuleIssue(rule, components) || getPlacementRuleIssue(rule);
+        if (issue) issues[rule.id] = issue;
+    });
+    return issues;
+}
+
+/**
+ * Assigns a team to a specific hole, respecting hole capacity.
+ * @param {number} teamId - The ID of the team to assign.
+ * @param {number} hole - The hole number on the selected course.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function assignTeamToHole(teamId, hole) {
+    recordHistoryStep('Assign team to hole');
+    if (!teamId || !hole || hole < 1 || hole > getHoleCount()) {
+        console.error("Invalid teamId or hole number for assignment.");
+        return { success: false, message: "Invalid input for assignment." };
+    }
+
+    const holeStr = hole.toString(); // Use string keys for object
+    const teamsOnHole = _data.holeAssignments[holeStr] || [];
+    const maxTeams = getHoleCapacityInternal(hole);
+
+    // Check if team is already assigned somewhere else
+    for (const h in _data.holeAssignments) {
+        if (_data.holeAssignments[h].includes(teamId)) {
+            console.warn(`Team ${teamId} is already assigned to hole ${h}. Cannot assign again.`);
+            return { success: false, message: `Team ${teamId} is already assigned to hole ${h}.` };
+        }
+    }
+
+    // Check if hole is full
+    if (teamsOnHole.length >= maxTeams) {
+        console.warn(`Hole ${hole} is full (Max: ${maxTeams}). Cannot assign Team ${teamId}.`);
+        return { success: false, message: `Hole ${hole} is already full.` };
+    }
+
+    // Add the team
+    _data.holeAssignments[holeStr] = [...teamsOnHole, teamId];
+    console.log(`Assigned Team ${teamId} to Hole ${hole}. Assignments:`, _data.holeAssignments);
+    return { success: true };
+}
+
+/**
+ * Removes a team from a specific hole.
+ * @param {number} teamId - The ID of the team to remove.
+ * @param {number} hole - The hole number on the selected course.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function removeTeamFromHole(teamId, hole) {
+    recordHistoryStep('Remove team from hole');
+     if (!teamId || !hole || hole < 1 || hole > getHoleCount()) {
+        console.error("Invalid teamId or hole number for removal.");
+        return { success: false, message: "Invalid input for removal." };
+    }
+    const holeStr = hole.toString();
+    if (!_data.holeAssignments[holeStr] || !_data.holeAssignments[holeStr].includes(teamId)) {
+         console.warn(`Team ${teamId} not found on hole ${hole}. Cannot remove.`);
+         return { success: false, message: `Team ${teamId} not found on hole ${hole}.` };
+    }
+
+    // Filter out the teamId
+    _data.holeAssignments[holeStr] = _data.holeAssignments[holeStr].filter(id => id !== teamId);
+
+    // If the hole is now empty, remove the key from the assignments object
+    if (_data.holeAssignments[holeStr].length === 0) {
+        delete _data.holeAssignments[holeStr];
+    }
+    
+    console.log(`Removed Team ${teamId} from Hole ${hole}. Assignments:`, _data.holeAssignments);
+    return { success: true };
+}
+
+/**
+ * Gets an array of all team IDs currently assigned to any hole.
+ * @returns {Array<number>} Array of assigned team IDs.
+ */
+export function getAssignedTeamIds() {
+    const assignedIds = new Set();
+    Object.values(_data.holeAssignments).forEach(teamIdArray => {
+        teamIdArray.forEach(teamId => assignedIds.add(teamId));
+    });
+    return Array.from(assignedIds); // Return as an array
+}
+
+export { getUnassignedTeamsInternal as getUnassignedTeams }; // Export internal helper with public name
+
+/**
+ * Builds the tee sheet from the hole assignments and tee time settings.
+ * In a shotgun start every team goes off at the start time; in a sequential start
+ * teams go off one interval apart in hole order.
+ * @returns {Array<{hole: number, teeTime: string, minutes: number, team: object}>} Tee sheet rows,
+ *          sorted by tee time then hole. `minutes` is the tee time in minutes after midnight.
+ */
+export function getTeeSheet() {
+    const settings = _data.settings;
+    const [startHours, startMinutes] = settings.startTime.split(':').map(Number);
+    const startOffset = startHours * 60 + startMinutes;
+    const rows = [];
+    let assignedCount = 0;
+
+    for (let hole = 1; hole <= getHoleCount(); hole++) {
+        (_data.holeAssignments[hole.toString()] || []).forEach(teamId => {
+            const team = findTeamById(teamId);
+            if (!team) return;
+
+            let minutes = startOffset;
+            if (settings.startFormat !== 'shotgun') {
+                minutes += assignedCount * settings.timeInterval;
+                assignedCount++;
+            }
+            const hours = Math.floor(minutes / 60) % 24;
+            const teeTime = `${hours.toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+            rows.push({ hole, teeTime, minutes, team });
+        });
+    }
+
+    return rows.sort((a, b) => a.minutes - b.minutes || a.hole - b.hole);
+}
+
+/**
+ * Automatically assigns all unassigned teams sequentially, filling single slots first,
+ * then the extra slots on holes with a higher shotgun capacity.
+ * @returns {{success: boolean, unplaced: number, message?: string}} Result object.
+ */
+export function autoAssignTeams() {
+    recordHistoryStep('Auto-assign holes');
+    _data.holeAssignments = {}; // Clear existing assignments
+    const teamsToAssign = getUnassignedTeamsInternal(); 
+    const placed = fillHoleSlots(teamsToAssign);
+    console.log("Auto-assignment complete. Assignments:", _data.holeAssignments);
+    return buildAssignmentResult(teamsToAssign.length - placed);
+}
+
+/**
+ * Randomly assigns all unassigned teams to available hole slots.
+ * The shuffle is driven by the draw seed.
+ * @returns {{success: boolean, unplaced: number, message?: string}} Result object.
+ */
+export function randomizeTeamAssignments() {
+    recordHistoryStep('Randomize hole assignments');
+     _data.holeAssignments = {}; // Clear existing assignments
+     resetHoleRandom(); // Same seed and teams always give the same assignments
+     let teamsToAssign = getUnassignedTeamsInternal(); 
+     
+     // Shuffle the teams array (Fisher-Yates shuffle)
+     for (let i = teamsToAssign.length - 1; i > 0; i--) {
+        const j = Math.floor(_holeRandom() * (i + 1));
+        [teamsToAssign[i], teamsToAssign[j]] = [teamsToAssign[j], teamsToAssign[i]];
+     }
+
+     // Assign shuffled teams using the same logic as autoAssign
+     const placed = fillHoleSlots(teamsToAssign);
+     console.log("Random assignment complete. Assignments:", _data.holeAssignments);
+     return buildAssignmentResult(teamsToAssign.length - placed);
+}
+
+// --- Course Profile Functions ---
+
+/**
+ * Selects the course profile used for the layout, hole assignments and tee sheet.
+ * Assignments that no longer fit the new course are cleared.
+ * @param {string} profileId - The ID of the profile to select.
+ * @returns {{success: boolean, assignmentsCleared?: boolean, message?: string}} Result object.
+ */
+export function selectCourseProfile(profileId) {
+    recordHistoryStep('Select course');
+    const profile = _data.courseProfiles.find(p => p.id === profileId);
+    if (!profile) {
+        return { success: false, message: "Course profile not found." };
+    }
+    _data.settings.courseProfileId = profile.id;
+    if (!profile.teeSets.some(tee => tee.id === _data.settings.teeSetId)) {
+        _data.settings.teeSetId = profile.teeSets[0].id;
+    }
+    recalculateTeamHandicaps();
+
+    const fits = Object.entries(_data.holeAssignments).every(([hole, teamIds]) =>
+        teamIds.length <= getHoleCapacityInternal(parseInt(hole)));
+    if (!fits) {
+        _data.holeAssignments = {};
+        return { success: true, assignmentsCleared: true };
+    }
+    return { success: true, assignmentsCleared: false };
+}
+
+/**
+ * Adds a new course profile with default hole data and selects it.
+ * @param {string} name - The profile name.
+ * @param {number} holeCount - Number of holes (e.g. 9 or 18).
+ * @returns {{success: boolean, profile?: object, assignmentsCleared?: boolean, message?: string}} Result object;
+ *          assignmentsCleared is true if hole assignments did not fit the new course and were cleared.
+ */
+export function addCourseProfile(name, holeCount) {
+    recordHistoryStep('Add course');
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+        return { success: false, message: "Course name is required." };
+    }
+    if (_data.courseProfiles.some(p => p.name.toLowerCase() === trimmedName.toLowerCase())) {
+        return { success: false, message: `A course named "${trimmedName}" already exists.` };
+    }
+    if (!Number.isInteger(holeCount) || holeCount < 1 || holeCount > MAX_COURSE_HOLES) {
+        return { success: false, message: `Hole count must be a whole number from 1 to ${MAX_COURSE_HOLES}.` };
+    }
+    const profile = {
+        id: createId('course'),
+        name: trimmedName,
+        holes: createDefaultHoles(holeCount),
+        teeSets: [{ id: createId('tee'), name: 'White', slope: STANDARD_SLOPE, courseRating: holeCount * 4 }]
+    };
+    _data.courseProfiles.push(profile);
+    const { assignmentsCleared } = selectCourseProfile(profile.id);
+    return { success: true, profile, assignmentsCleared };
+}
+
+/**
+ * Renames a course profile.
+ * @param {string} profileId - The ID of the profile.
+ * @param {string} name - The new name.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function renameCourseProfile(profileId, name) {
+    recordHistoryStep('Rename course');
+    const profile = _data.courseProfiles.find(p => p.id === profileId);
+    const trimmedName = (name || '').trim();
+    if (!profile) {
+        return { success: false, message: "Course profile not found." };
+    }
+    if (!trimmedName) {
+        return { success: false, message: "Course name is required." };
+    }
+    if (_data.courseProfiles.some(p => p !== profile && p.name.toLowerCase() === trimmedName.toLowerCase())) {
+        return { success: false, message: `A course named "${trimmedName}" already exists.` };
+    }
+    profile.name = trimmedName;
+    return { success: true };
+}
+
+/**
+ * Deletes a course profile. The last remaining profile cannot be deleted.
+ * @param {string} profileId - The ID of the profile.
+ * @returns {{success: boolean, assignmentsCleared?: boolean, message?: string}} Result object.
+ */
+export function deleteCourseProfile(profileId) {
+    recordHistoryStep('Delete course');
+    if (_data.courseProfiles.length <= 1) {
+        return { success: false, message: "At least one course profile is required." };
+    }
+    const index = _data.courseProfiles.findIndex(p => p.id === profileId);
+    if (index === -1) {
+        return { success: false, message: "Course profile not found." };
+    }
+    _data.courseProfiles.splice(index, 1);
+    if (_data.settings.courseProfileId === profileId) {
+        _data.holeAssignments = {};
+        selectCourseProfile(_data.courseProfiles[0].id);
+        return { success: true, assignmentsCleared: true };
+    }
+    return { success: true, assignmentsCleared: false };
+}
+
+/**
+ * Updates one field of a hole in a course profile after validation.
+ * Setting a stroke index already used by another hole swaps the two, so every
+ * stroke index stays unique.
+ * @param {string} profileId - The ID of the profile.
+ * @param {number} holeNumber - The hole number.
+ * @param {string} field - One of 'par', 'strokeIndex', 'yardage', 'capacity'.
+ * @param {string|number} value - The new value.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function updateCourseHole(profileId, holeNumber, field, value) {
+    recordHistoryStep('Edit course hole');
+    const profile = _data.courseProfiles.find(p => p.id === profileId);
+    const hole = profile ? profile.holes[holeNumber - 1] : null;
+    if (!hole) {
+        return { success: false, message: "Hole not found." };
+    }
+
+    const numericValue = Number(value);
+    const limits = {
+        par: { min: 3, max: 6, label: 'Par' },
+        strokeIndex: { min: 1, max: profile.holes.length, label: 'Stroke index' },
+        yardage: { min: 0, max: 999, label: 'Yardage' },
+        capacity: { min: 1, max: MAX_HOLE_CAPACITY, label: 'Capacity' }
+    };
+    const limit = limits[field];
+    if (!limit) {
+        return { success: false, message: `Unknown hole field: ${field}` };
+    }
+    if (!Number.isInteger(numericValue) || numericValue < limit.min || numericValue > limit.max) {
+        return { success: false, message: `${limit.label} for hole ${holeNumber} must be a whole number from ${limit.min} to ${limit.max}.` };
+    }
+
+    if (field === 'strokeIndex') {
+        const otherHole = profile.holes.find(h => h !== hole && h.strokeIndex === numericValue);
+        if (otherHole) otherHole.strokeIndex = hole.strokeIndex;
+    }
+    if (field === 'capacity' && profile === getActiveCourseProfile()) {
+        const assigned = (_data.holeAssignments[holeNumber.toString()] || []).length;
+        if (numericValue < assigned) {
+            return { success: false, message: `Hole ${holeNumber} already has ${assigned} teams assigned.` };
+        }
+    }
+    hole[field] = numericValue;
+    if (field === 'par') recalculateTeamHandicaps(); // Par feeds the course handicap
+    return { success: true };
+}
+
+/**
+ * Adds a tee set to a course profile.
+ * @param {string} profileId - The ID of the profile.
+ * @param {string} name - Tee name (e.g. "Blue").
+ * @param {string|number} slope - Slope rating (55-155).
+ * @param {string|number} courseRating - Course rating.
+ * @returns {{success: boolean, teeSet?: object, message?: string}} Result object.
+ */
+export function addTeeSet(profileId, name, slope, courseRating) {
+    recordHistoryStep('Add tee set');
+    const profile = _data.courseProfiles.find(p => p.id === profileId);
+    if (!profile) {
+        return { success: false, message: "Course profile not found." };
+    }
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+        return { success: false, message: "Tee name is required." };
+    }
+    if (profile.teeSets.some(tee => tee.name.toLowerCase() === trimmedName.toLowerCase())) {
+        return { success: false, message: `${profile.name} already has ${trimmedName} tees.` };
+    }
+    const validation = validateTeeRatings(slope, courseRating);
+    if (!validation.valid) {
+        return { success: false, message: validation.message };
+    }
+    const teeSet = { id: createId('tee'), name: trimmedName, slope: validation.slope, courseRating: validation.courseRating };
+    profile.teeSets.push(teeSet);
+    return { success: true, teeSet };
+}
+
+/**
+ * Updates the slope and course rating of a tee set.
+ * @param {string} profileId - The ID of the profile.
+ * @param {string} teeSetId - The ID of the tee set.
+ * @param {string|number} slope - Slope rating (55-155).
+ * @param {string|number} courseRating - Course rating.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function updateTeeSet(profileId, teeSetId, slope, courseRating) {
+    recordHistoryStep('Edit tee set');
+    const profile = _data.courseProfiles.find(p => p.id === profileId);
+    const teeSet = profile ? profile.teeSets.find(tee => tee.id === teeSetId) : null;
+    if (!teeSet) {
+        return { success: false, message: "Tee set not found." };
+    }
+    const validation = validateTeeRatings(slope, courseRating);
+    if (!validation.valid) {
+        return { success: false, message: validation.message };
+    }
+    teeSet.slope = validation.slope;
+    teeSet.courseRating = validation.courseRating;
+    recalculateTeamHandicaps();
+    return { success: true };
+}
+
+/**
+ * Removes a tee set from a course profile. Every course keeps at least one tee set.
+ * @param {string} profileId - The ID of the profile.
+ * @param {string} teeSetId - The ID of the tee set.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function removeTeeSet(profileId, teeSetId) {
+    recordHistoryStep('Remove tee set');
+    const profile = _data.courseProfiles.find(p => p.id === profileId);
+    if (!profile) {
+        return { success: false, message: "Course profile not found." };
+    }
+    if (profile.teeSets.length <= 1) {
+        return { success: false, message: "A course needs at least one tee set." };
+    }
+    profile.teeSets = profile.teeSets.filter(tee => tee.id !== teeSetId);
+    if (_data.settings.teeSetId === teeSetId) {
+        _data.settings.teeSetId = profile.teeSets[0].id;
+    }
+    recalculateTeamHandicaps();
+    return { success: true };
+}
+
+/**
+ * Selects the event's tee set, used for players without a tee of their own.
+ * @param {string} teeSetId - The ID of a tee set on the selected course.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function selectTeeSet(teeSetId) {
+    recordHistoryStep('Select tee set');
+    if (!getActiveCourseProfile().teeSets.some(tee => tee.id === teeSetId)) {
+        return { success: false, message: "Tee set not found on the selected course." };
+    }
+    _data.settings.teeSetId = teeSetId;
+    recalculateTeamHandicaps();
+    return { success: true };
+}
+
+/**
+ * Sets the handicap allowance applied to course handicaps (e.g. 85 for four-ball).
+ * @param {string|number} percent - Allowance percentage (1-100).
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function setHandicapAllowance(percent) {
+    recordHistoryStep('Change handicap allowance');
+    const value = Number(percent);
+    if (isNaN(value) || value <= 0 || value > 100) {
+        return { success: false, message: "Handicap allowance must be between 1 and 100 percent." };
+    }
+    _data.settings.handicapAllowance = value;
+    recalculateTeamHandicaps();
+    return { success: true };
+}
+
+// --- Scoring Functions ---
+
+/**
+ * Records (or clears) a player's gross score for a hole.
+ * Scores belong to the player, so they follow the player if teams are changed.
+ * @param {string} playerId - The player's ID.
+ * @param {number} hole - The hole number on the selected course.
+ * @param {string|number} value - Gross score; blank clears the score.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function setPlayerScore(playerId, hole, value) {
+    recordHistoryStep('Enter score');
+    const player = getPlayerById(playerId);
+    if (!player || !_data.teams.some(team => team.playerIds.includes(playerId))) {
+        return { success: false, message: "Player not found on a team." };
+    }
+    if (!Number.isInteger(hole) || hole < 1 || hole > getHoleCount()) {
+        return { success: false, message: `Hole must be between 1 and ${getHoleCount()}.` };
+    }
+
+    const playerScores = _data.scores[playerId] || (_data.scores[playerId] = {});
+    const trimmed = String(value ?? '').trim();
+    if (trimmed === '') {
+        delete playerScores[hole.toString()];
+        return { success: true };
+    }
+
+    const gross = Number(trimmed);
+    if (!Number.isInteger(gross) || gross < 1 || gross > MAX_GROSS_SCORE) {
+        return { success: false, message: `Score for ${player.name} on hole ${hole} must be a whole number from 1 to ${MAX_GROSS_SCORE}.` };
+    }
+    playerScores[hole.toString()] = gross;
+    return { success: true };
+}
+
+/**
+ * Gets a player's gross score for a hole.
+ * @param {string} playerId - The player's ID.
+ * @param {number} hole - The hole number.
+ * @returns {number | null} The gross score, or null if not entered.
+ */
+export function getPlayerScore(playerId, hole) {
+    const playerScores = _data.scores[playerId] || {};
+    const gross = playerScores[hole.toString()];
+    return gross === undefined ? null : gross;
+}
+
+/**
+ * Builds a team's scorecard on the selected course, including which holes are still missing.
+ * @param {number} teamId - The team ID.
+ * @returns {{team: object, rows: Array<{player: object, scores: Array<number|null>, total: number, missingHoles: Array<number>}>, missingHoles: Array<number>, holesComplete: number, isComplete: boolean} | null} The scorecard, or null if the team does not exist.
+ */
+export function getTeamScorecard(teamId) {
+    const team = findTeamById(teamId);
+    if (!team) return null;
+    const holes = getActiveCourseProfile().holes;
+
+    const rows = [];
+    const blindDrawPlayer = getBlindDrawPlayer(team);
+    [...getTeamPlayers(team), blindDrawPlayer].forEach((player, index, players) => {
+        if (!player) return;
+        const scores = holes.map(hole => getPlayerScore(player.id, hole.number));
+        rows.push({
+            player,
+            blindDraw: index === players.length - 1, // Scores are entered on the player's own team
+            scores,
+            total: scores.reduce((sum, gross) => sum + (gross || 0), 0),
+            missingHoles: holes.filter((hole, index) => scores[index] === null).map(hole => hole.number)
+        });
+    });
+
+    // A hole is complete once every player on the team (and any blind draw) has a score for it
+    const missingHoles = holes
+        .filter((hole, index) => rows.some(row => row.scores[index] === null))
+        .map(hole => hole.number);
+
+    return {
+        team,
+        rows,
+        missingHoles,
+        holesComplete: holes.length - missingHoles.length,
+        isComplete: missingHoles.length === 0
+    };
+}
+
+/**
+ * Sets how many net balls count per hole for holes without their own setting.
+ * @param {string|number} value - Number of balls (1 to the team size).
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function setBallsToCount(value) {
+    recordHistoryStep('Change balls to count');
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > _data.settings.teamSize) {
+        return { success: false, message: `Balls that count must be a whole number from 1 to ${_data.settings.teamSize}.` };
+    }
+    _data.settings.ballsToCount = count;
+    return { success: true };
+}
+
+/**
+ * Sets (or clears) how many net balls count on one hole.
+ * @param {number} hole - The hole number.
+ * @param {string|number} value - Number of balls; blank returns the hole to the event setting.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function setHoleBallsToCount(hole, value) {
+    recordHistoryStep('Change balls to count');
+    if (!Number.isInteger(hole) || hole < 1 || hole > getHoleCount()) {
+        return { success: false, message: `Hole must be between 1 and ${getHoleCount()}.` };
+    }
+    const trimmed = String(value ?? '').trim();
+    if (trimmed === '') {
+        delete _data.settings.ballsToCountByHole[hole.toString()];
+        return { success: true };
+    }
+    const count = Number(trimmed);
+    if (!Number.isInteger(count) || count < 1 || count > _data.settings.teamSize) {
+        return { success: false, message: `Balls that count on hole ${hole} must be a whole number from 1 to ${_data.settings.teamSize}.` };
+    }
+    _data.settings.ballsToCountByHole[hole.toString()] = count;
+    return { success: true };
+}
+
+/**
+ * Sets the balls that count on every hole of the selected course from its par,
+ * e.g. { 3: 3, 4: 2, 5: 1 }. Pars without a value keep the event setting.
+ * @param {object} countsByPar - Map of par to number of balls.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function setBallsToCountByPar(countsByPar) {
+    recordHistoryStep('Change balls to count');
+    for (const par in countsByPar) {
+        const count = Number(countsByPar[par]);
+        if (!Number.isInteger(count) || count < 1 || count > _data.settings.teamSize) {
+            return { success: false, message: `Balls that count on par ${par}s must be a whole number from 1 to ${_data.settings.teamSize}.` };
+        }
+    }
+    const byHole = {};
+    getActiveCourseProfile().holes.forEach(hole => {
+        if (countsByPar[hole.par] !== undefined) {
+            byHole[hole.number.toString()] = Number(countsByPar[hole.par]);
+        }
+    });
+    _data.settings.ballsToCountByHole = byHole;
+    return { success: true };
+}
+
+/**
+ * Sets the event's scoring format.
+ * @param {string} format - 'strokePlay', 'stableford' or 'modifiedStableford'.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function setScoringFormat(format) {
+    recordHistoryStep('Change scoring format');
+    if (!SCORING_FORMATS.includes(format)) {
+        return { success: false, message: `Unknown scoring format: ${format}` };
+    }
+    _data.settings.scoringFormat = format;
+    return { success: true };
+}
+
+/**
+ * Sets the points awarded for one result in a Stableford point table.
+ * @param {string} format - 'stableford' or 'modifiedStableford'.
+ * @param {string} netToPar - Table key: net score relative to par (e.g. "-1" for a net birdie).
+ * @param {string|number} value - Points (whole number, may be negative).
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function setStablefordPoints(format, netToPar, value) {
+    recordHistoryStep('Change Stableford points');
+    const table = _data.settings.stablefordTables[format];
+    if (!table || !(netToPar in table)) {
+        return { success: false, message: "Unknown Stableford table entry." };
+    }
+    const points = Number(value);
+    if (String(value).trim() === '' || !Number.isInteger(points) || points < -10 || points > 20) {
+        return { success: false, message: "Stableford points must be a whole number from -10 to 20." };
+    }
+    table[netToPar] = points;
+    return { success: true };
+}
+
+/**
+ * Restores a Stableford point table to its defaults.
+ * @param {string} format - 'stableford' or 'modifiedStableford'.
+ * @returns {{success: boolean, message?: string}} Result object.
+ */
+export function resetStablefordPoints(format) {
+    recordHistoryStep('Reset Stableford points');
+    if (!DEFAULT_STABLEFORD_TABLES[format]) {
+        return { success: false, message: "Unknown Stableford table." };
+    }
+    _data.settings.stablefordTables[format] = { ...DEFAULT_STABLEFORD_TABLES[format] };
     return { success: true };
 }
 
 /**
- * Selects a team randomly from available players in each group.
- * @returns {{success: boolean, team?: object, message?: string}} Result object.
+ * Updates a skins game setting after validation.
+ * @param {string} key - 'grossPot', 'netPot' or 'carryovers'.
+ * @param {string|number|boolean} value - Pot amount (0 or more) or carryovers on/off.
+ * @returns {{success: boolean, message?: string}} Result object.
  */
-export function selectTeam() {
-    const groups = _data.groups;
-    if (!canFormTeam()) {
-        return { success: false, message: "Not enough players left to form a full team." };
+export function updateSkinsSetting(key, value) {
+    recordHistoryStep('Change skins settings');
+    if (key === 'carryovers') {
+        _data.settings.skins.carryovers = Boolean(value);
+        return { success: true };
     }
-
-    const selectedPlayers = {};
-    const playersToRemove = {}; // Track indices to remove
-
-    for (const groupLetter of ['A', 'B', 'C', 'D']) {
-        const group = groups[groupLetter];
-        const playerIndex = Math.floor(Math.random() * group.length);
-        selectedPlayers[groupLetter] = group[playerIndex];
-        playersToRemove[groupLetter] = playerIndex;
+    if (key !== 'grossPot' && key !== 'netPot') {
+        return { success: false, message: `Unknown skins setting: ${key}` };
     }
-
-    const newTeam = {
-        id: _data.teams.length + 1,
-        members: [selectedPlayers['A'], selectedPlayers['B'], selectedPlayers['C'], selectedPlayers['D']]
-    };
-    newTeam.totalHandicap = calculateTeamHandicap(newTeam);
-    _data.teams.push(newTeam);
-
-    // Remove selected players from groups
-    for (const groupLetter in playersToRemove) {
-        groups[groupLetter].splice(playersToRemove[groupLetter], 1);
+    const amount = Number(value);
+    if (String(value).trim() === '' || isNaN(amount) || amount < 0) {
+        return { success: false, message: "Skins pot must be an amount of 0 or more." };
     }
-
-    return { success: true, team: newTeam };
+    _data.settings.skins[key] = amount;
+    return { success: true };
 }
 
 /**
- * Adds a pre-formed team (e.g., from draft) and removes its players from the main groups.
- * @param {object} team - The team object to add.
- * @returns {{success: boolean}} Result object.
+ * Sets the number of players per team, which is also the number of groups. Groups, teams,
+ * scores and hole assignments are cleared, so players must be grouped again.
+ * Balls that count and the uneven field group are brought within the new size.
+ * @param {number} size - Players per team, from 2 to 5.
+ * @returns {{success: boolean, message?: string}} Result object.
  */
-export function addTeamAndRemovePlayers(team) {
-     _data.teams.push(team);
-     team.members.forEach(player => {
-         if (!player) return; // Skip empty slots if any
-         for (const groupLetter in _data.groups) {
-             const group = _data.groups[groupLetter];
-             const playerIndex = group.findIndex(p => p === player); // Find by object reference
-             if (playerIndex > -1) {
-                 group.splice(playerIndex, 1);
-                 break; // Player found and removed, move to next member
-             }
-         }
-     });
-     return { success: true };
-}
+export function setTeamSize(size) {
+    recordHistoryStep('Change team size');
+    if (!Number.isInteger(size) || size < MIN_TEAM_SIZE || size > MAX_TEAM_SIZE) {
+        return { success: false, message: `Team size must be a whole number from ${MIN_TEAM_SIZE} to ${MAX_TEAM_SIZE}.` };
+    }
+    const settings = _data.settings;
+    settings.teamSize = size;
+    _data.groups = createEmptyGroups();
+    _data.alternates = [];
+    _data.teams = [];
+    _data.scores = {};
+    _data.holeAssignments = {};
+    _data.interactiveDraftState = null;
 
-export { canFormTeam }; // Export the function directly
+    if (!getGroupLetters().includes(settings.unevenField.group)) {
+        settings.unevenField.group = getGroupLetters()[size - 1];
+    }
+    settings.ballsToCount = Math.min(settings.ballsToCount, size);
+    Object.keys(settings.ballsToCountByHole).forEach(hole => {
+        settings.ballsToCountByHole[hole] = Math.min(settings.ballsToCountByHole[hole], size);
+    });
+    console.log(`Team size set to ${size}; groups and teams cleared.`); // Debug log
+    return { success: true };
+}
 
 /**
- * Finds a team by its ID.
- * @param {number} teamId - The ID of the team to find.
- * @returns {object | undefined} The team object or undefined if not found.
+ * Sets how players are split into groups: an equal split of the field sorted by playing handicap,
+ * or by playing handicap cutoffs. Takes effect the next time players are grouped.
+ * @param {string} mode - 'equal' or 'thresholds'.
+ * @returns {{success: boolean, message?: string}} Result object.
  */
-export function findTeamById(teamId) { return _data.teams.find(team => team.id === teamId); }
+export function setGroupingMode(mode) {
+    recordHistoryStep('Change grouping mode');
+    if (!GROUPING_MODES.includes(mode)) {
+        return { success: false, message: `Unknown grouping mode: ${mode}.` };
+    }
+    _data.settings.groupingMode = mode;
+    return { success: true };
+}
 
 /**
- * Assigns a team to a specific hole, respecting hole capacity.
- * @param {number} teamId - The ID of the team to assign.
- * @param {number} hole - The hole number (1-18).
+ * Sets the highest playing handicap in a group when grouping by thresholds. Each cutoff must be
+ * above the cutoffs of the groups before it and below those after it; whether every group
+ * has one is checked when players are grouped.
+ * @param {string} groupLetter - The group letter (the last group in use takes the rest and has no cutoff).
+ * @param {string} value - The cutoff, e.g. "12" or "-2" for a plus handicap; blank clears it.
  * @returns {{success: boolean, message?: string}} Result object.
  */
-export function assignTeamToHole(teamId, hole) {
-    if (!teamId || !hole || hole < 1 || hole > 18) {
-        console.error("Invalid teamId or hole number for assignment.");
-        return { success: false, message: "Invalid input for assignment." };
+export function setGroupThreshold(groupLetter, value) {
+    recordHistoryStep('Change group cutoff');
+    if (!GROUP_LETTERS.includes(groupLetter)) {
+        return { success: false, message: `Unknown group: ${groupLetter}.` };
     }
-
-    const holeStr = hole.toString(); // Use string keys for object
-    const teamsOnHole = _data.holeAssignments[holeStr] || [];
-    const maxTeams = doubleStackedHoles.includes(hole) ? 2 : 1;
-
-    // Check if team is already assigned somewhere else
-    for (const h in _data.holeAssignments) {
-        if (_data.holeAssignments[h].includes(teamId)) {
-            console.warn(`Team ${teamId} is already assigned to hole ${h}. Cannot assign again.`);
-            return { success: false, message: `Team ${teamId} is already assigned to hole ${h}.` };
-        }
+    const trimmed = String(value).trim();
+    if (trimmed === '') {
+        delete _data.settings.groupThresholds[groupLetter];
+        return { success: true };
     }
-
-    // Check if hole is full
-    if (teamsOnHole.length >= maxTeams) {
-        console.warn(`Hole ${hole} is full (Max: ${maxTeams}). Cannot assign Team ${teamId}.`);
-        return { success: false, message: `Hole ${hole} is already full.` };
+    const cutoff = Number(trimmed);
+    if (!Number.isFinite(cutoff)) {
+        return { success: false, message: `The Group ${groupLetter} cutoff must be a number.` };
     }
-
-    // Add the team
-    _data.holeAssignments[holeStr] = [...teamsOnHole, teamId];
-    console.log(`Assigned Team ${teamId} to Hole ${hole}. Assignments:`, _data.holeAssignments);
+    if (!areCutoffsAscending({ ..._data.settings.groupThresholds, [groupLetter]: cutoff })) {
+        return { success: false, message: `Handicap cutoffs must rise from group to group. Set the Group ${groupLetter} cutoff between those of the groups around it.` };
+    }
+    _data.settings.groupThresholds[groupLetter] = cutoff;
     return { success: true };
 }
 
 /**
- * Removes a team from a specific hole.
- * @param {number} teamId - The ID of the team to remove.
- * @param {number} hole - The hole number (1-18).
+ * Sets how a field that is not a multiple of the team size is handled. Takes effect the next time players are grouped.
+ * @param {string} mode - 'threesomes', 'fivesome' or 'alternates'.
+ * @param {string} group - The group short teams leave open (blind draw) or long teams take an extra player from.
  * @returns {{success: boolean, message?: string}} Result object.
  */
-export function removeTeamFromHole(teamId, hole) {
-     if (!teamId || !hole || hole < 1 || hole > 18) {
-        console.error("Invalid teamId or hole number for removal.");
-        return { success: false, message: "Invalid input for removal." };
+export function setUnevenField(mode, group) {
+    recordHistoryStep('Change uneven field handling');
+    if (!UNEVEN_FIELD_MODES.includes(mode)) {
+        return { success: false, message: `Unknown uneven field option: ${mode}.` };
     }
-    const holeStr = hole.toString();
-    if (!_data.holeAssignments[holeStr] || !_data.holeAssignments[holeStr].includes(teamId)) {
-         console.warn(`Team ${teamId} not found on hole ${hole}. Cannot remove.`);
-         return { success: false, message: `Team ${teamId} not found on hole ${hole}.` };
-    }
-
-    // Filter out the teamId
-    _data.holeAssignments[holeStr] = _data.holeAssignments[holeStr].filter(id => id !== teamId);
-
-    // If the hole is now empty, remove the key from the assignments object
-    if (_data.holeAssignments[holeStr].length === 0) {
-        delete _data.holeAssignments[holeStr];
+    if (!getGroupLetters().includes(group)) {
+        return { success: false, message: `Choose one of groups ${getGroupLetters().join(', ')}.` };
     }
-    
-    console.log(`Removed Team ${teamId} from Hole ${hole}. Assignments:`, _data.holeAssignments);
+    _data.settings.unevenField = { mode, group };
     return { success: true };
 }
 
 /**
- * Gets an array of all team IDs currently assigned to any hole.
- * @returns {Array<number>} Array of assigned team IDs.
+ * Gets the player whose scores stand in for a threesome's open slot. The player is drawn
+ * from the same group on the other teams, using the draw seed so the draw can be reproduced.
+ * @param {object} team - The team object.
+ * @returns {object|null} The blind draw player, or null if the team is not a threesome or no one can be drawn.
  */
-export function getAssignedTeamIds() {
-    const assignedIds = new Set();
-    Object.values(_data.holeAssignments).forEach(teamIdArray => {
-        teamIdArray.forEach(teamId => assignedIds.add(teamId));
-    });
-    return Array.from(assignedIds); // Return as an array
+export function getBlindDrawPlayer(team) {
+    const openSlot = team.playerIds.indexOf(null);
+    if (openSlot === -1) return null;
+    const candidates = _data.teams
+        .filter(other => other !== team && other.playerIds[openSlot])
+        .map(other => other.playerIds[openSlot]);
+    if (candidates.length === 0) return null;
+    const random = createSeededRandom(`${_data.settings.drawSeed}:blind:${team.id}`);
+    return getPlayerById(candidates[Math.floor(random() * candidates.length)]);
 }
 
-export { getUnassignedTeamsInternal as getUnassignedTeams }; // Export internal helper with public name
-
 /**
- * Automatically assigns all unassigned teams sequentially, filling single slots first, then double slots.
- * @returns {{success: boolean}} Result object.
+ * Gets the players whose scores count for a team: its own players, plus the blind draw
+ * player in a threesome's open slot.
+ * @param {object} team - The team object.
+ * @returns {Array<object>} Player objects.
  */
-export function autoAssignTeams() {
-    _data.holeAssignments = {}; // Clear existing assignments
-    const teamsToAssign = getUnassignedTeamsInternal(); 
-    let teamIndex = 0;
-
-    // First pass: Assign one team per hole
-    for (let hole = 1; hole <= 18 && teamIndex < teamsToAssign.length; hole++) {
-        const teamId = teamsToAssign[teamIndex].id;
-        const assignResult = assignTeamToHole(teamId, hole); 
-        if (assignResult.success) {
-            teamIndex++;
-        } else {
-            console.error(`Failed to assign team ${teamId} to hole ${hole}: ${assignResult.message}`);
-        }
-    }
-
-    // Second pass: Fill double-stacked holes if teams remain
-    for (let hole = 1; hole <= 18 && teamIndex < teamsToAssign.length; hole++) {
-        if (doubleStackedHoles.includes(hole)) {
-            const teamsOnHole = _data.holeAssignments[hole.toString()] || [];
-            if (teamsOnHole.length < 2) {
-                 const teamId = teamsToAssign[teamIndex].id;
-                 const assignResult = assignTeamToHole(teamId, hole);
-                 if (assignResult.success) {
-                     teamIndex++;
-                 } else {
-                      console.error(`Failed to assign second team ${teamId} to hole ${hole}: ${assignResult.message}`);
-                 }
-            }
-        }
-     }
-     console.log("Auto-assignment complete. Assignments:", _data.holeAssignments);
-     return { success: true };
+export function getScoringPlayers(team) {
+    const players = getTeamPlayers(team).filter(Boolean);
+    const blindDrawPlayer = getBlindDrawPlayer(team);
+    if (blindDrawPlayer) players.push(blindDrawPlayer);
+    return players;
 }
 
 /**
- * Randomly assigns all unassigned teams to available hole slots.
- * @returns {{success: boolean}} Result object.
+ * Clears all scores entered for a team.
+ * @param {number} teamId - The team ID.
  */
-export function randomizeTeamAssignments() {
-     _data.holeAssignments = {}; // Clear existing assignments
-     let teamsToAssign = getUnassignedTeamsInternal(); 
-     
-     // Shuffle the teams array (Fisher-Yates shuffle)
-     for (let i = teamsToAssign.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [teamsToAssign[i], teamsToAssign[j]] = [teamsToAssign[j], teamsToAssign[i]];
-     }
-
-     let teamIndex = 0;
-     // Assign shuffled teams using the same logic as autoAssign
-     // First pass
-     for (let hole = 1; hole <= 18 && teamIndex < teamsToAssign.length; hole++) {
-        const teamId = teamsToAssign[teamIndex].id;
-        const assignResult = assignTeamToHole(teamId, hole);
-         if (assignResult.success) {
-            teamIndex++;
-        } else {
-            console.error(`Failed to assign team ${teamId} to hole ${hole}: ${assignResult.message}`);
-        }
-     }
-     // Second pass (double-stacked)
-     for (let hole = 1; hole <= 18 && teamIndex < teamsToAssign.length; hole++) {
-        if (doubleStackedHoles.includes(hole)) {
-            const teamsOnHole = _data.holeAssignments[hole.toString()] || [];
-            if (teamsOnHole.length < 2) {
-                 const teamId = teamsToAssign[teamIndex].id;
-                 const assignResult = assignTeamToHole(teamId, hole);
-                 if (assignResult.success) {
-                     teamIndex++;
-                 } else {
-                     console.error(`Failed to assign second team ${teamId} to hole ${hole}: ${assignResult.message}`);
-                 }
-            }
-        }
-     }
-     console.log("Random assignment complete. Assignments:", _data.holeAssignments);
-     return { success: true };
+export function clearTeamScores(teamId) {
+    recordHistoryStep('Clear team scores');
+    const team = findTeamById(teamId);
+    if (!team) return;
+    team.playerIds.forEach(playerId => { delete _data.scores[playerId]; });
 }
 
 /**
- * Processes CSV text data to extract players.
+ * Processes CSV or TSV text data to extract players. Quoted fields are supported, a header
+ * row is detected and its column names are used to find each field. Without a header the
+ * columns are LastName, FirstName, Handicap.
  * @param {string} csv - The CSV content string.
+ * @param {{mapping?: object, hasHeader?: boolean}} [options] - Column index by field key and/or
+ *        whether the first row is a header, overriding what was detected.
  * @returns {{players: Array<object>, errors: Array<string>}} Result object.
  */
-export function processCSV(csv) {
-    const lines = csv.split(/\r\n|\n/);
+export function processCSV(csv, options = {}) {
+    recordHistoryStep('Import players');
     const importedPlayers = [];
-    const errors = [];
+    let errors = [];
     
     try { 
-        for (let i = 0; i < lines.length; i++) {
-            if (!lines[i].trim()) continue; 
-            
-            const parts = lines[i].split(',');
-            if (parts.length < 3) {
-            errors.push(`Line ${i+1} doesn't have enough data. Format should be LastName,FirstName,Handicap`);
-            continue;
-        }
-        
-        const lastName = parts[0].trim();
-        const firstName = parts[1].trim();
-        const handicapInput = parts[2].trim();
-        
-        const handicapValidation = validateHandicap(handicapInput); 
-        
-        if (!handicapValidation.valid) {
-            errors.push(`Invalid handicap format in line ${i+1}: ${handicapValidation.message}`);
-            continue;
-        }
-        
-        const player = {
-            name: `${lastName}, ${firstName}`,
-            handicap: handicapValidation.value,
-            isPlus: handicapValidation.isPlus,
-            displayHandicap: handicapValidation.isPlus ? 
-                `+${handicapValidation.value}` : 
-                handicapValidation.value.toString()
-        };
-        
-            importedPlayers.push(player);
-        }
+        const result = readImportFile(csv, options);
+        errors = result.errors;
+        result.rows.forEach(row => {
+            if (row.player) {
+                importedPlayers.push(row.player);
+            } else {
+                errors.push(...row.errors);
+            }
+        });
     } catch (error) { 
         console.error("Error processing CSV line:", error);
         errors.push(`Error processing CSV: ${error.message}. Please check file format.`);
@@ -478,89 +3183,307 @@ export function processCSV(csv) {
 }
 
 /**
- * Saves the current application state to localStorage.
- * @returns {{success: boolean, message?: string}} Result object.
+ * Builds an import preview: every row with its validation errors and any existing player
+ * (or earlier row in the same file) with the same normalized name. Each row gets a default
+ * action: 'add' for new players, 'update' for matches whose handicap changed, 'skip' otherwise.
+ * @param {string} csv - The CSV or TSV content.
+ * @param {{mapping?: object, hasHeader?: boolean}} [options] - Overrides for the detected layout.
+ * @returns {{rows: Array<object>, errors: Array<string>}} Preview rows and file-level errors. Each row has
+ *          line, name, handicapInput, player, errors, matchIndex (index in getPlayers(), or -1),
+ *          duplicateOfLine (earlier line with the same name, or null) and action.
  */
-export function saveToLocalStorage() {
+export function previewImport(csv, options = {}) {
+    let result;
     try {
-        const dataToSave = {
-            players: _data.players,
-            groups: _data.groups,
-            teams: _data.teams,
-            holeAssignments: _data.holeAssignments,
-            settings: _data.settings
-        };
-        localStorage.setItem('golfApp', JSON.stringify(dataToSave));
-        return { success: true };
+        result = readImportFile(csv, options);
     } catch (error) {
-        return { success: false, message: `Failed to save data: ${error.message}` };
+        console.error("Error previewing import:", error);
+        return { rows: [], errors: [`Error processing CSV: ${error.message}. Please check file format.`] };
     }
+
+    const existingByName = new Map();
+    _data.players.forEach((player, index) => {
+        const key = normalizePlayerName(player.name);
+        if (!existingByName.has(key)) existingByName.set(key, index);
+    });
+    const fileLinesByName = new Map();
+
+    const rows = result.rows.map(row => {
+        const key = normalizePlayerName(row.name);
+        const matchIndex = existingByName.has(key) ? existingByName.get(key) : -1;
+        const duplicateOfLine = fileLinesByName.has(key) ? fileLinesByName.get(key) : null;
+        if (row.player && duplicateOfLine === null) fileLinesByName.set(key, row.line);
+
+        let action = 'add';
+        if (!row.player || duplicateOfLine !== null) {
+            action = 'skip';
+        } else if (matchIndex > -1) {
+            const existing = _data.players[matchIndex];
+            const changed = existing.handicap !== row.player.handicap || Boolean(existing.isPlus) !== row.player.isPlus;
+            action = changed ? 'update' : 'skip';
+        }
+        return { ...row, matchIndex, duplicateOfLine, action };
+    });
+    return { rows, errors: result.errors };
 }
 
 /**
- * Loads application state from localStorage.
- * @returns {{success: boolean, message?: string}} Result object.
+ * Applies the chosen action for each previewed import row.
+ * 'add' adds the player, 'update' copies the handicap (and any GHIN, email or tee) onto the
+ * matching player, 'skip' ignores the row. Invalid rows are always skipped.
+ * @param {Array<object>} previewRows - Rows from previewImport with their chosen actions.
+ * @returns {{added: number, updated: number, skipped: number}} Counts of each outcome.
+ */
+export function applyImport(previewRows) {
+    recordHistoryStep('Import players');
+    const counts = { added: 0, updated: 0, skipped: 0 };
+    previewRows.forEach(row => {
+        if (!row.player || row.action === 'skip') {
+            counts.skipped++;
+        } else if (row.action === 'update' && row.matchIndex > -1 && _data.players[row.matchIndex]) {
+            const existing = _data.players[row.matchIndex];
+            existing.handicap = row.player.handicap;
+            existing.isPlus = row.player.isPlus;
+            existing.displayHandicap = row.player.displayHandicap;
+            ['ghin', 'email', 'tee'].forEach(field => {
+                if (row.player[field]) existing[field] = row.player[field];
+            });
+            counts.updated++;
+        } else if (row.action === 'add') {
+            _data.players.push({ ...row.player });
+            counts.added++;
+        } else {
+            counts.skipped++;
+        }
+    });
+    if (counts.added > 0 || counts.updated > 0) _data.interactiveDraftState = null;
+    recalculateTeamHandicaps();
+    return counts;
+}
+
+/**
+ * Gets the event's data for saving: roster, groups, teams, assignments, scores and settings,
+ * plus a draft in progress.
+ * @returns {object} The event data.
+ */
+export function getEventData() {
+    return JSON.parse(JSON.stringify({
+        schemaVersion: EVENT_SCHEMA_VERSION,
+        players: _data.players,
+        groups: _data.groups,
+        teams: _data.teams,
+        holeAssignments: _data.holeAssignments,
+        scores: _data.scores,
+        pairingRules: _data.pairingRules,
+        alternates: _data.alternates,
+        settings: _data.settings,
+        courseProfiles: _data.courseProfiles,
+        interactiveDraftState: _data.interactiveDraftState
+    })); // A copy, so later edits never change a stored event
+}
+
+/**
+ * Checks saved event data before it is loaded: upgrades it from older schema versions, checks its
+ * shape field by field, then removes references to players and teams that are not in the event.
+ * Settings are checked when the data is loaded, where invalid ones fall back to the default.
+ * @param {object} data - Event data from getEventData or an event file (upgraded and cleaned in place).
+ * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>, migratedFrom?: number}} Validation result;
+ *          warnings describe the references removed, and migratedFrom is the version the data was upgraded from, if it was.
+ */
+export function checkEventData(data) {
+    if (!isPlainObject(data)) {
+        return { valid: false, errors: ["The event data must be an object."], warnings: [] };
+    }
+    let migration;
+    try {
+        migration = migrateEventData(data);
+    } catch (error) {
+        return { valid: false, errors: [`The event data could not be upgraded to the current version: ${error.message}`], warnings: [] };
+    }
+    if (!migration.success) return { valid: false, errors: [migration.message], warnings: [] };
+
+    const errors = findEventDataErrors(data);
+    const warnings = [];
+    if (errors.length === 0) dropDanglingReferences(data, warnings);
+    const result = { valid: errors.length === 0, errors, warnings };
+    if (migration.fromVersion < EVENT_SCHEMA_VERSION) result.migratedFrom = migration.fromVersion;
+    return result;
+}
+
+/**
+ * Replaces the event with saved event data. The data is checked first, and the new event is built
+ * in full before any of it replaces the open one, so nothing changes if the data has errors.
+ * Settings are taken one by one, so settings older saves lack keep their defaults.
+ * @param {object} parsedData - Event data from getEventData or an event file (upgraded in place).
+ * @returns {{success: boolean, warnings?: Array<string>, message?: string, errors?: Array<string>}} Result object;
+ *          warnings describe what was reset or removed while loading.
  */
-export function loadFromLocalStorage() {
+export function loadEventData(parsedData) {
     try {
-        const savedData = localStorage.getItem('golfApp');
-        if (!savedData) { 
-            return { success: false, message: 'No saved data found' }; 
+        const check = checkEventData(parsedData);
+        if (!check.valid) {
+            return { success: false, message: "The event data is not valid.", errors: check.errors };
         }
-        
-        const parsedData = JSON.parse(savedData);
-        _data.players = parsedData.players || [];
-        _data.groups = parsedData.groups || { A: [], B: [], C: [], D: [] };
-        _data.teams = parsedData.teams || [];
-        _data.holeAssignments = parsedData.holeAssignments || {};
-        
-        if (parsedData.settings) {
-            _data.settings = parsedData.settings;
+        const warnings = [...check.warnings];
+        const settings = mergeSettings(parsedData.settings, warnings);
+        const groupLetters = GROUP_LETTERS.slice(0, settings.teamSize);
+        const groups = { ...parsedData.groups };
+        groupLetters.forEach(letter => { if (!groups[letter]) groups[letter] = []; });
+        const courseProfiles = parsedData.courseProfiles && parsedData.courseProfiles.length > 0 ?
+            parsedData.courseProfiles : [createDefaultCourseProfile()];
+        courseProfiles.forEach(profile => {
+            if (!profile.teeSets || profile.teeSets.length === 0) {
+                const par = profile.holes.reduce((sum, hole) => sum + hole.par, 0);
+                profile.teeSets = [{ id: createId('tee'), name: 'White', slope: STANDARD_SLOPE, courseRating: par }];
+            }
+        });
+        let draftState = parsedData.interactiveDraftState || null;
+        if (draftState && !isDraftStateUsable(draftState, groups, groupLetters)) {
+            warnings.push("The draft in progress no longer matches the groups and was cancelled.");
+            draftState = null;
         }
+
+        Object.assign(_data, {
+            players: parsedData.players,
+            groups,
+            teams: parsedData.teams || [],
+            holeAssignments: parsedData.holeAssignments || {},
+            scores: parsedData.scores || {},
+            pairingRules: parsedData.pairingRules || [],
+            alternates: parsedData.alternates || [],
+            settings,
+            courseProfiles,
+            interactiveDraftState: draftState
+        });
+        resetTeamRandom();
+        resetHoleRandom();
+        if (selectCourseProfile(getActiveCourseProfile().id).assignmentsCleared) { // Also checks the tee set and recalculates team totals
+            warnings.push("Hole assignments were cleared because they do not fit the selected course.");
+        }
+        clearHistory(); // Steps from before the load would undo into a different event
         
-        return { success: true };
+        return { success: true, warnings };
     } catch (error) {
         return { success: false, message: `Failed to load data: ${error.message}` }; 
     }
 }
 
+/**
+ * Builds the data for a new, empty event: no players, groups, teams or scores. Settings and
+ * course profiles carry over from the open event, with a new draw seed and today's date.
+ * @returns {object} Event data for loadEventData.
+ */
+export function createNewEventData() {
+    const data = getEventData();
+    return {
+        ...data,
+        players: [],
+        groups: createEmptyGroups(),
+        teams: [],
+        holeAssignments: {},
+        scores: {},
+        pairingRules: [],
+        alternates: [],
+        settings: { ...data.settings, drawSeed: generateSeed(), eventDate: getTodayDate() },
+        interactiveDraftState: null
+    };
+}
+
 // --- Interactive Draft Style Functions ---
 
 /**
- * Initializes the state for an interactive draft.
+ * Gets how many teams a draft would form from the current groups: one per player in the
+ * smallest group (the blind draw group may be smaller).
+ * @returns {number} The number of teams.
+ */
+export function getDraftTeamCount() {
+    const blindDrawGroup = getBlindDrawGroup();
+    return Math.min(...getGroupLetters()
+        .filter(groupLetter => groupLetter !== blindDrawGroup)
+        .map(groupLetter => _data.groups[groupLetter].length));
+}
+
+/**
+ * Gets the default draft captains: the top players of group A (or of the first group
+ * that is not the blind draw group), one per team.
+ * @returns {Array<string>} Player IDs of the captains.
+ */
+export function getDefaultCaptainIds() {
+    const blindDrawGroup = getBlindDrawGroup();
+    const captainGroup = getGroupLetters().find(groupLetter => groupLetter !== blindDrawGroup);
+    return _data.groups[captainGroup].slice(0, getDraftTeamCount());
+}
+
+/**
+ * Initializes the state for an interactive captain draft. Each captain is seated on a team in
+ * their group's slot; the teams then take turns picking a player from each remaining group,
+ * one round per group.
+ * @param {object} [options] - Draft options.
+ * @param {string} [options.order='snake'] - 'snake' (turn order reverses every round) or 'linear'.
+ * @param {Array<string>} [options.captainIds] - One grouped player per team; defaults to getDefaultCaptainIds.
+ * @param {number} [options.pickSeconds=0] - Seconds on the pick clock (0 for no clock).
  * @returns {{success: boolean, draftState?: object, message?: string}} Result object.
  */
-export function initializeInteractiveDraft() {
+export function initializeInteractiveDraft(options = {}) {
     const groups = _data.groups;
-    const numTeams = Math.min(groups.A.length, groups.B.length, groups.C.length, groups.D.length);
+    const groupLetters = getGroupLetters();
+    const numTeams = getDraftTeamCount();
+    const order = options.order || 'snake';
+    const pickSeconds = options.pickSeconds || 0;
+    const captainIds = options.captainIds || getDefaultCaptainIds();
     
     if (numTeams === 0) {
         return { success: false, message: "Not enough players in all groups to form any teams." };
     }
+    if (!DRAFT_ORDERS.includes(order)) {
+        return { success: false, message: `Unknown draft order: ${order}.` };
+    }
+    if (!Number.isInteger(pickSeconds) || pickSeconds < 0 || pickSeconds > MAX_PICK_SECONDS) {
+        return { success: false, message: `The pick clock must be a whole number of seconds from 0 to ${MAX_PICK_SECONDS}.` };
+    }
+    if (captainIds.length !== numTeams || new Set(captainIds).size !== numTeams) {
+        return { success: false, message: `Choose ${numTeams} different captains, one for each team.` };
+    }
+    const captainGroups = captainIds.map(playerId => groupLetters.find(letter => groups[letter].includes(playerId)));
+    if (captainGroups.includes(undefined)) {
+        return { success: false, message: "Captains must be players still waiting in a group." };
+    }
+
+    const availableGroups = Object.fromEntries(groupLetters.map(letter => [letter, [...groups[letter]]])); // Copies of the groups' player IDs
+    const draftedTeamsData = captainIds.map((captainId, teamIndex) => {
+        const playerIds = groupLetters.map(() => null); // Pre-fill with nulls
+        const groupLetter = captainGroups[teamIndex];
+        playerIds[groupLetters.indexOf(groupLetter)] = captainId;
+        availableGroups[groupLetter].splice(availableGroups[groupLetter].indexOf(captainId), 1);
+        return { playerIds, partialHandicap: getPlayingHandicap(getPlayerById(captainId)) };
+    });
 
     _data.interactiveDraftState = {
         numTeams: numTeams,
+        firstTeamId: getNextTeamId(),
+        order,
+        pickSeconds,
+        captainIds: [...captainIds],
         currentTeamIndex: 0,
-        currentRoundIndex: 0, // 0=D, 1=C, 2=B, 3=A
-        draftOrder: ['D', 'C', 'B', 'A'],
-        availableGroups: { // Make copies
-            A: [...groups.A],
-            B: [...groups.B],
-            C: [...groups.C],
-            D: [...groups.D]
-        },
-        draftedTeamsData: Array.from({ length: numTeams }, () => ({ members: [null, null, null, null], partialHandicap: 0 })), // Pre-fill with nulls
+        currentPickInRound: 0,
+        currentRoundIndex: 0,
+        // One round per group that still has slots to fill, in group order
+        draftOrder: groupLetters.filter(letter => captainGroups.filter(captainGroup => captainGroup === letter).length < numTeams),
+        availableGroups,
+        draftedTeamsData,
+        pickLog: [], // { pick, round, teamIndex, groupLetter, playerId, method }
+        redoPicks: [], // Undone pick log entries, last undone at the end
         targetTeamHandicap: 0, 
         avgPlayerHandicap: 0   
     };
 
-    // Calculate balancing targets if needed
+    // Calculate balancing targets for automatic picks
     if (_data.settings.balanceTeams) {
          if (_data.players.length > 0) {
             let totalPlayerHandicap = 0;
-            _data.players.forEach(p => { totalPlayerHandicap += getNumericHandicap(p); });
+            _data.players.forEach(p => { totalPlayerHandicap += getPlayingHandicap(p); });
             _data.interactiveDraftState.avgPlayerHandicap = totalPlayerHandicap / _data.players.length;
-            _data.interactiveDraftState.targetTeamHandicap = _data.interactiveDraftState.avgPlayerHandicap * 4;
+            _data.interactiveDraftState.targetTeamHandicap = _data.interactiveDraftState.avgPlayerHandicap * groupLetters.length;
         }
         // Adjust target based on existing teams if any (might not be ideal, but keeps consistency)
         if (_data.teams.length > 0) {
@@ -570,18 +3493,65 @@ export function initializeInteractiveDraft() {
         }
     }
     
+    settleDraftTurn(_data.interactiveDraftState);
+    console.log(`Captain draft started: ${numTeams} teams, ${order} order.`); // Debug log
     return { success: true, draftState: _data.interactiveDraftState };
 }
 
 /**
- * Makes a single pick in the interactive draft, considering balancing if enabled.
- * @returns {{success: boolean, player?: object, teamIndex?: number, groupLetter?: string, isDraftComplete?: boolean, updatedState?: object, message?: string}} Result object.
+ * Gets the interactive draft in progress.
+ * @returns {object|null} The draft state, or null if no draft is running.
+ */
+export function getInteractiveDraftState() {
+    return _data.interactiveDraftState;
+}
+
+/**
+ * Cancels the interactive draft in progress. No teams are formed and every player stays in their group.
+ */
+export function cancelInteractiveDraft() {
+    _data.interactiveDraftState = null;
+    console.log("Captain draft cancelled."); // Debug log
+}
+
+/**
+ * Makes the current captain's pick: a player still available in the round's group.
+ * Captains may break a pairing rule; ruleWarning then says which one.
+ * @param {string} playerId - The picked player.
+ * @returns {{success: boolean, player?: object, teamIndex?: number, groupLetter?: string, isDraftComplete?: boolean, ruleWarning?: string, updatedState?: object, message?: string}} Result object.
+ */
+export function makeCaptainPick(playerId) {
+    const state = _data.interactiveDraftState;
+    if (!state) {
+        return { success: false, message: "Draft not initialized." };
+    }
+    if (state.currentRoundIndex >= state.draftOrder.length) {
+        return { success: false, message: "The draft is complete." };
+    }
+    const groupLetter = state.draftOrder[state.currentRoundIndex];
+    if (!state.availableGroups[groupLetter].includes(playerId)) {
+        return { success: false, message: `${getPlayerName(playerId)} is not available in Group ${groupLetter}.` };
+    }
+
+    state.redoPicks = []; // A new pick replaces any undone picks
+    return recordDraftPick(state, playerId, 'captain', getDraftPickRuleWarning(state, playerId));
+}
+
+/**
+ * Makes the current team's pick automatically, considering balancing if enabled. Used when a
+ * captain asks for an automatic pick or the pick clock runs out.
+ * Picks keep the pairing rules; if no player in the group can, ruleWarning says which rule was broken.
+ * @param {string} [method='auto'] - Logged as how the pick was made: 'auto' or 'clock'.
+ * @returns {{success: boolean, player?: object, teamIndex?: number, groupLetter?: string, isDraftComplete?: boolean, ruleWarning?: string, updatedState?: object, message?: string}} Result object.
  */
-export function makeInteractiveDraftPick() {
+export function makeInteractiveDraftPick(method = 'auto') {
     const state = _data.interactiveDraftState;
     if (!state) {
         return { success: false, message: "Draft not initialized." };
     }
+    if (state.currentRoundIndex >= state.draftOrder.length) {
+        return { success: false, message: "The draft is complete." };
+    }
 
     const teamIndex = state.currentTeamIndex;
     const roundIndex = state.currentRoundIndex;
@@ -593,21 +3563,32 @@ export function makeInteractiveDraftPick() {
     }
 
     let chosenPlayer;
-    let chosenPlayerIndex;
+
+    // Only players who keep the pairing rules can be picked, unless no one in the group can
+    const memberIndex = getGroupLetters().indexOf(groupLetter);
+    const partialIds = state.draftedTeamsData[teamIndex].playerIds;
+    const ruleContext = createRuleContext(getPairingRulesToApply(true), state.availableGroups);
+    let eligibleIndices = currentAvailableGroup.map((playerId, j) => j)
+        .filter(j => !findBlockingRule(currentAvailableGroup[j], memberIndex, partialIds, ruleContext));
+    let ruleWarning;
+    if (eligibleIndices.length === 0) {
+        eligibleIndices = currentAvailableGroup.map((playerId, j) => j);
+        ruleWarning = `No Group ${groupLetter} player could join Team ${state.firstTeamId + teamIndex} without breaking a pairing rule`;
+    }
 
     // Balancing logic
-    if (_data.settings.balanceTeams && groupLetter !== 'D') { // Often start random/snake for D
+    if (_data.settings.balanceTeams) {
         const currentPartialHandicap = state.draftedTeamsData[teamIndex].partialHandicap;
         let bestPlayer = null;
         let bestPlayerIdx = -1;
         let minDifference = Infinity;
 
-        for (let j = 0; j < currentAvailableGroup.length; j++) {
-            const potentialPlayer = currentAvailableGroup[j];
-            const potentialPlayerHandicap = getNumericHandicap(potentialPlayer);
-            const remainingRounds = state.draftOrder.length - (roundIndex + 1);
+        for (const j of eligibleIndices) {
+            const potentialPlayer = getPlayerById(currentAvailableGroup[j]);
+            const potentialPlayerHandicap = getPlayingHandicap(potentialPlayer);
+            const remainingSlots = partialIds.filter(playerId => playerId === null).length - 1;
             // Predict final handicap based on average remaining picks
-            const predictedFinalHandicap = currentPartialHandicap + potentialPlayerHandicap + (remainingRounds * state.avgPlayerHandicap);
+            const predictedFinalHandicap = currentPartialHandicap + potentialPlayerHandicap + (remainingSlots * state.avgPlayerHandicap);
             const difference = Math.abs(predictedFinalHandicap - state.targetTeamHandicap);
 
             if (difference < minDifference) {
@@ -617,49 +3598,94 @@ export function makeInteractiveDraftPick() {
             }
         }
          if (bestPlayerIdx === -1) { // Fallback if calculation fails
-            bestPlayerIdx = Math.floor(Math.random() * currentAvailableGroup.length);
-            bestPlayer = currentAvailableGroup[bestPlayerIdx];
+            bestPlayerIdx = eligibleIndices[Math.floor(_teamRandom() * eligibleIndices.length)];
+            bestPlayer = getPlayerById(currentAvailableGroup[bestPlayerIdx]);
         }
         chosenPlayer = bestPlayer;
-        chosenPlayerIndex = bestPlayerIdx;
     } else {
         // Random pick
-        chosenPlayerIndex = Math.floor(Math.random() * currentAvailableGroup.length);
-        chosenPlayer = currentAvailableGroup[chosenPlayerIndex];
+        chosenPlayer = getPlayerById(currentAvailableGroup[eligibleIndices[Math.floor(_teamRandom() * eligibleIndices.length)]]);
+    }
+    if (ruleWarning) {
+        const blockingRule = findBlockingRule(chosenPlayer.id, memberIndex, partialIds, ruleContext);
+        ruleWarning += blockingRule ? `; picking ${chosenPlayer.name} breaks ${describePairingRule(blockingRule)}.` : '.';
     }
 
-    // Assign player to the correct slot (A=0, B=1, C=2, D=3)
-    const memberIndex = state.draftOrder.length - 1 - roundIndex; // D=3, C=2, B=1, A=0
-    state.draftedTeamsData[teamIndex].members[memberIndex] = chosenPlayer;
-    state.draftedTeamsData[teamIndex].partialHandicap += getNumericHandicap(chosenPlayer);
-    
-    // Remove player from available group for this draft
-    currentAvailableGroup.splice(chosenPlayerIndex, 1);
+    state.redoPicks = []; // A new pick replaces any undone picks
+    return recordDraftPick(state, chosenPlayer.id, method, ruleWarning);
+}
 
-    // Advance draft state
-    state.currentTeamIndex++;
-    if (state.currentTeamIndex >= state.numTeams) {
-        state.currentTeamIndex = 0;
-        state.currentRoundIndex++;
+/**
+ * Takes back the last pick of the draft: the player goes back to the available players of their group,
+ * the team's partial handicap drops and the turn rewinds to the team that made the pick.
+ * Captains seated at the start of the draft cannot be undone.
+ * @returns {{success: boolean, player?: object, teamIndex?: number, groupLetter?: string, canRedo?: boolean, updatedState?: object, message?: string}} Result object.
+ */
+export function undoDraftPick() {
+    const state = _data.interactiveDraftState;
+    if (!state) {
+        return { success: false, message: "Draft not initialized." };
     }
-    
-    const isDraftComplete = state.currentRoundIndex >= state.draftOrder.length;
-
-    return { 
-        success: true, 
-        player: chosenPlayer, 
-        teamIndex: teamIndex, 
-        groupLetter: groupLetter, 
-        isDraftComplete: isDraftComplete,
-        updatedState: state // Return updated state
+    const entry = state.pickLog.pop();
+    if (!entry) {
+        return { success: false, message: "There are no picks to undo." };
+    }
+
+    const teamData = state.draftedTeamsData[entry.teamIndex];
+    teamData.playerIds[getGroupLetters().indexOf(entry.groupLetter)] = null;
+    teamData.partialHandicap = calculatePartialHandicap(teamData.playerIds);
+    // Return the player to their place in the group's handicap order
+    const groupOrder = _data.groups[entry.groupLetter];
+    const available = state.availableGroups[entry.groupLetter];
+    available.push(entry.playerId);
+    available.sort((a, b) => groupOrder.indexOf(a) - groupOrder.indexOf(b));
+
+    state.currentRoundIndex = entry.round - 1;
+    state.currentPickInRound = getDraftTeamOrder(state, state.currentRoundIndex).indexOf(entry.teamIndex);
+    state.currentTeamIndex = entry.teamIndex;
+    state.redoPicks.push(entry);
+    console.log(`Undid draft pick ${entry.pick}: ${getPlayerName(entry.playerId)}.`); // Debug log
+    return {
+        success: true,
+        player: getPlayerById(entry.playerId),
+        teamIndex: entry.teamIndex,
+        groupLetter: entry.groupLetter,
+        canRedo: true,
+        updatedState: state
     };
 }
 
+/**
+ * Makes the last undone pick again, for the same team and by the same method.
+ * @returns {{success: boolean, player?: object, teamIndex?: number, groupLetter?: string, isDraftComplete?: boolean, ruleWarning?: string, updatedState?: object, message?: string}} Result object.
+ */
+export function redoDraftPick() {
+    const state = _data.interactiveDraftState;
+    if (!state) {
+        return { success: false, message: "Draft not initialized." };
+    }
+    const entry = state.redoPicks[state.redoPicks.length - 1];
+    if (!entry) {
+        return { success: false, message: "There are no picks to redo." };
+    }
+    if (state.currentTeamIndex !== entry.teamIndex || state.draftOrder[state.currentRoundIndex] !== entry.groupLetter ||
+        !state.availableGroups[entry.groupLetter].includes(entry.playerId)) {
+        state.redoPicks = [];
+        return { success: false, message: "The undone pick can no longer be made again." };
+    }
+
+    state.redoPicks.pop();
+    return recordDraftPick(state, entry.playerId, entry.method, getDraftPickRuleWarning(state, entry.playerId));
+}
+
 /**
  * Finalizes the draft, adds completed teams to the main list, and removes players from groups.
- * @returns {{success: boolean, teamsAdded?: number, message?: string}} Result object.
+ * The captains' picks are kept as drafted: the spread is reported against the max handicap
+ * difference, but no players are swapped to meet it.
+ * @returns {{success: boolean, teamsAdded?: number, spreadResult?: object, message?: string}} Result object.
  */
 export function finalizeDraftedTeams() {
+    recordHistoryStep('Captain draft');
     const state = _data.interactiveDraftState;
     if (!state || state.currentRoundIndex < state.draftOrder.length) {
         return { success: false, message: "Draft is not complete." };
@@ -667,22 +3693,20 @@ export function finalizeDraftedTeams() {
 
     const finalTeams = [];
     state.draftedTeamsData.forEach((draftedTeamData, index) => {
-         if (draftedTeamData.members.every(p => p !== null)) { // Check if team is full
+         // Check if team is full; threesomes leave the blind draw slot open
+         if (draftedTeamData.playerIds.every((playerId, slot) => playerId !== null || getGroupLetters()[slot] === getBlindDrawGroup())) {
             const newTeam = {
-                id: _data.teams.length + finalTeams.length + 1,
-                members: draftedTeamData.members // Already in A,B,C,D order due to index mapping
+                id: getNextTeamId() + finalTeams.length,
+                playerIds: [...draftedTeamData.playerIds] // Already in group letter order due to index mapping
             };
             newTeam.totalHandicap = calculateTeamHandicap(newTeam);
             finalTeams.push(newTeam);
 
             // Remove players from main data groups
-            newTeam.members.forEach(player => {
-                const groupKey = ['A', 'B', 'C', 'D'].find(key => _data.groups[key].some(orig => orig === player));
+            newTeam.playerIds.forEach(playerId => {
+                const groupKey = getGroupLetters().find(key => _data.groups[key].includes(playerId));
                 if (groupKey) {
-                    const playerIndex = _data.groups[groupKey].indexOf(player);
-                    if (playerIndex > -1) {
-                        _data.groups[groupKey].splice(playerIndex, 1);
-                    }
+                    _data.groups[groupKey].splice(_data.groups[groupKey].indexOf(playerId), 1);
                 }
             });
         } else {
@@ -691,9 +3715,18 @@ export function finalizeDraftedTeams() {
     });
 
     _data.teams.push(...finalTeams);
+    placeExtraPlayers(finalTeams);
     _data.interactiveDraftState = null; // Clear draft state
-    return { success: true, teamsAdded: finalTeams.length };
+    const brokenRules = describeBrokenRules(_data.teams, getPairingRulesToApply());
+    const report = getSpreadReport(_data.teams);
+    const spreadResult = {
+        ...report,
+        message: report.withinLimit ? undefined :
+            `The teams' handicap spread of ${report.spread.toFixed(1)} is over the maximum handicap difference of ${report.limit.toFixed(1)}. The captains' picks were kept.`,
+        ruleWarning: brokenRules.length > 0 ? `The drafted teams break these pairing rules: ${brokenRules.join('; ')}.` : undefined
+    };
+    return { success: true, teamsAdded: finalTeams.length, spreadResult };
 }
 
 // Export the specific calculation function if needed elsewhere (though it's mainly internal)
-export { calculateTeamHandicap };
+export { calculateTeamHandicap, getBalanceMetrics };
@@ -0,0 +1,95 @@
+import * as DataModel from './dataModel.js';
+
+/**
+ * Event File Module
+ * Builds and reads event files: JSON downloads of one event, used to move an event between computers.
+ * A file wraps the event data with its format name, schema version, export time and event name.
+ * Files from older versions are upgraded and every file is checked before it is imported.
+ */
+
+const EVENT_FILE_FORMAT = 'golf-team-selector-event';
+
+// --- Private Helper Functions ---
+
+/**
+ * Finds the event data in a parsed file. Besides event files, the bare event data saved by
+ * earlier versions (which had no file format) is accepted.
+ * @param {object} parsed - The parsed file.
+ * @returns {{data?: object, eventName?: string, message?: string}} The event data and name, or a message saying why there is none.
+ */
+function unwrapEventFile(parsed) {
+    if (parsed.format === undefined && Array.isArray(parsed.players)) {
+        return { data: parsed, eventName: '' };
+    }
+    if (parsed.format !== EVENT_FILE_FORMAT) {
+        return { message: "This is not a Golf Team Selector event file." };
+    }
+    if (!DataModel.isPlainObject(parsed.data)) {
+        return { message: "The event file has no event data." };
+    }
+    if (parsed.data.schemaVersion === undefined && parsed.schemaVersion !== 1) {
+        return { message: "The event data has no schema version." };
+    }
+    if (parsed.data.schemaVersion !== undefined && parsed.data.schemaVersion !== parsed.schemaVersion) {
+        return { message: `The event file says it is version ${parsed.schemaVersion}, but its data is version ${parsed.data.schemaVersion}.` };
+    }
+    return { data: parsed.data, eventName: typeof parsed.eventName === 'string' ? parsed.eventName.trim() : '' };
+}
+
+// --- Public API ---
+
+/**
+ * Builds an event file.
+ * @param {string} eventName - The event's name.
+ * @param {object} data - The event data (see DataModel.getEventData). Data saved before schema versions counts as version 1.
+ * @returns {string} The file contents.
+ */
+export function buildEventFile(eventName, data) {
+    return JSON.stringify({
+        format: EVENT_FILE_FORMAT,
+        schemaVersion: data.schemaVersion || 1,
+        exportedAt: new Date().toISOString(),
+        eventName,
+        data
+    }, null, 2);
+}
+
+/**
+ * Makes a file name for an event file from the event's name, e.g. "Club Day 2026" becomes "club-day-2026.event.json".
+ * @param {string} eventName - The event's name.
+ * @returns {string} The file name.
+ */
+export function getEventFileName(eventName) {
+    const slug = eventName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${slug || 'event'}.event.json`;
+}
+
+/**
+ * Reads an event file: parses it, upgrades older versions and checks the event data field by field.
+ * @param {string} text - The file contents.
+ * @returns {{success: boolean, data?: object, eventName?: string, migratedFrom?: number, warnings?: Array<string>, message?: string, errors?: Array<string>}}
+ *          Result object with the event data ready for DataModel.loadEventData and the name saved in the file
+ *          (blank if it has none); warnings describe references that were removed from the data. On failure,
+ *          errors lists each problem found.
+ */
+export function parseEventFile(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { success: false, message: "The file is not valid JSON.", errors: [error.message] };
+    }
+    if (!DataModel.isPlainObject(parsed)) {
+        return { success: false, message: "This is not a Golf Team Selector event file.", errors: [] };
+    }
+
+    const unwrapped = unwrapEventFile(parsed);
+    if (!unwrapped.data) return { success: false, message: unwrapped.message, errors: [] };
+
+    const check = DataModel.checkEventData(unwrapped.data);
+    if (!check.valid) {
+        return { success: false, message: `The event file has ${check.errors.length} problem(s).`, errors: check.errors };
+    }
+    console.log(`Read event file "${unwrapped.eventName}"${check.migratedFrom ? ` (upgraded from version ${check.migratedFrom})` : ''}.`); // Debug log
+    return { success: true, data: unwrapped.data, eventName: unwrapped.eventName, migratedFrom: check.migratedFrom, warnings: check.warnings };
+}
@@ -0,0 +1,328 @@
+/**
+ * Event Library Module
+ * Stores named events in IndexedDB, each with its own roster, groups, teams, assignments and settings,
+ * and remembers which event is open. Saves made before the library existed (the single
+ * 'golfApp' localStorage key) are moved into it once.
+ */
+
+const DB_NAME = 'golfTeamSelector';
+const DB_VERSION = 1;
+const EVENTS_STORE = 'events'; // { id, name, createdAt, updatedAt, data }
+const META_STORE = 'meta'; // { key, value }
+const LEGACY_STORAGE_KEY = 'golfApp';
+const MAX_EVENT_NAME_LENGTH = 60;
+
+let _dbPromise = null;
+let _idCounter = 0; // Keeps IDs created in the same millisecond unique
+
+// --- Private Helper Functions ---
+
+/**
+ * Opens the library database, creating its stores on first use. The connection is reused.
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+function openDatabase() {
+    if (!_dbPromise) {
+        _dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error("This browser does not support IndexedDB."));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(EVENTS_STORE)) db.createObjectStore(EVENTS_STORE, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error("The event library is open in another tab that needs to be closed first."));
+        });
+        _dbPromise.catch(() => { _dbPromise = null; }); // Let the next call try again
+    }
+    return _dbPromise;
+}
+
+/**
+ * Runs one request against a store and waits for its transaction to finish.
+ * @param {string} storeName - The object store.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Starts the request.
+ * @returns {Promise<*>} The request's result.
+ */
+async function runRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error("The change was not saved."));
+    });
+}
+
+/**
+ * Creates a unique event ID.
+ * @returns {string} The ID.
+ */
+function createEventId() {
+    _idCounter++;
+    return `event-${Date.now().toString(36)}-${_idCounter.toString(36)}`;
+}
+
+/**
+ * Reads a value from the meta store.
+ * @param {string} key - The meta key.
+ * @returns {Promise<*>} The value, or undefined if it is not set.
+ */
+async function getMeta(key) {
+    const record = await runRequest(META_STORE, 'readonly', store => store.get(key));
+    return record ? record.value : undefined;
+}
+
+/**
+ * Writes a value to the meta store.
+ * @param {string} key - The meta key.
+ * @param {*} value - The value.
+ * @returns {Promise<void>}
+ */
+async function setMeta(key, value) {
+    await runRequest(META_STORE, 'readwrite', store => store.put({ key, value }));
+}
+
+/**
+ * Checks an event name: it must not be blank, too long, or used by another event (ignoring case).
+ * @param {string} name - The trimmed name.
+ * @param {Array<object>} events - Every stored event.
+ * @param {string} [exceptId] - An event allowed to have the name already (the one being renamed).
+ * @returns {string|null} An error message, or null if the name can be used.
+ */
+function findNameProblem(name, events, exceptId) {
+    if (!name) return "Please enter an event name.";
+    if (name.length > MAX_EVENT_NAME_LENGTH) return `Event names can be at most ${MAX_EVENT_NAME_LENGTH} characters.`;
+    if (events.some(event => event.id !== exceptId && event.name.toLowerCase() === name.toLowerCase())) {
+        return `There is already an event named "${name}".`;
+    }
+    return null;
+}
+
+/**
+ * Makes a name no other event uses by adding a number: "Club Day (copy)", "Club Day (copy) 2", ...
+ * @param {string} baseName - The name to start from.
+ * @param {Array<object>} events - Every stored event.
+ * @returns {string} The unused name.
+ */
+function makeUniqueName(baseName, events) {
+    const base = baseName.slice(0, MAX_EVENT_NAME_LENGTH - 4);
+    let name = base;
+    for (let number = 2; findNameProblem(name, events) !== null; number++) {
+        name = `${base} ${number}`;
+    }
+    return name;
+}
+
+/**
+ * Describes a stored event for the library list without its data.
+ * @param {object} event - The stored event.
+ * @returns {{id: string, name: string, eventDate: string, playerCount: number, teamCount: number, createdAt: string, updatedAt: string}} The summary.
+ */
+function summarizeEvent(event) {
+    const data = event.data || {};
+    return {
+        id: event.id,
+        name: event.name,
+        eventDate: (data.settings && data.settings.eventDate) || '',
+        playerCount: (data.players || []).length,
+        teamCount: (data.teams || []).length,
+        createdAt: event.createdAt,
+        updatedAt: event.updatedAt
+    };
+}
+
+// --- Public API ---
+
+/**
+ * Lists the stored events, most recently saved first.
+ * @returns {Promise<{success: boolean, events?: Array<object>, message?: string}>} Result object with event summaries.
+ */
+export async function listEvents() {
+    try {
+        const events = await runRequest(EVENTS_STORE, 'readonly', store => store.getAll());
+        events.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        return { success: true, events: events.map(summarizeEvent) };
+    } catch (error) {
+        return { success: false, message: `Failed to read the event library: ${error.message}` };
+    }
+}
+
+/**
+ * Reads an event with its data.
+ * @param {string} eventId - The event's ID.
+ * @returns {Promise<{success: boolean, event?: object, message?: string}>} Result object.
+ */
+export async function getEvent(eventId) {
+    try {
+        const event = await runRequest(EVENTS_STORE, 'readonly', store => store.get(eventId));
+        return event ? { success: true, event } : { success: false, message: "That event no longer exists." };
+    } catch (error) {
+        return { success: false, message: `Failed to open the event: ${error.message}` };
+    }
+}
+
+/**
+ * Creates an event.
+ * @param {string} name - The event's name.
+ * @param {object} data - The event data (see DataModel.getEventData).
+ * @returns {Promise<{success: boolean, event?: object, message?: string}>} Result object.
+ */
+export async function createEvent(name, data) {
+    try {
+        const { events } = await listEvents();
+        const trimmed = (name || '').trim();
+        const problem = findNameProblem(trimmed, events || []);
+        if (problem) return { success: false, message: problem };
+
+        const now = new Date().toISOString();
+        const event = { id: createEventId(), name: trimmed, createdAt: now, updatedAt: now, data };
+        await runRequest(EVENTS_STORE, 'readwrite', store => store.add(event));
+        console.log(`Created event "${trimmed}".`); // Debug log
+        return { success: true, event };
+    } catch (error) {
+        return { success: false, message: `Failed to create the event: ${error.message}` };
+    }
+}
+
+/**
+ * Saves new data for an event.
+ * @param {string} eventId - The event's ID.
+ * @param {object} data - The event data (see DataModel.getEventData).
+ * @returns {Promise<{success: boolean, message?: string}>} Result object.
+ */
+export async function saveEvent(eventId, data) {
+    try {
+        const event = await runRequest(EVENTS_STORE, 'readonly', store => store.get(eventId));
+        if (!event) return { success: false, message: "That event no longer exists." };
+        await runRequest(EVENTS_STORE, 'readwrite', store => store.put({ ...event, data, updatedAt: new Date().toISOString() }));
+        return { success: true };
+    } catch (error) {
+        return { success: false, message: `Failed to save data: ${error.message}` };
+    }
+}
+
+/**
+ * Renames an event.
+ * @param {string} eventId - The event's ID.
+ * @param {string} name - The new name.
+ * @returns {Promise<{success: boolean, name?: string, message?: string}>} Result object with the name as stored.
+ */
+export async function renameEvent(eventId, name) {
+    try {
+        const { events } = await listEvents();
+        const trimmed = (name || '').trim();
+        const problem = findNameProblem(trimmed, events || [], eventId);
+        if (problem) return { success: false, message: problem };
+
+        const event = await runRequest(EVENTS_STORE, 'readonly', store => store.get(eventId));
+        if (!event) return { success: false, message: "That event no longer exists." };
+        await runRequest(EVENTS_STORE, 'readwrite', store => store.put({ ...event, name: trimmed }));
+        return { success: true, name: trimmed };
+    } catch (error) {
+        return { success: false, message: `Failed to rename the event: ${error.message}` };
+    }
+}
+
+/**
+ * Copies an event, data and all, under a new name ("<name> (copy)" unless one is given).
+ * @param {string} eventId - The event to copy.
+ * @param {string} [name] - The copy's name.
+ * @returns {Promise<{success: boolean, event?: object, message?: string}>} Result object with the copy.
+ */
+export async function duplicateEvent(eventId, name) {
+    const original = await getEvent(eventId);
+    if (!original.success) return original;
+    const { events } = await listEvents();
+    return createEvent(name || makeUniqueName(`${original.event.name} (copy)`, events || []), original.event.data);
+}
+
+/**
+ * Makes an event name no stored event uses, by adding a number if needed.
+ * @param {string} baseName - The name wanted.
+ * @returns {Promise<string>} The unused name.
+ */
+export async function getUnusedEventName(baseName) {
+    const { events } = await listEvents();
+    return makeUniqueName(baseName.trim() || 'Imported event', events || []);
+}
+
+/**
+ * Deletes an event. The open event cannot be deleted.
+ * @param {string} eventId - The event's ID.
+ * @returns {Promise<{success: boolean, message?: string}>} Result object.
+ */
+export async function deleteEvent(eventId) {
+    try {
+        if (await getMeta('currentEventId') === eventId) {
+            return { success: false, message: "Open another event before deleting this one." };
+        }
+        await runRequest(EVENTS_STORE, 'readwrite', store => store.delete(eventId));
+        return { success: true };
+    } catch (error) {
+        return { success: false, message: `Failed to delete the event: ${error.message}` };
+    }
+}
+
+/**
+ * Gets the ID of the event that was open last.
+ * @returns {Promise<string|null>} The event ID, or null if none has been opened.
+ */
+export async function getCurrentEventId() {
+    try {
+        return (await getMeta('currentEventId')) || null;
+    } catch (error) {
+        console.error("Failed to read the open event:", error);
+        return null;
+    }
+}
+
+/**
+ * Remembers which event is open, so it opens again on the next visit.
+ * @param {string} eventId - The event's ID.
+ * @returns {Promise<{success: boolean, message?: string}>} Result object.
+ */
+export async function setCurrentEventId(eventId) {
+    try {
+        await setMeta('currentEventId', eventId);
+        return { success: true };
+    } catch (error) {
+        return { success: false, message: `Failed to open the event: ${error.message}` };
+    }
+}
+
+/**
+ * Moves a save from before the event library (the 'golfApp' localStorage key) into the library
+ * as a named event. Runs once: later calls do nothing, and the old key is removed after the move.
+ * @returns {Promise<{success: boolean, migrated?: boolean, event?: object, message?: string}>} Result object;
+ *          migrated is true if an event was created.
+ */
+export async function migrateLegacySave() {
+    try {
+        if (await getMeta('legacyMigrated')) return { success: true, migrated: false };
+        const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (saved) {
+            const data = JSON.parse(saved);
+            const { events } = await listEvents();
+            const eventDate = data.settings && data.settings.eventDate;
+            const created = await createEvent(makeUniqueName(eventDate ? `Event ${eventDate}` : 'Saved event', events || []), data);
+            if (!created.success) return created;
+            if (!(await getMeta('currentEventId'))) await setMeta('currentEventId', created.event.id);
+            await setMeta('legacyMigrated', new Date().toISOString());
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+            console.log(`Moved the saved data into the event library as "${created.event.name}".`); // Debug log
+            return { success: true, migrated: true, event: created.event };
+        }
+        await setMeta('legacyMigrated', new Date().toISOString());
+        return { success: true, migrated: false };
+    } catch (error) {
+        return { success: false, message: `Failed to move the saved data into the event library: ${error.message}` };
+    }
+}
@@ -0,0 +1,117 @@
+import * as DataModel from './dataModel.js';
+import * as Scoring from './scoring.js';
+import { formatDelimited } from './csv.js';
+
+/**
+ * Exporter Module
+ * Builds CSV/TSV exports of the roster, teams and tee sheet.
+ * The roster export starts with LastName, FirstName, Handicap so it can be imported again.
+ */
+
+// --- Private Helper Functions ---
+
+/**
+ * Splits a stored "Last, First" name into its parts.
+ * @param {string} name - The player's name.
+ * @returns {{lastName: string, firstName: string}} The name parts.
+ */
+function splitName(name) {
+    const commaIndex = name.lastIndexOf(','); // Keeps suffixes such as "O'Neil, Jr." in the last name
+    if (commaIndex === -1) return { lastName: name.trim(), firstName: '' };
+    return { lastName: name.slice(0, commaIndex).trim(), firstName: name.slice(commaIndex + 1).trim() };
+}
+
+/**
+ * Formats a handicap index the way it is entered (plus handicaps keep their "+").
+ * @param {object} player - The player object.
+ * @returns {string} The handicap.
+ */
+function formatHandicap(player) {
+    return `${player.isPlus ? '+' : ''}${player.handicap}`;
+}
+
+/**
+ * Finds the group and team a player is in. Players leave their group when they join a team;
+ * a team's slot order matches the group letters, and a fivesome's fifth player belongs to its extra group.
+ * @param {object} player - The player object.
+ * @returns {{group: string, teamId: (number|string)}} Group letter (or "Alternate") and team ID (blank if none).
+ */
+function findPlayerPlacement(player) {
+    for (const team of DataModel.getTeams()) {
+        const slot = team.playerIds.indexOf(player.id);
+        if (slot > -1) return { group: DataModel.getSlotGroupLetter(team, slot) || '', teamId: team.id };
+    }
+    if (DataModel.getAlternates().includes(player.id)) return { group: 'Alternate', teamId: '' };
+    const groups = DataModel.getGroups();
+    const group = Object.keys(groups).find(letter => groups[letter].includes(player.id));
+    return { group: group || '', teamId: '' };
+}
+
+/**
+ * Builds the player fields of a tee sheet row, one per group. A short team's open slot names
+ * the blind draw and a long team's extra player shares the field of their group.
+ * @param {object} team - The team object.
+ * @returns {Array<string>} Field text for each group, in group letter order.
+ */
+function buildTeeSheetPlayers(team) {
+    const groupLetters = DataModel.getGroupLetters();
+    const players = groupLetters.map(() => '');
+    DataModel.getTeamPlayers(team).forEach((player, slot) => {
+        const index = groupLetters.indexOf(DataModel.getSlotGroupLetter(team, slot));
+        if (index === -1) return;
+        if (!player) {
+            const blindDrawPlayer = DataModel.getBlindDrawPlayer(team);
+            players[index] = `Blind draw${blindDrawPlayer ? `: ${blindDrawPlayer.name}` : ''}`;
+            return;
+        }
+        players[index] = players[index] ? `${players[index]} / ${player.name}` : player.name;
+    });
+    return players;
+}
+
+// --- Public API ---
+
+/**
+ * Builds the player roster with each player's playing handicap, group and team.
+ * @param {string} [delimiter=','] - ',' for CSV or '\t' for TSV.
+ * @returns {string} The delimited text.
+ */
+export function buildRosterExport(delimiter = ',') {
+    const rows = [['LastName', 'FirstName', 'Handicap', 'PlayingHandicap', 'Group', 'Team']];
+    DataModel.getPlayers().forEach(player => {
+        const { lastName, firstName } = splitName(player.name);
+        const placement = findPlayerPlacement(player);
+        rows.push([lastName, firstName, formatHandicap(player), DataModel.getPlayingHandicap(player), placement.group, placement.teamId]);
+    });
+    return formatDelimited(rows, delimiter);
+}
+
+/**
+ * Builds the team list: one row per team member, with the team's total playing handicap.
+ * @param {string} [delimiter=','] - ',' for CSV or '\t' for TSV.
+ * @returns {string} The delimited text.
+ */
+export function buildTeamsExport(delimiter = ',') {
+    const rows = [['Team', 'Group', 'LastName', 'FirstName', 'Handicap', 'PlayingHandicap', 'TeamTotal']];
+    DataModel.getTeams().forEach(team => {
+        DataModel.getTeamPlayers(team).forEach((player, slot) => {
+            if (!player) return;
+            const { lastName, firstName } = splitName(player.name);
+            rows.push([team.id, DataModel.getSlotGroupLetter(team, slot) || '', lastName, firstName, formatHandicap(player), DataModel.getPlayingHandicap(player), team.totalHandicap]);
+        });
+    });
+    return formatDelimited(rows, delimiter);
+}
+
+/**
+ * Builds the tee sheet: hole, tee time, team, players and how short or long teams are scored, in tee time order.
+ * @param {string} [delimiter=','] - ',' for CSV or '\t' for TSV.
+ * @returns {string} The delimited text.
+ */
+export function buildTeeSheetExport(delimiter = ',') {
+    const rows = [['Hole', 'TeeTime', 'Team', ...DataModel.getGroupLetters().map(letter => `Player${letter}`), 'Scoring']];
+    DataModel.getTeeSheet().forEach(row => {
+        rows.push([row.hole, row.teeTime, row.team.id, ...buildTeeSheetPlayers(row.team), Scoring.getTeamScoringNote(row.team) || '']);
+    });
+    return formatDelimited(rows, delimiter);
+}
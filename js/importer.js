@@ -0,0 +1,180 @@
+import { parseDelimited } from './csv.js';
+
+/**
+ * Importer Module
+ * Reads player files from club systems: finds the header row, guesses which column
+ * holds which field and turns each row into player details.
+ */
+
+// Fields a column can be mapped to, with the header names that identify them
+const IMPORT_FIELDS = [
+    { key: 'lastName', label: 'Last Name', aliases: ['last name', 'lastname', 'last', 'surname', 'family name'] },
+    { key: 'firstName', label: 'First Name', aliases: ['first name', 'firstname', 'first', 'given name', 'forename'] },
+    { key: 'fullName', label: 'Full Name ("First Last" or "Last, First")', aliases: ['name', 'full name', 'fullname', 'player', 'player name', 'golfer'] },
+    { key: 'handicap', label: 'Handicap', aliases: ['handicap', 'handicap index', 'hcp', 'hcp index', 'hi', 'index', 'whs index'] },
+    { key: 'ghin', label: 'GHIN', aliases: ['ghin', 'ghin number', 'ghin #', 'ghin no', 'member id', 'membership number'] },
+    { key: 'email', label: 'Email', aliases: ['email', 'e-mail', 'email address'] },
+    { key: 'tee', label: 'Tee', aliases: ['tee', 'tees', 'tee set', 'tee box'] }
+];
+
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv'];
+
+// --- Private Helper Functions ---
+
+/**
+ * Normalizes a header cell for matching against field aliases.
+ * @param {string} header - The header text.
+ * @returns {string} Lowercase text with underscores, dots, colons and brackets turned into spaces.
+ */
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[_.:()]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds the import field a header cell names.
+ * @param {string} header - The header text.
+ * @returns {string|null} The field key, or null if the header is not recognized.
+ */
+function findFieldForHeader(header) {
+    const normalized = normalizeHeader(header);
+    const field = IMPORT_FIELDS.find(f => f.aliases.includes(normalized));
+    return field ? field.key : null;
+}
+
+/**
+ * Checks whether a cell looks like a handicap index (e.g. "10.5", "+2.1").
+ * @param {string} value - The cell text.
+ * @returns {boolean} True if the cell could be a handicap.
+ */
+function looksLikeHandicap(value) {
+    return /^\+?\d+(\.\d+)?$/.test(value.trim());
+}
+
+/**
+ * Guesses the column mapping for a file without a header row.
+ * Three or more columns are read as LastName, FirstName, Handicap (the documented format);
+ * two columns as Name, Handicap.
+ * @param {number} columnCount - Number of columns in the file.
+ * @returns {object} Column index by field key.
+ */
+function guessMappingWithoutHeader(columnCount) {
+    if (columnCount >= 3) return { lastName: 0, firstName: 1, handicap: 2 };
+    if (columnCount === 2) return { fullName: 0, handicap: 1 };
+    return {};
+}
+
+// --- Public API ---
+
+/**
+ * Gets the fields a column can be mapped to.
+ * @returns {Array<{key: string, label: string}>} The import fields.
+ */
+export function getImportFields() {
+    return IMPORT_FIELDS.map(({ key, label }) => ({ key, label }));
+}
+
+/**
+ * Parses an import file and works out its layout. The first row is treated as a header
+ * when it names at least one known field and has no handicap values in it.
+ * @param {string} text - The CSV or TSV file contents.
+ * @param {boolean} [hasHeaderOverride] - Set to force whether the first row is a header.
+ * @returns {{rows: Array<{line: number, fields: Array<string>}>, hasHeader: boolean, columns: Array<string>, mapping: object, errors: Array<string>}}
+ *          Data rows (header excluded), whether a header was found, a display name for each column,
+ *          the guessed column index by field key, and any parse errors.
+ */
+export function analyzeImport(text, hasHeaderOverride) {
+    const parsed = parseDelimited(text);
+    const rows = parsed.rows;
+    const columnCount = rows.reduce((max, row) => Math.max(max, row.fields.length), 0);
+
+    const firstRow = rows.length > 0 ? rows[0].fields : [];
+    const headerFields = firstRow.map(findFieldForHeader);
+    const hasHeader = typeof hasHeaderOverride === 'boolean' ? hasHeaderOverride :
+        headerFields.some(field => field !== null) && !firstRow.some(looksLikeHandicap);
+
+    let mapping;
+    if (hasHeader) {
+        mapping = {};
+        headerFields.forEach((field, index) => {
+            if (field && mapping[field] === undefined) mapping[field] = index;
+        });
+    } else {
+        mapping = guessMappingWithoutHeader(columnCount);
+    }
+
+    const columns = [];
+    for (let i = 0; i < columnCount; i++) {
+        const header = hasHeader && firstRow[i] ? firstRow[i].trim() : '';
+        columns.push(header ? `${header} (column ${i + 1})` : `Column ${i + 1}`);
+    }
+
+    return {
+        rows: hasHeader ? rows.slice(1) : rows,
+        hasHeader,
+        columns,
+        mapping,
+        errors: parsed.errors
+    };
+}
+
+/**
+ * Converts a name to the "Last, First" format used for players.
+ * "Last, First" names are kept as they are; "First Last" names are split at the last space.
+ * @param {string} rawName - The name as written in the file.
+ * @returns {string} The name as "Last, First", or the trimmed input if it is a single word.
+ */
+export function toLastFirstName(rawName) {
+    const name = rawName.trim().replace(/\s+/g, ' ');
+    if (name.includes(',')) {
+        const commaIndex = name.lastIndexOf(',');
+        return `${name.slice(0, commaIndex).trim()}, ${name.slice(commaIndex + 1).trim()}`;
+    }
+    const words = name.split(' ');
+    if (words.length < 2) return name;
+    // A suffix stays with the last name: "Pat O'Neil Jr." becomes "O'Neil Jr., Pat"
+    const lastNameWords = words.length > 2 && NAME_SUFFIXES.includes(words[words.length - 1].toLowerCase().replace(/\./g, '')) ? 2 : 1;
+    return `${words.slice(-lastNameWords).join(' ')}, ${words.slice(0, -lastNameWords).join(' ')}`;
+}
+
+/**
+ * Normalizes a player name for duplicate matching: "First Last" and "Last, First" forms,
+ * letter case, accents, punctuation and extra spaces are all ignored.
+ * @param {string} name - The player's name.
+ * @returns {string} The normalized "last, first" name.
+ */
+export function normalizePlayerName(name) {
+    return toLastFirstName(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9, ]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Reads the mapped fields from one row.
+ * @param {Array<string>} fields - The row's fields.
+ * @param {object} mapping - Column index by field key.
+ * @returns {{name: string, handicapInput: string, ghin: string, email: string, tee: string}} The row's values
+ *          (empty strings for unmapped or missing columns).
+ */
+export function readImportRow(fields, mapping) {
+    const get = key => mapping[key] !== undefined && mapping[key] !== null && fields[mapping[key]] !== undefined ?
+        fields[mapping[key]].trim() : '';
+
+    let name = '';
+    if (get('lastName') || get('firstName')) {
+        name = get('firstName') ? `${get('lastName')}, ${get('firstName')}` : get('lastName');
+    } else if (get('fullName')) {
+        name = toLastFirstName(get('fullName'));
+    }
+
+    return {
+        name,
+        handicapInput: get('handicap'),
+        ghin: get('ghin'),
+        email: get('email'),
+        tee: get('tee')
+    };
+}
@@ -0,0 +1,56 @@
+/**
+ * Random Module
+ * Seedable pseudo-random number generation so draws can be reproduced from a published seed.
+ */
+
+// --- Private Helper Functions ---
+
+/**
+ * Hashes a string into a 32-bit unsigned integer (xmur3 hash).
+ * @param {string} str - The string to hash.
+ * @returns {number} The 32-bit hash.
+ */
+function hashString(str) {
+    let hash = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        hash = Math.imul(hash ^ str.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// --- Public API ---
+
+/**
+ * Creates a seeded random number generator (mulberry32).
+ * The same seed always produces the same sequence of numbers.
+ * @param {string} seed - The seed string.
+ * @returns {function(): number} A function returning numbers in [0, 1), like Math.random.
+ */
+export function createSeededRandom(seed) {
+    let state = hashString(String(seed));
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generates a new, human-friendly seed (e.g. "K7QM-2XPD").
+ * Ambiguous characters (0/O, 1/I) are left out so seeds can be read aloud or retyped.
+ * @returns {string} The seed.
+ */
+export function generateSeed() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let seed = '';
+    for (let i = 0; i < 8; i++) {
+        if (i === 4) seed += '-';
+        seed += alphabet[Math.floor(Math.random() * alphabet.length)];
+    }
+    return seed;
+}
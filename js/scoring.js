@@ -0,0 +1,302 @@
+import * as DataModel from './dataModel.js';
+
+/**
+ * Scoring Module
+ * Calculates net scores, best-ball team results and the leaderboard from the
+ * scores and course data held in the data model.
+ */
+
+// Scorecard playoff: compare the last 9, 6, 3 and 1 holes, in that order
+const PLAYOFF_SEGMENTS = [9, 6, 3, 1];
+const GROUP_SIZE_NAMES = ['', 'Single', 'Twosome', 'Threesome', 'Foursome', 'Fivesome', 'Sixsome'];
+const NUMBER_WORDS = ['no', 'one', 'two', 'three', 'four', 'five', 'six'];
+
+// --- Private Helper Functions ---
+
+/**
+ * Calculates how many strokes a player receives on a hole.
+ * Strokes go to the lowest stroke indexes first; plus handicaps give strokes
+ * back starting from the highest stroke index.
+ * @param {number} playingHandicap - The player's playing handicap (plus is negative).
+ * @param {number} strokeIndex - The hole's stroke index (1 = hardest).
+ * @param {number} holeCount - Number of holes on the course.
+ * @returns {number} Strokes received (negative for strokes given back).
+ */
+function getStrokesReceived(playingHandicap, strokeIndex, holeCount) {
+    if (playingHandicap >= 0) {
+        const base = Math.floor(playingHandicap / holeCount);
+        return base + (strokeIndex <= playingHandicap % holeCount ? 1 : 0);
+    }
+    const plus = -playingHandicap;
+    const base = Math.floor(plus / holeCount);
+    return -(base + (strokeIndex > holeCount - (plus % holeCount) ? 1 : 0));
+}
+
+/**
+ * Formats a score relative to par (e.g. "E", "+3", "-2").
+ * @param {number} toPar - Strokes relative to par.
+ * @returns {string} The formatted score.
+ */
+function formatToPar(toPar) {
+    if (toPar === 0) return 'E';
+    return toPar > 0 ? `+${toPar}` : `${toPar}`;
+}
+
+/**
+ * Compares two team results by the scorecard playoff (back 9, 6, 3, 1).
+ * @param {object} a - Team result.
+ * @param {object} b - Team result.
+ * @returns {number} Negative if a wins the playoff, positive if b wins, 0 if still tied.
+ */
+function comparePlayoff(a, b) {
+    for (const segment of PLAYOFF_SEGMENTS) {
+        const diff = getSegmentRankValue(a, segment) - getSegmentRankValue(b, segment);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Sums a team's rank value (score to par, or negative points) over the last holes of the course.
+ * @param {object} result - Team result from calculateTeamResult.
+ * @param {number} segment - Number of closing holes to include.
+ * @returns {number} Rank value over those holes (unplayed holes count as 0).
+ */
+function getSegmentRankValue(result, segment) {
+    const firstHole = result.holes.length - segment + 1;
+    return result.holes
+        .filter(holeResult => holeResult.hole >= firstHole && holeResult.complete)
+        .reduce((sum, holeResult) => sum + holeResult.rankValue, 0);
+}
+
+// --- Public API ---
+
+/**
+ * Gets how many of the team's net scores count on a hole.
+ * @param {number} hole - The hole number.
+ * @returns {number} The number of balls that count.
+ */
+export function getBallsToCount(hole) {
+    const settings = DataModel.getSettings();
+    return settings.ballsToCountByHole[hole.toString()] || settings.ballsToCount;
+}
+
+/**
+ * Calculates a player's net score on a hole.
+ * @param {object} player - The player object.
+ * @param {number} gross - The gross score.
+ * @param {object} hole - Hole data from the course profile.
+ * @returns {number} The net score.
+ */
+export function getNetScore(player, gross, hole) {
+    const strokes = getStrokesReceived(DataModel.getPlayingHandicap(player), hole.strokeIndex, DataModel.getHoleCount());
+    return gross - strokes;
+}
+
+/**
+ * Gets the Stableford points for a net score relative to par, using the event's point
+ * table for the current Stableford format.
+ * @param {number} netToPar - Net score minus par.
+ * @param {string} [format] - 'stableford' or 'modifiedStableford'; defaults to the event format.
+ * @returns {number} The points.
+ */
+export function getStablefordPoints(netToPar, format = DataModel.getSettings().scoringFormat) {
+    const table = DataModel.getSettings().stablefordTables[format] || DataModel.getSettings().stablefordTables.stableford;
+    const keys = Object.keys(table).map(Number);
+    const clamped = Math.min(Math.max(netToPar, Math.min(...keys)), Math.max(...keys));
+    return table[clamped.toString()];
+}
+
+/**
+ * Checks whether the event is scored on Stableford points.
+ * @returns {boolean} True for standard or modified Stableford.
+ */
+export function isStablefordFormat() {
+    return DataModel.getSettings().scoringFormat !== 'strokePlay';
+}
+
+/**
+ * Calculates a team's result for the event's scoring format. On each hole the best N
+ * balls count: the lowest net scores in stroke play, the highest point scores in Stableford.
+ * A hole is only scored once every player on the team has a score for it; a short team's
+ * blind draw player counts as the missing player.
+ * @param {object} team - The team object.
+ * @returns {{team: object, holes: Array<object>, thru: number, total: number, toPar: number, points: number, rankValue: number}} The team result.
+ */
+export function calculateTeamResult(team) {
+    const stableford = isStablefordFormat();
+    const holes = DataModel.getCourseProfile().holes.map(hole => {
+        const netScores = [];
+        let complete = true;
+        DataModel.getScoringPlayers(team).forEach(player => {
+            const gross = DataModel.getPlayerScore(player.id, hole.number);
+            if (gross === null) {
+                complete = false;
+            } else {
+                netScores.push(getNetScore(player, gross, hole));
+            }
+        });
+
+        const ballsToCount = Math.min(getBallsToCount(hole.number), netScores.length || 1);
+        if (!complete) {
+            return { hole: hole.number, complete: false, ballsToCount, teamScore: null, toPar: 0, points: 0, rankValue: 0 };
+        }
+
+        const holeResult = { hole: hole.number, complete: true, ballsToCount };
+        if (stableford) {
+            const counted = netScores
+                .map(net => getStablefordPoints(net - hole.par))
+                .sort((a, b) => b - a)
+                .slice(0, ballsToCount);
+            holeResult.counted = counted;
+            holeResult.points = counted.reduce((sum, points) => sum + points, 0);
+            holeResult.teamScore = holeResult.points;
+            holeResult.toPar = 0;
+            holeResult.rankValue = -holeResult.points; // Lower rank value is better
+        } else {
+            const counted = [...netScores].sort((a, b) => a - b).slice(0, ballsToCount);
+            holeResult.counted = counted;
+            holeResult.teamScore = counted.reduce((sum, net) => sum + net, 0);
+            holeResult.toPar = holeResult.teamScore - hole.par * ballsToCount;
+            holeResult.points = 0;
+            holeResult.rankValue = holeResult.toPar;
+        }
+        return holeResult;
+    });
+
+    const played = holes.filter(holeResult => holeResult.complete);
+    const sum = key => played.reduce((total, holeResult) => total + holeResult[key], 0);
+    return {
+        team,
+        holes,
+        thru: played.length,
+        total: sum('teamScore'),
+        toPar: sum('toPar'),
+        points: sum('points'),
+        rankValue: sum('rankValue')
+    };
+}
+
+/**
+ * Describes how a team that is short or long of the team size is scored, for team cards and the tee sheet.
+ * @param {object} team - The team object.
+ * @returns {string|null} The note, or null for a full team.
+ */
+export function getTeamScoringNote(team) {
+    const { ballsToCount, teamSize } = DataModel.getSettings();
+    const playerCount = team.playerIds.filter(Boolean).length;
+    const groupName = GROUP_SIZE_NAMES[playerCount] || `${playerCount}-player team`;
+    const openSlot = team.playerIds.indexOf(null);
+    if (openSlot > -1) {
+        const groupLetter = DataModel.getSlotGroupLetter(team, openSlot);
+        const blindDrawPlayer = DataModel.getBlindDrawPlayer(team);
+        if (!blindDrawPlayer) {
+            return `${groupName}: no Group ${groupLetter} player is on another team to blind draw, so the best ${Math.min(ballsToCount, playerCount)} of ${NUMBER_WORDS[playerCount] || playerCount} balls count.`;
+        }
+        const blindDrawTeam = DataModel.getTeams().find(other => other.playerIds.includes(blindDrawPlayer.id));
+        return `${groupName}: the Group ${groupLetter} ball is a blind draw of ${blindDrawPlayer.name}'s net scores (Team ${blindDrawTeam.id}).`;
+    }
+    if (playerCount > teamSize) {
+        return `${groupName}: the best ${ballsToCount} of ${NUMBER_WORDS[playerCount] || playerCount} balls count on each hole.`;
+    }
+    return null;
+}
+
+/**
+ * Builds the live leaderboard: by score to par in stroke play, by points in Stableford.
+ * Ties are broken by scorecard playoff (back 9, 6, 3, 1); teams still tied share a position.
+ * @returns {Array<{position: string, team: object, thru: number, total: number, toPar: number, points: number, displayToPar: string}>} Leaderboard rows.
+ */
+export function getLeaderboard() {
+    const results = DataModel.getTeams().map(team => calculateTeamResult(team));
+    const ranked = results
+        .filter(result => result.thru > 0)
+        .sort((a, b) => a.rankValue - b.rankValue || comparePlayoff(a, b));
+    const notStarted = results.filter(result => result.thru === 0);
+
+    const isTied = (a, b) => a.rankValue === b.rankValue && comparePlayoff(a, b) === 0;
+    const rows = ranked.map((result, index) => {
+        let firstIndex = index;
+        while (firstIndex > 0 && isTied(ranked[firstIndex - 1], result)) firstIndex--;
+        const shared = firstIndex !== index || (index + 1 < ranked.length && isTied(ranked[index + 1], result));
+        return {
+            ...result,
+            position: `${shared ? 'T' : ''}${firstIndex + 1}`,
+            displayToPar: formatToPar(result.toPar)
+        };
+    });
+
+    return rows.concat(notStarted.map(result => ({ ...result, position: '-', displayToPar: '-' })));
+}
+
+/**
+ * Calculates a gross or net skins game across every player in the field.
+ * A skin is won by the single lowest score on a hole; a tie halves the hole and, with
+ * carryovers on, the skin carries to the next decided hole. Holes where anyone in the
+ * field is still missing a score are pending and skipped until they are complete.
+ * @param {string} type - 'gross' or 'net'.
+ * @returns {{type: string, pot: number, holes: Array<object>, winners: Array<object>, totalSkins: number, valuePerSkin: number, carriedOver: number}} The skins report.
+ */
+export function calculateSkins(type) {
+    const settings = DataModel.getSettings().skins;
+    const pot = type === 'net' ? settings.netPot : settings.grossPot;
+
+    const field = [];
+    DataModel.getTeams().forEach(team => {
+        DataModel.getTeamPlayers(team).forEach(player => {
+            if (player) field.push({ player, team });
+        });
+    });
+
+    let carry = 0;
+    const holes = DataModel.getCourseProfile().holes.map(hole => {
+        const entries = field.map(entry => {
+            const gross = DataModel.getPlayerScore(entry.player.id, hole.number);
+            if (gross === null) return null;
+            return { ...entry, score: type === 'net' ? getNetScore(entry.player, gross, hole) : gross };
+        });
+        if (field.length === 0 || entries.some(entry => entry === null)) {
+            return { hole: hole.number, status: 'pending' };
+        }
+
+        const lowScore = Math.min(...entries.map(entry => entry.score));
+        const lowEntries = entries.filter(entry => entry.score === lowScore);
+        const skinsAtStake = 1 + carry;
+        if (lowEntries.length > 1) {
+            carry = settings.carryovers ? skinsAtStake : 0;
+            return { hole: hole.number, status: 'tied', score: lowScore, tiedCount: lowEntries.length };
+        }
+        carry = 0;
+        return {
+            hole: hole.number,
+            status: 'won',
+            score: lowScore,
+            skins: skinsAtStake,
+            player: lowEntries[0].player,
+            teamId: lowEntries[0].team.id
+        };
+    });
+
+    const won = holes.filter(holeResult => holeResult.status === 'won');
+    const totalSkins = won.reduce((sum, holeResult) => sum + holeResult.skins, 0);
+    const valuePerSkin = totalSkins > 0 ? pot / totalSkins : 0;
+
+    const winnersByPlayer = new Map();
+    won.forEach(holeResult => {
+        const winner = winnersByPlayer.get(holeResult.player.id) || { player: holeResult.player, teamId: holeResult.teamId, holes: [], skins: 0 };
+        winner.holes.push(holeResult.hole);
+        winner.skins += holeResult.skins;
+        winnersByPlayer.set(holeResult.player.id, winner);
+    });
+    const winners = [...winnersByPlayer.values()]
+        .map(winner => ({ ...winner, payout: winner.skins * valuePerSkin }))
+        .sort((a, b) => b.skins - a.skins);
+
+    holes.forEach(holeResult => {
+        if (holeResult.status === 'won') holeResult.payout = holeResult.skins * valuePerSkin;
+    });
+
+    return { type, pot, holes, winners, totalSkins, valuePerSkin, carriedOver: carry };
+}
+
+export { formatToPar };
@@ -1,4 +1,6 @@
 import * as DataModel from './dataModel.js';
+import * as Scoring from './scoring.js';
+import * as Importer from './importer.js';
 // Import AppController later if needed for direct calls, but prefer passing functions/state
 
 /**
@@ -12,6 +14,47 @@ const DOMElements = {
     tabButtons: document.querySelectorAll('.tab-button'),
     tabContents: document.querySelectorAll('.tab-content'),
     teeAssignmentTabButton: document.getElementById('teeAssignmentTabButton'),
+    scoringTabButton: document.getElementById('scoringTabButton'),
+    scoringTeamSelect: document.getElementById('scoringTeamSelect'),
+    scorecardTable: document.getElementById('scorecardTable'),
+    scorecardHead: document.getElementById('scorecardHead'),
+    scorecardBody: document.getElementById('scorecardBody'),
+    scorecardStatus: document.getElementById('scorecardStatus'),
+    clearTeamScoresBtn: document.getElementById('clearTeamScoresBtn'),
+    scoringProgress: document.getElementById('scoringProgress'),
+    ballsToCountInput: document.getElementById('ballsToCountInput'),
+    ballsByParInputs: {
+        3: document.getElementById('ballsPar3'),
+        4: document.getElementById('ballsPar4'),
+        5: document.getElementById('ballsPar5')
+    },
+    applyBallsByParBtn: document.getElementById('applyBallsByParBtn'),
+    clearBallsByHoleBtn: document.getElementById('clearBallsByHoleBtn'),
+    leaderboardHead: document.getElementById('leaderboardHead'),
+    leaderboardBody: document.getElementById('leaderboardBody'),
+    scoringFormatSelect: document.getElementById('scoringFormatSelect'),
+    stablefordSettings: document.getElementById('stablefordSettings'),
+    stablefordTableBody: document.getElementById('stablefordTableBody'),
+    resetStablefordBtn: document.getElementById('resetStablefordBtn'),
+    grossSkinsPot: document.getElementById('grossSkinsPot'),
+    netSkinsPot: document.getElementById('netSkinsPot'),
+    skinsCarryovers: document.getElementById('skinsCarryovers'),
+    grossSkinsReport: document.getElementById('grossSkinsReport'),
+    netSkinsReport: document.getElementById('netSkinsReport'),
+    importMapping: document.getElementById('importMapping'),
+    importMappingSummary: document.getElementById('importMappingSummary'),
+    importHasHeader: document.getElementById('importHasHeader'),
+    importMappingFields: document.getElementById('importMappingFields'),
+    importSampleHead: document.getElementById('importSampleHead'),
+    importSampleBody: document.getElementById('importSampleBody'),
+    confirmImportBtn: document.getElementById('confirmImportBtn'),
+    cancelImportBtn: document.getElementById('cancelImportBtn'),
+    importPreview: document.getElementById('importPreview'),
+    importPreviewSummary: document.getElementById('importPreviewSummary'),
+    importPreviewBody: document.getElementById('importPreviewBody'),
+    applyImportBtn: document.getElementById('applyImportBtn'),
+    backToMappingBtn: document.getElementById('backToMappingBtn'),
+    cancelPreviewBtn: document.getElementById('cancelPreviewBtn'),
     playerNameInput: document.getElementById('playerName'),
     playerHandicapInput: document.getElementById('playerHandicap'),
     addPlayerBtn: document.getElementById('addPlayerBtn'),
@@ -22,14 +65,29 @@ const DOMElements = {
     handicapValidation: document.getElementById('handicapValidation'),
     balanceTeamsToggle: document.getElementById('balanceTeamsToggle'),
     maxHandicapDiff: document.getElementById('maxHandicapDiff'),
+    drawSeedInput: document.getElementById('drawSeedInput'),
+    newSeedBtn: document.getElementById('newSeedBtn'),
+    pairingRulePlayerA: document.getElementById('pairingRulePlayerA'),
+    pairingRulePlayerB: document.getElementById('pairingRulePlayerB'),
+    pairingRuleType: document.getElementById('pairingRuleType'),
+    addPairingRuleBtn: document.getElementById('addPairingRuleBtn'),
+    pairingRulesList: document.getElementById('pairingRulesList'),
+    unevenFieldMode: document.getElementById('unevenFieldMode'),
+    unevenFieldGroup: document.getElementById('unevenFieldGroup'),
+    alternatesSection: document.getElementById('alternatesSection'),
+    alternatesList: document.getElementById('alternatesList'),
+    teeSheetSeed: document.getElementById('teeSheetSeed'),
     groupPlayersBtn: document.getElementById('groupPlayersBtn'),
     groupA: document.getElementById('groupA'),
     groupB: document.getElementById('groupB'),
     groupC: document.getElementById('groupC'),
     groupD: document.getElementById('groupD'),
+    groupE: document.getElementById('groupE'),
     selectTeamBtn: document.getElementById('selectTeamBtn'),
     selectAllBtn: document.getElementById('selectAllBtn'),
     draftStyleSelectBtn: document.getElementById('draftStyleSelectBtn'), 
+    optimizeTeamsBtn: document.getElementById('optimizeTeamsBtn'),
+    balanceMetrics: document.getElementById('balanceMetrics'),
     showBracketBtn: document.getElementById('showBracketBtn'),
     teamsContainer: document.getElementById('teamsContainer'),
     teamCountElement: document.getElementById('teamCount'),
@@ -37,23 +95,64 @@ const DOMElements = {
         A: document.getElementById('slotA'), 
         B: document.getElementById('slotB'), 
         C: document.getElementById('slotC'), 
-        D: document.getElementById('slotD') 
+        D: document.getElementById('slotD'),
+        E: document.getElementById('slotE')
     },
+    teamSizeSelect: document.getElementById('teamSizeSelect'),
+    groupingMode: document.getElementById('groupingMode'),
+    groupThresholdInputs: document.getElementById('groupThresholdInputs'),
+    groupBalanceWarning: document.getElementById('groupBalanceWarning'),
     startFormatSelect: document.getElementById('startFormat'),
     startTimeInput: document.getElementById('startTime'),
     timeIntervalInput: document.getElementById('timeInterval'),
+    eventDateInput: document.getElementById('eventDate'),
     courseLayout: document.getElementById('courseLayout'),
+    courseProfileSelect: document.getElementById('courseProfileSelect'),
+    newCourseName: document.getElementById('newCourseName'),
+    newCourseHoles: document.getElementById('newCourseHoles'),
+    addCourseBtn: document.getElementById('addCourseBtn'),
+    renameCourseBtn: document.getElementById('renameCourseBtn'),
+    deleteCourseBtn: document.getElementById('deleteCourseBtn'),
+    courseHolesBody: document.getElementById('courseHolesBody'),
+    teeSetsBody: document.getElementById('teeSetsBody'),
+    newTeeName: document.getElementById('newTeeName'),
+    newTeeSlope: document.getElementById('newTeeSlope'),
+    newTeeRating: document.getElementById('newTeeRating'),
+    addTeeSetBtn: document.getElementById('addTeeSetBtn'),
+    eventTeeSelect: document.getElementById('eventTeeSelect'),
+    handicapAllowance: document.getElementById('handicapAllowance'),
+    teeSheetCourse: document.getElementById('teeSheetCourse'),
     unassignedTeamsList: document.getElementById('unassignedTeamsList'),
     autoAssignBtn: document.getElementById('autoAssignBtn'),
     randomAssignBtn: document.getElementById('randomAssignBtn'),
     resetAssignmentBtn: document.getElementById('resetAssignmentBtn'),
+    teeSheetHead: document.getElementById('teeSheetHead'),
     teeSheetBody: document.getElementById('teeSheetBody'),
     printTeeSheetBtn: document.getElementById('printTeeSheetBtn'),
+    exportCalendarBtn: document.getElementById('exportCalendarBtn'),
+    exportTeeSheetBtn: document.getElementById('exportTeeSheetBtn'),
+    exportFormatSelect: document.getElementById('exportFormat'),
+    exportRosterBtn: document.getElementById('exportRosterBtn'),
+    exportTeamsBtn: document.getElementById('exportTeamsBtn'),
     errorMessages: document.getElementById('errorMessages'),
     fileInput: document.getElementById('fileInput'),
     helpButton: document.getElementById('helpButton'),
     saveButton: document.getElementById('saveButton'),
-    loadButton: document.getElementById('loadButton'),
+    eventsButton: document.getElementById('eventsButton'),
+    currentEventName: document.getElementById('currentEventName'),
+    eventLibraryOverlay: document.getElementById('eventLibraryOverlay'),
+    eventList: document.getElementById('eventList'),
+    newEventName: document.getElementById('newEventName'),
+    createEventBtn: document.getElementById('createEventBtn'),
+    eventLibraryCloseBtn: document.getElementById('eventLibraryCloseBtn'),
+    eventLibraryStatus: document.getElementById('eventLibraryStatus'),
+    eventFileInput: document.getElementById('eventFileInput'),
+    undoButton: document.getElementById('undoButton'),
+    redoButton: document.getElementById('redoButton'),
+    historyButton: document.getElementById('historyButton'),
+    historyPanel: document.getElementById('historyPanel'),
+    historyList: document.getElementById('historyList'),
+    historyCloseBtn: document.getElementById('historyCloseBtn'),
     tutorialOverlay: document.getElementById('tutorialOverlay'),
     tutorialSteps: document.querySelector('.tutorial-steps'),
     tutorialPrevBtn: document.getElementById('tutorialPrevBtn'),
@@ -67,21 +166,51 @@ const DOMElements = {
 const UIState = {
     isGrouped: false,
     selectedTeamId: null,
+    scoringTeamId: null,
+    pendingImport: null, // { text, analysis, preview } while the import mapping or preview step is open
+    editingPlayerId: null, // Player whose row in the player list is open for editing
+    swapPlayerId: null, // Team member picked as the first half of a swap
     currentTutorialStep: 0,
-    interactiveDraftState: null // Store draft state for UI interaction
+    interactiveDraftState: null, // Store draft state for UI interaction
+    draftClockTimer: null, // Interval ID of the running pick clock
+    currentEvent: null // { id, name } of the open event in the event library
+};
+
+// Labels for Stableford table rows, keyed by net score relative to par
+const STABLEFORD_RESULT_LABELS = {
+    '-4': 'Net condor or better',
+    '-3': 'Net albatross',
+    '-2': 'Net eagle',
+    '-1': 'Net birdie',
+    '0': 'Net par',
+    '1': 'Net bogey',
+    '2': 'Net double bogey or worse'
 };
 
+const MAX_LISTED_DETAILS = 10; // Details shown under an event library message before the rest are counted
+
 // --- Tutorial Content ---
 const tutorialStepsContent = [
     { title: "Step 1: Add Players", content: "Enter player names (Last, First) and their handicap (e.g., 10.5 or +2.1). Click 'Add Player'. Alternatively, import players from a CSV file (LastName,FirstName,Handicap format)." },
-    { title: "Step 2: Group Players", content: "Once you have enough players (at least 4), click 'Group Players'. This divides players into A, B, C, D groups based on handicap." },
-    { title: "Step 3: Select Teams", content: "After grouping, click 'Select Next Team' to form a team randomly (or balanced if toggled). 'Auto-Select All' creates all possible teams. 'Draft Style Pairing' starts an interactive draft." },
+    { title: "Step 2: Group Players", content: "Choose the team size, and once you have enough players for one team, click 'Group Players'. This divides players into one group per team member (A, B, C, D for teams of four) based on handicap." },
+    { title: "Step 3: Select Teams", content: "After grouping, click 'Select Next Team' to form a team randomly (or balanced if toggled). 'Auto-Select All' creates all possible teams. 'Captain Draft' lets captains take turns picking their teams, in snake or linear order with an optional pick clock. 'Optimize All Teams' forms the remaining teams with the most even handicaps it can find." },
     { title: "Step 4: Assign Tees", content: "Go to the 'Tee Assignment' tab. Click a team from the 'Unassigned Teams' list, then click a hole box to assign them. Click a team in a hole box to unassign." },
     { title: "Step 5: View & Print", content: "Use the 'Auto-Assign' or 'Randomize' buttons for quick assignments. View the final pairings in the Tee Sheet table and click 'Print Tee Sheet' when ready." }
 ];
 
 // --- Private Helper Functions ---
 
+/**
+ * Formats a player for display with their handicap index and playing handicap.
+ * @param {object} player - The player object.
+ * @returns {string} E.g. "Smith, John (10.5 · PH 9)".
+ */
+function formatPlayer(player) {
+    const playingHandicap = DataModel.getPlayingHandicap(player);
+    const displayPlaying = playingHandicap < 0 ? `+${-playingHandicap}` : `${playingHandicap}`;
+    return `${player.name} (${player.displayHandicap} · PH ${displayPlaying})`;
+}
+
 /**
  * Updates the player count display.
  */
@@ -99,38 +228,216 @@ function updateTeamCount() {
 }
 
 /**
- * Creates the 18 hole boxes in the UI.
+ * Creates the hole boxes for the selected course profile in the UI.
  */
 function createCourseLayout() {
     const layoutContainer = DOMElements.courseLayout;
     layoutContainer.innerHTML = ''; // Clear previous layout
-    const doubleStacked = DataModel.getDoubleStackedHoles(); 
+    const profile = DataModel.getCourseProfile();
+    layoutContainer.setAttribute('aria-label', `Course layout for ${profile.name} with ${profile.holes.length} holes`);
 
-    for (let i = 1; i <= 18; i++) {
+    profile.holes.forEach(hole => {
+        const i = hole.number;
         const holeBox = document.createElement('div');
         holeBox.className = 'hole-box';
         holeBox.setAttribute('data-hole', i); 
         holeBox.setAttribute('tabindex', '0'); // Make focusable
         holeBox.setAttribute('role', 'button'); // Semantics for interaction
-        holeBox.setAttribute('aria-label', `Hole ${i}, click to assign selected team`);
+        holeBox.setAttribute('aria-label', `Hole ${i}, par ${hole.par}, takes ${hole.capacity} team(s), click to assign selected team`);
 
         const holeNumberDiv = document.createElement('div');
         holeNumberDiv.className = 'hole-number';
         holeNumberDiv.textContent = `${i}`; 
         holeBox.appendChild(holeNumberDiv);
 
+        const holeDetailsDiv = document.createElement('div');
+        holeDetailsDiv.className = 'hole-details';
+        holeDetailsDiv.textContent = hole.yardage > 0 ? `Par ${hole.par} · ${hole.yardage}y` : `Par ${hole.par}`;
+        holeBox.appendChild(holeDetailsDiv);
+
         const teamsInHoleDiv = document.createElement('div');
         teamsInHoleDiv.className = 'hole-teams-container'; 
         teamsInHoleDiv.id = `hole-${i}-teams`; 
         holeBox.appendChild(teamsInHoleDiv);
 
-        if (doubleStacked.includes(i)) {
+        if (hole.capacity > 1) {
             holeBox.classList.add('double-stacked');
         }
 
         // Event listener will be added in AppController to handle assignment logic
         layoutContainer.appendChild(holeBox);
+    });
+}
+
+/**
+ * Shows how many holes each team has completed.
+ */
+function displayScoringProgress() {
+    const container = DOMElements.scoringProgress;
+    container.innerHTML = '';
+    const holeCount = DataModel.getHoleCount();
+
+    DataModel.getTeams().forEach(team => {
+        const scorecard = DataModel.getTeamScorecard(team.id);
+        const item = document.createElement('span');
+        item.className = 'scoring-progress-item';
+        item.classList.toggle('complete', scorecard.isComplete);
+        item.setAttribute('data-team-id', team.id);
+        item.setAttribute('role', 'button');
+        item.setAttribute('tabindex', '0');
+        item.textContent = `Team ${team.id}: ${scorecard.holesComplete}/${holeCount}`;
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Renders the best-ball leaderboard.
+ */
+function displayLeaderboard() {
+    const stableford = Scoring.isStablefordFormat();
+    DOMElements.leaderboardHead.innerHTML = '';
+    const headRow = DOMElements.leaderboardHead.insertRow();
+    const columns = stableford ? ['Pos', 'Team', 'Players', 'Thru', 'Points'] : ['Pos', 'Team', 'Players', 'Thru', 'Net', 'To Par'];
+    columns.forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+
+    const tableBody = DOMElements.leaderboardBody;
+    tableBody.innerHTML = '';
+    const leaderboard = Scoring.getLeaderboard();
+
+    if (leaderboard.length === 0) {
+        const cell = tableBody.insertRow().insertCell();
+        cell.colSpan = columns.length;
+        cell.textContent = 'No teams created yet.';
+        cell.style.textAlign = 'center';
+        return;
     }
+
+    leaderboard.forEach(entry => {
+        const row = tableBody.insertRow();
+        row.insertCell().textContent = entry.position;
+        row.insertCell().textContent = `Team ${entry.team.id}`;
+        row.insertCell().textContent = DataModel.getTeamPlayers(entry.team).filter(p => p).map(p => p.name.split(',')[0]).join(', ');
+        row.insertCell().textContent = entry.thru === DataModel.getHoleCount() ? 'F' : entry.thru;
+        if (stableford) {
+            row.insertCell().textContent = entry.thru > 0 ? entry.points : '-';
+        } else {
+            row.insertCell().textContent = entry.thru > 0 ? entry.total : '-';
+            row.insertCell().textContent = entry.displayToPar;
+        }
+    });
+}
+
+/**
+ * Renders one skins report: the result of every hole and each winner's payout.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {string} type - 'gross' or 'net'.
+ */
+function displaySkinsReport(container, type) {
+    const report = Scoring.calculateSkins(type);
+    const money = amount => amount.toFixed(2);
+    container.innerHTML = '';
+
+    const heading = document.createElement('h4');
+    heading.textContent = `${type === 'net' ? 'Net' : 'Gross'} Skins`;
+    container.appendChild(heading);
+
+    const holesTable = document.createElement('table');
+    holesTable.className = 'tee-sheet-table skins-table';
+    const headRow = holesTable.createTHead().insertRow();
+    ['Hole', 'Result', 'Score', 'Skins', 'Value'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+    const holesBody = holesTable.createTBody();
+    report.holes.forEach(holeResult => {
+        const row = holesBody.insertRow();
+        row.className = `skins-${holeResult.status}`;
+        row.insertCell().textContent = holeResult.hole;
+        if (holeResult.status === 'won') {
+            row.insertCell().textContent = `${holeResult.player.name} (Team ${holeResult.teamId})`;
+            row.insertCell().textContent = holeResult.score;
+            row.insertCell().textContent = holeResult.skins;
+            row.insertCell().textContent = money(holeResult.payout);
+        } else if (holeResult.status === 'tied') {
+            row.insertCell().textContent = `Tied (${holeResult.tiedCount} players)`;
+            row.insertCell().textContent = holeResult.score;
+            row.insertCell().textContent = DataModel.getSettings().skins.carryovers ? 'Carried' : '-';
+            row.insertCell().textContent = '-';
+        } else {
+            row.insertCell().textContent = 'Waiting for scores';
+            row.insertCell().textContent = '-';
+            row.insertCell().textContent = '-';
+            row.insertCell().textContent = '-';
+        }
+    });
+    container.appendChild(holesTable);
+
+    const summary = document.createElement('p');
+    summary.className = 'stats';
+    summary.textContent = report.totalSkins > 0
+        ? `Pot ${money(report.pot)} · ${report.totalSkins} skin(s) won · ${money(report.valuePerSkin)} per skin`
+        : `Pot ${money(report.pot)} · no skins won yet`;
+    if (report.carriedOver > 0) {
+        summary.textContent += ` · ${report.carriedOver} skin(s) still carried over`;
+    }
+    container.appendChild(summary);
+
+    if (report.winners.length > 0) {
+        const winnersList = document.createElement('ul');
+        winnersList.className = 'skins-winners';
+        report.winners.forEach(winner => {
+            const item = document.createElement('li');
+            item.textContent = `${winner.player.name}: ${winner.skins} skin(s) on hole(s) ${winner.holes.join(', ')} - ${money(winner.payout)}`;
+            winnersList.appendChild(item);
+        });
+        container.appendChild(winnersList);
+    }
+}
+
+/**
+ * Shows the skins settings and the gross and net skins reports.
+ */
+function displaySkins() {
+    const skins = DataModel.getSettings().skins;
+    DOMElements.grossSkinsPot.value = skins.grossPot;
+    DOMElements.netSkinsPot.value = skins.netPot;
+    DOMElements.skinsCarryovers.checked = skins.carryovers;
+    displaySkinsReport(DOMElements.grossSkinsReport, 'gross');
+    displaySkinsReport(DOMElements.netSkinsReport, 'net');
+}
+
+/**
+ * Shows the selected scoring format and, for Stableford formats, its editable point table.
+ */
+function displayScoringFormat() {
+    const format = DataModel.getSettings().scoringFormat;
+    DOMElements.scoringFormatSelect.value = format;
+    DOMElements.stablefordSettings.style.display = Scoring.isStablefordFormat() ? 'block' : 'none';
+
+    const tableBody = DOMElements.stablefordTableBody;
+    tableBody.innerHTML = '';
+    if (!Scoring.isStablefordFormat()) return;
+
+    const table = DataModel.getSettings().stablefordTables[format];
+    Object.keys(table)
+        .sort((a, b) => Number(a) - Number(b))
+        .forEach(netToPar => {
+            const row = tableBody.insertRow();
+            row.insertCell().textContent = STABLEFORD_RESULT_LABELS[netToPar] || `Net ${netToPar}`;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = '1';
+            input.value = table[netToPar];
+            input.setAttribute('data-net-to-par', netToPar);
+            input.setAttribute('aria-label', `Points for ${STABLEFORD_RESULT_LABELS[netToPar] || netToPar}`);
+            // Change listener is added in AppController (event delegation)
+            row.insertCell().appendChild(input);
+        });
 }
 
 /**
@@ -209,8 +516,10 @@ export function init() {
     DOMElements.selectTeamBtn.disabled = true;
     DOMElements.selectAllBtn.disabled = true;
     DOMElements.draftStyleSelectBtn.disabled = true; 
+    DOMElements.optimizeTeamsBtn.disabled = true;
     DOMElements.showBracketBtn.disabled = true;
     DOMElements.teeAssignmentTabButton.disabled = true;
+    DOMElements.scoringTabButton.disabled = true;
     createCourseLayout(); // Create the hole layout on init
     // Initial display updates will be triggered by AppController after potential data load
 }
@@ -227,6 +536,65 @@ export function getDOMElements() { return DOMElements; }
  */
 export function getUIState() { return UIState; }
 
+/**
+ * Fills a pairing rule player select with the roster, keeping the current choice if possible.
+ * @param {HTMLSelectElement} select - The select element.
+ * @param {Array<object>} players - The players, sorted by name.
+ */
+function fillPairingRulePlayerSelect(select, players) {
+    const selected = select.value;
+    select.innerHTML = '<option value="">Choose a player...</option>';
+    players.forEach(player => {
+        const option = document.createElement('option');
+        option.value = player.id;
+        option.textContent = formatPlayer(player);
+        select.appendChild(option);
+    });
+    select.value = players.some(player => player.id === selected) ? selected : '';
+}
+
+/**
+ * Fills a player list row with inputs for editing the player's name and handicap.
+ * @param {HTMLElement} item - The player list row.
+ * @param {object} player - The player being edited.
+ */
+function buildPlayerEditForm(item, player) {
+    item.classList.add('player-item-editing');
+    item.innerHTML = `
+        <div class="player-edit-fields">
+            <div>
+                <input type="text" class="edit-player-name" aria-label="Name" placeholder="Last Name, First Name">
+                <div class="validation-feedback edit-name-validation" aria-live="polite"></div>
+            </div>
+            <div>
+                <input type="text" class="edit-player-handicap" aria-label="Handicap" placeholder="e.g., 10.5 or +2.1">
+                <div class="validation-feedback edit-handicap-validation" aria-live="polite"></div>
+            </div>
+        </div>
+        <span>
+            <button class="save-player-btn">Save</button>
+            <button class="cancel-edit-btn">Cancel</button>
+        </span>`;
+    item.querySelector('.edit-player-name').value = player.name;
+    item.querySelector('.edit-player-handicap').value = player.displayHandicap;
+}
+
+/**
+ * Shows validation feedback on one of the inputs of a player edit row.
+ * @param {HTMLInputElement} inputElement - The input.
+ * @param {HTMLElement} feedbackElement - The feedback element below it.
+ * @param {string|null} message - The error message, or null if the value is valid.
+ */
+function showPlayerEditFeedback(inputElement, feedbackElement, message) {
+    feedbackElement.textContent = message || '';
+    inputElement.classList.toggle('input-invalid', Boolean(message));
+    if (message) {
+        inputElement.setAttribute('aria-invalid', 'true');
+    } else {
+        inputElement.removeAttribute('aria-invalid');
+    }
+}
+
 /**
  * Displays the list of players.
  * Adds event listeners for removing players.
@@ -244,9 +612,16 @@ export function displayPlayers() {
             const item = document.createElement('div');
             item.className = 'player-item';
             item.setAttribute('data-index', index); 
+            item.setAttribute('data-player-id', player.id);
+            
+            if (player.id === UIState.editingPlayerId) {
+                buildPlayerEditForm(item, player);
+                playerListElement.appendChild(item);
+                return;
+            }
             
             const nameSpan = document.createElement('span');
-            nameSpan.textContent = `${player.name} (${player.displayHandicap})`; 
+            nameSpan.textContent = formatPlayer(player); 
             
             const removeBtn = document.createElement('button');
             removeBtn.textContent = 'Remove';
@@ -255,25 +630,81 @@ export function displayPlayers() {
             // Note: The actual removal logic will be handled by an event listener 
             // set up in AppController, which will call DataModel.removePlayer.
             
+            const editBtn = document.createElement('button');
+            editBtn.textContent = 'Edit';
+            editBtn.className = 'edit-player-btn';
+            editBtn.setAttribute('aria-label', `Edit ${player.name}`);
+            
+            const actions = document.createElement('span');
+            actions.appendChild(editBtn);
+            actions.appendChild(removeBtn);
+            
             item.appendChild(nameSpan);
-            item.appendChild(removeBtn);
+            item.appendChild(actions);
             playerListElement.appendChild(item);
         });
     }
     updatePlayerCount(); 
+    displayPairingRules(); // Rule player choices follow the roster
 }
 
 /**
- * Displays players sorted into their respective groups (A, B, C, D).
+ * Displays the pairing rules with their status, and fills the player selects of the rule form.
+ * Rules that cannot be met show the reason.
  */
-export function displayGroups() {
-    const groups = DataModel.getGroups();
-    const groupElements = {
-        A: DOMElements.groupA, B: DOMElements.groupB,
-        C: DOMElements.groupC, D: DOMElements.groupD
-    };
+export function displayPairingRules() {
+    const players = [...DataModel.getPlayers()].sort((a, b) => a.name.localeCompare(b.name));
+    fillPairingRulePlayerSelect(DOMElements.pairingRulePlayerA, players);
+    fillPairingRulePlayerSelect(DOMElements.pairingRulePlayerB, players);
+
+    const rules = DataModel.getPairingRules();
+    const issues = DataModel.getPairingRuleIssues();
+    const listElement = DOMElements.pairingRulesList;
+    listElement.innerHTML = '';
+    if (rules.length === 0) {
+        listElement.innerHTML = '<p>No pairing rules.</p>';
+        return;
+    }
+
+    const teams = DataModel.getTeams();
+    rules.forEach(rule => {
+        const [playerA, playerB] = rule.playerIds.map(DataModel.getPlayerById);
+        const item = document.createElement('div');
+        item.className = 'pairing-rule';
+
+        const text = document.createElement('span');
+        text.textContent = `${playerA.name} ${rule.type === 'together' ? 'plays together with' : 'never plays with'} ${playerB.name}`;
+        item.appendChild(text);
+
+        const status = document.createElement('span');
+        status.className = 'pairing-rule-status';
+        if (issues[rule.id]) {
+            status.classList.add('pairing-rule-issue');
+            status.textContent = `Cannot be met: ${issues[rule.id]}`;
+        } else {
+            const bothPlaced = rule.playerIds.every(playerId => teams.some(team => team.playerIds.includes(playerId)));
+            status.textContent = bothPlaced ? 'Met' : 'Pending';
+        }
+        item.appendChild(status);
 
-    const populateGroupList = (element, players) => {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-btn remove-rule-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.setAttribute('data-rule-id', rule.id);
+        removeBtn.setAttribute('aria-label', `Remove the rule for ${playerA.name} and ${playerB.name}`);
+        item.appendChild(removeBtn);
+
+        listElement.appendChild(item);
+    });
+}
+
+/**
+ * Displays players sorted into their respective groups (A, B, ...). Each grouped player
+ * can be moved to another group, and unequal groups show a balance warning.
+ */
+export function displayGroups() {
+    const groupLetters = DataModel.getGroupLetters();
+    const populateGroupList = (element, players, groupLetter) => {
         element.innerHTML = ''; 
         if (players.length === 0) {
             element.innerHTML = '<p>No players in this group.</p>';
@@ -281,16 +712,131 @@ export function displayGroups() {
             players.forEach(player => {
                 const item = document.createElement('div');
                 item.className = 'player-item'; 
-                item.textContent = `${player.name} (${player.displayHandicap})`; 
+                item.textContent = formatPlayer(player); 
+                if (groupLetter) {
+                    item.setAttribute('data-player-id', player.id);
+                    item.appendChild(buildGroupMoveSelect(player, groupLetter, groupLetters));
+                }
                 element.appendChild(item);
             });
         }
     };
 
-    populateGroupList(groupElements.A, groups.A);
-    populateGroupList(groupElements.B, groups.B);
-    populateGroupList(groupElements.C, groups.C);
-    populateGroupList(groupElements.D, groups.D);
+    const groupElements = getGroupElements();
+    groupLetters.forEach(letter => populateGroupList(groupElements[letter], DataModel.getGroupPlayers(letter), letter));
+    const alternates = DataModel.getAlternates().map(DataModel.getPlayerById).filter(Boolean);
+    DOMElements.alternatesSection.style.display = alternates.length > 0 ? 'block' : 'none';
+    populateGroupList(DOMElements.alternatesList, alternates, null);
+
+    const balanceWarning = DataModel.getGroupBalanceWarning();
+    DOMElements.groupBalanceWarning.textContent = balanceWarning || '';
+    DOMElements.groupBalanceWarning.style.display = balanceWarning ? 'block' : 'none';
+    displayPairingRules(); // Rule status depends on the groups
+    displayDraftButton(); // Regrouping or removing a player ends a paused draft
+}
+
+/**
+ * Builds the select that moves a grouped player to another group.
+ * @param {object} player - The player.
+ * @param {string} groupLetter - The player's current group.
+ * @param {Array<string>} groupLetters - The groups in use.
+ * @returns {HTMLSelectElement} The select.
+ */
+function buildGroupMoveSelect(player, groupLetter, groupLetters) {
+    const select = document.createElement('select');
+    select.className = 'group-move-select';
+    select.setAttribute('aria-label', `Move ${player.name} to another group`);
+    select.innerHTML = '<option value="">Move to...</option>';
+    groupLetters.filter(letter => letter !== groupLetter).forEach(letter => {
+        const option = document.createElement('option');
+        option.value = letter;
+        option.textContent = `Group ${letter}`;
+        select.appendChild(option);
+    });
+    return select;
+}
+
+/**
+ * Gets the player list element of every group, used or not.
+ * @returns {object} Group list elements by group letter.
+ */
+function getGroupElements() {
+    return {
+        A: DOMElements.groupA, B: DOMElements.groupB, C: DOMElements.groupC,
+        D: DOMElements.groupD, E: DOMElements.groupE
+    };
+}
+
+/**
+ * Finds the team and slot a player is in.
+ * @param {string} playerId - The player's ID.
+ * @returns {{team: object, slot: number}|null} The team and slot index, or null if the player is not on a team.
+ */
+function findTeamSlotForPlayer(playerId) {
+    for (const team of DataModel.getTeams()) {
+        const slot = team.playerIds.indexOf(playerId);
+        if (slot > -1) return { team, slot };
+    }
+    return null;
+}
+
+/**
+ * Builds the swap button for a team member. While a swap is pending, members of the
+ * same group on other teams offer "Swap here" and the picked member offers "Cancel".
+ * @param {object} player - The team member.
+ * @param {number} slot - The member's slot (group) index.
+ * @param {number|null} swapSlot - Slot of the member picked for a swap, or null if none.
+ * @returns {HTMLButtonElement} The button.
+ */
+function buildSwapButton(player, slot, swapSlot) {
+    const button = document.createElement('button');
+    button.className = 'swap-player-btn';
+    if (player.id === UIState.swapPlayerId) {
+        button.textContent = 'Cancel';
+        button.setAttribute('aria-label', `Cancel swapping ${player.name}`);
+    } else if (swapSlot !== null) {
+        button.textContent = 'Swap here';
+        button.disabled = slot !== swapSlot; // Swaps stay within a group
+        button.setAttribute('aria-label', `Swap with ${player.name}`);
+    } else {
+        button.textContent = 'Swap';
+        button.setAttribute('aria-label', `Swap ${player.name} with a player on another team`);
+    }
+    return button;
+}
+
+/**
+ * Builds the move and dissolve controls shown at the bottom of a team card.
+ * Players still waiting in a group can be moved onto the team in their group's slot.
+ * @param {object} team - The team object.
+ * @returns {HTMLElement} The actions row.
+ */
+function buildTeamActions(team) {
+    const actions = document.createElement('div');
+    actions.className = 'team-actions';
+
+    const waitingPlayers = DataModel.getGroupLetters().flatMap(letter =>
+        DataModel.getGroupPlayers(letter).map(player => ({ letter, player })));
+    if (waitingPlayers.length > 0) {
+        const select = document.createElement('select');
+        select.className = 'move-player-select';
+        select.setAttribute('aria-label', `Move a waiting player onto Team ${team.id}`);
+        select.innerHTML = '<option value="">Move in a player...</option>';
+        waitingPlayers.forEach(({ letter, player }) => {
+            const option = document.createElement('option');
+            option.value = player.id;
+            option.textContent = `${letter}: ${formatPlayer(player)}`;
+            select.appendChild(option);
+        });
+        actions.appendChild(select);
+    }
+
+    const dissolveBtn = document.createElement('button');
+    dissolveBtn.className = 'dissolve-team-btn';
+    dissolveBtn.textContent = 'Dissolve';
+    dissolveBtn.setAttribute('aria-label', `Dissolve Team ${team.id}`);
+    actions.appendChild(dissolveBtn);
+    return actions;
 }
 
 /**
@@ -305,6 +851,10 @@ export function displayTeams() {
     if (teams.length === 0) {
         teamsContainer.innerHTML = '<p>No teams created yet.</p>';
     } else {
+        const swapPlacement = UIState.swapPlayerId ? findTeamSlotForPlayer(UIState.swapPlayerId) : null;
+        if (!swapPlacement) UIState.swapPlayerId = null; // The player left their team
+        const swapSlot = swapPlacement ? swapPlacement.slot : null;
+        
         teams.forEach(team => {
             const card = document.createElement('div');
             card.className = 'team-card';
@@ -314,29 +864,169 @@ export function displayTeams() {
             title.textContent = `Team ${team.id}`;
             card.appendChild(title);
             
-            team.members.forEach((player, index) => {
+            DataModel.getTeamPlayers(team).forEach((player, index) => {
                 if (player) { 
                     const memberDiv = document.createElement('div');
                     memberDiv.className = 'team-member';
-                    const groupLetter = ['A', 'B', 'C', 'D'][index]; // Determine group letter
-                    memberDiv.textContent = `${groupLetter}: ${player.name} (${player.displayHandicap})`;
+                    memberDiv.setAttribute('data-player-id', player.id);
+                    if (player.id === UIState.swapPlayerId) memberDiv.classList.add('team-member-swapping');
+                    const groupLetter = DataModel.getSlotGroupLetter(team, index); // Determine group letter
+                    const nameSpan = document.createElement('span');
+                    nameSpan.textContent = `${groupLetter}: ${formatPlayer(player)}`;
+                    memberDiv.appendChild(nameSpan);
+                    memberDiv.appendChild(buildSwapButton(player, index, swapSlot));
                     card.appendChild(memberDiv);
+                } else {
+                    const blindDrawPlayer = DataModel.getBlindDrawPlayer(team);
+                    const blindDiv = document.createElement('div');
+                    blindDiv.className = 'team-member team-member-blind';
+                    blindDiv.textContent = `${DataModel.getSlotGroupLetter(team, index)}: Blind draw` +
+                        (blindDrawPlayer ? ` (${formatPlayer(blindDrawPlayer)})` : '');
+                    card.appendChild(blindDiv);
                 }
             });
             
             const statsDiv = document.createElement('div');
             statsDiv.className = 'team-stats';
             const totalHandicap = DataModel.calculateTeamHandicap(team); 
-            statsDiv.textContent = `Total Handicap: ${totalHandicap.toFixed(1)}`;
+            statsDiv.textContent = `Total Playing Handicap: ${totalHandicap}`;
             card.appendChild(statsDiv);
             
+            const scoringNote = Scoring.getTeamScoringNote(team);
+            if (scoringNote) {
+                const noteDiv = document.createElement('div');
+                noteDiv.className = 'team-scoring-note';
+                noteDiv.textContent = scoringNote;
+                card.appendChild(noteDiv);
+            }
+            
+            card.appendChild(buildTeamActions(team));
             teamsContainer.appendChild(card);
         });
     }
     
     updateTeamCount();
+    displayPairingRules(); // Rule status depends on the teams
     DOMElements.showBracketBtn.disabled = teams.length < 2;
     DOMElements.teeAssignmentTabButton.disabled = teams.length === 0;
+    DOMElements.scoringTabButton.disabled = teams.length === 0;
+}
+
+/**
+ * Displays before/after team balance metrics, e.g. after optimizing teams.
+ * @param {object} before - Metrics from DataModel.getBalanceMetrics before the change.
+ * @param {object} after - Metrics from DataModel.getBalanceMetrics after the change.
+ */
+export function displayBalanceMetrics(before, after) {
+    const container = DOMElements.balanceMetrics;
+    container.innerHTML = '';
+
+    const table = document.createElement('table');
+    table.className = 'balance-metrics-table';
+    const headerRow = table.createTHead().insertRow();
+    ['Metric', 'Before', 'After'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    [
+        { label: 'Average Team Handicap', key: 'mean' },
+        { label: 'Variance', key: 'variance' },
+        { label: 'Standard Deviation', key: 'stdDev' },
+        { label: 'Spread (High - Low)', key: 'spread' }
+    ].forEach(metric => {
+        const row = body.insertRow();
+        row.insertCell().textContent = metric.label;
+        row.insertCell().textContent = before.teamCount > 0 ? before[metric.key].toFixed(2) : '—'; // No teams before
+        row.insertCell().textContent = after[metric.key].toFixed(2);
+    });
+
+    container.appendChild(table);
+}
+
+/**
+ * Clears the balance metrics display.
+ */
+export function clearBalanceMetrics() {
+    DOMElements.balanceMetrics.innerHTML = '';
+}
+
+/**
+ * Rebuilds the hole layout after the course profile or its holes change.
+ */
+export function refreshCourseLayout() {
+    createCourseLayout();
+    updateHoleDisplays();
+}
+
+/**
+ * Populates the course profile selector and the hole editor table.
+ */
+export function displayCourseProfiles() {
+    const profiles = DataModel.getCourseProfiles();
+    const activeProfile = DataModel.getCourseProfile();
+    const select = DOMElements.courseProfileSelect;
+
+    select.innerHTML = '';
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = `${profile.name} (${profile.holes.length} holes)`;
+        select.appendChild(option);
+    });
+    select.value = activeProfile.id;
+    DOMElements.deleteCourseBtn.disabled = profiles.length <= 1;
+
+    const tableBody = DOMElements.courseHolesBody;
+    tableBody.innerHTML = '';
+    activeProfile.holes.forEach(hole => {
+        const row = tableBody.insertRow();
+        row.insertCell().textContent = hole.number;
+        ['par', 'strokeIndex', 'yardage', 'capacity'].forEach(field => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = hole[field];
+            input.setAttribute('data-hole', hole.number);
+            input.setAttribute('data-field', field);
+            input.setAttribute('aria-label', `Hole ${hole.number} ${field}`);
+            // Change listener is added in AppController (event delegation)
+            row.insertCell().appendChild(input);
+        });
+    });
+
+    const teeBody = DOMElements.teeSetsBody;
+    const teeSelect = DOMElements.eventTeeSelect;
+    teeBody.innerHTML = '';
+    teeSelect.innerHTML = '';
+    activeProfile.teeSets.forEach(teeSet => {
+        const row = teeBody.insertRow();
+        row.setAttribute('data-tee-id', teeSet.id);
+        row.insertCell().textContent = teeSet.name;
+        [{ field: 'slope', step: '1' }, { field: 'courseRating', step: '0.1' }].forEach(({ field, step }) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = step;
+            input.value = teeSet[field];
+            input.setAttribute('data-field', field);
+            input.setAttribute('aria-label', `${teeSet.name} tees ${field}`);
+            row.insertCell().appendChild(input);
+        });
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.className = 'remove-btn';
+        removeBtn.disabled = activeProfile.teeSets.length <= 1;
+        removeBtn.setAttribute('aria-label', `Remove ${teeSet.name} tees`);
+        row.insertCell().appendChild(removeBtn);
+
+        const option = document.createElement('option');
+        option.value = teeSet.id;
+        option.textContent = `${teeSet.name} (${teeSet.courseRating} / ${teeSet.slope})`;
+        teeSelect.appendChild(option);
+    });
+    teeSelect.value = DataModel.getTeeSet().id;
+    DOMElements.handicapAllowance.value = DataModel.getSettings().handicapAllowance;
 }
 
 /**
@@ -344,9 +1034,8 @@ export function displayTeams() {
  */
 export function updateHoleDisplays() {
     const assignments = DataModel.getHoleAssignments(); 
-    const doubleStacked = DataModel.getDoubleStackedHoles();
 
-    for (let i = 1; i <= 18; i++) {
+    for (let i = 1; i <= DataModel.getHoleCount(); i++) {
         const teamsContainer = document.getElementById(`hole-${i}-teams`);
         if (!teamsContainer) continue; 
 
@@ -367,7 +1056,7 @@ export function updateHoleDisplays() {
         
         const holeBox = teamsContainer.closest('.hole-box');
         if (holeBox) {
-             const maxTeams = doubleStacked.includes(i) ? 2 : 1;
+             const maxTeams = DataModel.getHoleCapacity(i);
              holeBox.classList.toggle('hole-full', teamsOnThisHole.length >= maxTeams);
         }
     }
@@ -417,78 +1106,69 @@ export function selectTeamForAssignment(teamId) {
     });
 }
 
+/**
+ * Builds the player cells of a tee sheet row, one per group. A short team's open slot shows
+ * the blind draw, and a long team's extra player shares the cell of their group.
+ * @param {object} team - The team object.
+ * @returns {Array<string>} Cell text for each group, in group letter order.
+ */
+function getTeeSheetPlayerCells(team) {
+    const groupLetters = DataModel.getGroupLetters();
+    const cells = groupLetters.map(() => '');
+    DataModel.getTeamPlayers(team).forEach((player, slot) => {
+        const cellIndex = groupLetters.indexOf(DataModel.getSlotGroupLetter(team, slot));
+        if (cellIndex === -1) return;
+        if (!player) {
+            const blindDrawPlayer = DataModel.getBlindDrawPlayer(team);
+            cells[cellIndex] = `Blind draw${blindDrawPlayer ? `: ${blindDrawPlayer.name}` : ''}`;
+            return;
+        }
+        cells[cellIndex] = cells[cellIndex] ? `${cells[cellIndex]} / ${formatPlayer(player)}` : formatPlayer(player); // Include handicap
+    });
+    return cells;
+}
+
 /**
  * Updates the tee sheet table based on current assignments and settings.
  */
 export function updateTeeSheet() {
-    const assignments = DataModel.getHoleAssignments(); 
-    const settings = DataModel.getSettings();
     const tableBody = DOMElements.teeSheetBody;
     tableBody.innerHTML = ''; 
+    DOMElements.teeSheetCourse.textContent = `Course: ${DataModel.getCourseProfile().name}`;
+    const groupLetters = DataModel.getGroupLetters();
+    const columnCount = groupLetters.length + 4; // Hole, tee time, team, players and scoring
+    const headings = ['Hole', 'Tee Time', 'Team', ...groupLetters.map(letter => `Player ${letter}`), 'Scoring'];
+    DOMElements.teeSheetHead.innerHTML = '';
+    const headRow = DOMElements.teeSheetHead.insertRow();
+    headings.forEach(heading => {
+        const th = document.createElement('th');
+        th.textContent = heading;
+        headRow.appendChild(th);
+    });
 
     const teams = DataModel.getTeams(); 
     if (teams.length === 0) {
         const row = tableBody.insertRow();
         const cell = row.insertCell();
-        cell.colSpan = 7; 
+        cell.colSpan = columnCount; 
         cell.textContent = 'No teams created yet.';
         cell.style.textAlign = 'center';
         return; 
     }
 
-    const formatTime = (date) => {
-        const hours = date.getHours().toString().padStart(2, '0');
-        const minutes = date.getMinutes().toString().padStart(2, '0');
-        return `${hours}:${minutes}`;
-    };
-
-    let baseTime = new Date(`1970-01-01T${settings.startTime}`); 
-    const intervalMinutes = settings.timeInterval;
-    let assignedCount = 0;
-    const teeSheetData = []; 
-
-    for (let hole = 1; hole <= 18; hole++) {
-        const teamIdsOnHole = assignments[hole.toString()] || []; 
-        
-        teamIdsOnHole.forEach((teamId) => {
-            const team = DataModel.findTeamById(teamId);
-            if (!team) return; 
-
-            let teeTime;
-            if (settings.startFormat === 'shotgun') {
-                teeTime = formatTime(baseTime); 
-            } else {
-                const timeOffset = assignedCount * intervalMinutes;
-                const holeTime = new Date(baseTime.getTime() + timeOffset * 60000);
-                teeTime = formatTime(holeTime);
-                assignedCount++;
-            }
-
-            teeSheetData.push({
-                hole: hole,
-                teeTime: teeTime,
-                teamId: team.id,
-                players: team.members.map(p => p ? `${p.name} (${p.displayHandicap})` : 'N/A') // Include handicap
-            });
-        });
-    }
-
-    // Sort data for display
-    if (settings.startFormat === 'sequential') {
-         teeSheetData.sort((a, b) => {
-            if (a.teeTime < b.teeTime) return -1;
-            if (a.teeTime > b.teeTime) return 1;
-            return a.hole - b.hole; 
-         });
-    } else {
-         teeSheetData.sort((a, b) => a.hole - b.hole); 
-    }
+    const teeSheetData = DataModel.getTeeSheet().map(row => ({
+        hole: row.hole,
+        teeTime: row.teeTime,
+        teamId: row.team.id,
+        players: getTeeSheetPlayerCells(row.team),
+        note: Scoring.getTeamScoringNote(row.team) || ''
+    }));
 
     // Render sorted data
     if (teeSheetData.length === 0) {
          const row = tableBody.insertRow();
          const cell = row.insertCell();
-         cell.colSpan = 7; 
+         cell.colSpan = columnCount; 
          cell.textContent = 'No teams assigned to holes yet.';
          cell.style.textAlign = 'center';
     } else {
@@ -497,13 +1177,356 @@ export function updateTeeSheet() {
             row.insertCell().textContent = data.hole;
             row.insertCell().textContent = data.teeTime;
             row.insertCell().textContent = `Team ${data.teamId}`;
-            for (let i = 0; i < 4; i++) {
-                row.insertCell().textContent = data.players[i] || ''; 
-            }
+            data.players.forEach(cellText => {
+                row.insertCell().textContent = cellText; 
+            });
+            row.insertCell().textContent = data.note;
         });
     }
 }
 
+/**
+ * Shows the column mapping step for the pending import: a column selector for each player
+ * field and the first rows of the file.
+ */
+export function displayImportMapping() {
+    const pending = UIState.pendingImport;
+    if (!pending) {
+        hideImportMapping();
+        return;
+    }
+    const analysis = pending.analysis;
+    DOMElements.importPreview.style.display = 'none';
+    DOMElements.importMapping.style.display = 'block';
+    DOMElements.importHasHeader.checked = analysis.hasHeader;
+    DOMElements.importMappingSummary.textContent = `${analysis.rows.length} row(s) found` +
+        (analysis.hasHeader ? ' after the header row.' : '. No header row detected.') +
+        ' Choose the column that holds each field.';
+
+    const fieldsContainer = DOMElements.importMappingFields;
+    fieldsContainer.innerHTML = '';
+    Importer.getImportFields().forEach(field => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'tee-time-field';
+        const label = document.createElement('label');
+        label.htmlFor = `importField-${field.key}`;
+        label.textContent = field.label;
+        const select = document.createElement('select');
+        select.id = `importField-${field.key}`;
+        select.setAttribute('data-import-field', field.key);
+        const unused = document.createElement('option');
+        unused.value = '';
+        unused.textContent = '(not used)';
+        select.appendChild(unused);
+        analysis.columns.forEach((column, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = column;
+            select.appendChild(option);
+        });
+        const mapped = analysis.mapping[field.key];
+        select.value = mapped === undefined || mapped === null ? '' : mapped;
+        wrapper.appendChild(label);
+        wrapper.appendChild(select);
+        fieldsContainer.appendChild(wrapper);
+    });
+
+    DOMElements.importSampleHead.innerHTML = '';
+    const headRow = DOMElements.importSampleHead.insertRow();
+    analysis.columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        headRow.appendChild(th);
+    });
+    DOMElements.importSampleBody.innerHTML = '';
+    analysis.rows.slice(0, 3).forEach(row => {
+        const tableRow = DOMElements.importSampleBody.insertRow();
+        analysis.columns.forEach((column, index) => {
+            tableRow.insertCell().textContent = row.fields[index] || '';
+        });
+    });
+}
+
+/**
+ * Shows the import preview: each row's validation errors, any matching existing player,
+ * and a choice of action (add, update handicap or skip).
+ */
+export function displayImportPreview() {
+    const pending = UIState.pendingImport;
+    if (!pending || !pending.preview) {
+        hideImportMapping();
+        return;
+    }
+    const rows = pending.preview.rows;
+    const players = DataModel.getPlayers();
+    DOMElements.importMapping.style.display = 'none';
+    DOMElements.importPreview.style.display = 'block';
+
+    const count = action => rows.filter(row => row.action === action).length;
+    const invalid = rows.filter(row => !row.player).length;
+    DOMElements.importPreviewSummary.textContent = `${rows.length} row(s): ${count('add')} to add, ` +
+        `${count('update')} to update, ${count('skip')} to skip` + (invalid > 0 ? ` (${invalid} with errors).` : '.');
+
+    const tableBody = DOMElements.importPreviewBody;
+    tableBody.innerHTML = '';
+    rows.forEach((row, index) => {
+        const tableRow = tableBody.insertRow();
+        tableRow.classList.toggle('import-row-error', !row.player);
+        tableRow.classList.toggle('import-row-duplicate', Boolean(row.player) && (row.matchIndex > -1 || row.duplicateOfLine !== null));
+        tableRow.insertCell().textContent = row.line;
+        tableRow.insertCell().textContent = row.name || '(no name)';
+        tableRow.insertCell().textContent = row.handicapInput || '-';
+
+        let status = 'New player';
+        if (!row.player) {
+            status = row.errors.map(error => error.replace(/ in line \d+/, '')).join('; ');
+        } else if (row.duplicateOfLine !== null) {
+            status = `Same player as line ${row.duplicateOfLine}`;
+        } else if (row.matchIndex > -1 && players[row.matchIndex]) {
+            const existing = players[row.matchIndex];
+            status = `Matches ${existing.name} (${existing.isPlus ? '+' : ''}${existing.handicap})`;
+        }
+        tableRow.insertCell().textContent = status;
+
+        const select = document.createElement('select');
+        select.setAttribute('data-preview-index', index);
+        select.setAttribute('aria-label', `Action for line ${row.line}`);
+        [['add', 'Add'], ['update', 'Update handicap'], ['skip', 'Skip']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            option.disabled = (value !== 'skip' && !row.player) || (value === 'update' && row.matchIndex === -1);
+            select.appendChild(option);
+        });
+        select.value = row.action;
+        tableRow.insertCell().appendChild(select);
+    });
+    DOMElements.applyImportBtn.disabled = rows.every(row => row.action === 'skip');
+}
+
+/**
+ * Hides the import column mapping and preview steps.
+ */
+export function hideImportMapping() {
+    DOMElements.importPreview.style.display = 'none';
+    DOMElements.importPreviewBody.innerHTML = '';
+    DOMElements.importMapping.style.display = 'none';
+    DOMElements.importMappingFields.innerHTML = '';
+    DOMElements.importSampleHead.innerHTML = '';
+    DOMElements.importSampleBody.innerHTML = '';
+}
+
+/**
+ * Downloads generated text as a file.
+ * @param {string} filename - The file name to save as.
+ * @param {string} content - The file contents.
+ * @param {string} mimeType - The MIME type of the file.
+ */
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Shows the uneven field settings in their selects. Only groups in use can be chosen.
+ */
+export function displayUnevenField() {
+    const unevenField = DataModel.getSettings().unevenField;
+    DOMElements.unevenFieldMode.value = unevenField.mode;
+    DOMElements.unevenFieldGroup.innerHTML = '';
+    DataModel.getGroupLetters().forEach(letter => {
+        const option = document.createElement('option');
+        option.value = letter;
+        option.textContent = `Group ${letter}`;
+        DOMElements.unevenFieldGroup.appendChild(option);
+    });
+    DOMElements.unevenFieldGroup.value = unevenField.group;
+}
+
+/**
+ * Shows the team size setting and only the groups and selection slots it uses.
+ * Balls that count can be at most the team size.
+ */
+export function displayTeamSize() {
+    const groupLetters = DataModel.getGroupLetters();
+    const teamSize = DataModel.getSettings().teamSize;
+    DOMElements.teamSizeSelect.value = teamSize;
+    [DOMElements.ballsToCountInput, ...Object.values(DOMElements.ballsByParInputs)].forEach(input => { input.max = teamSize; });
+    const groupElements = getGroupElements();
+    Object.keys(groupElements).forEach(letter => {
+        const inUse = groupLetters.includes(letter);
+        groupElements[letter].closest('.group').style.display = inUse ? '' : 'none';
+        DOMElements.selectionSlots[letter].style.display = inUse ? '' : 'none';
+    });
+    document.querySelectorAll('.groups-display .group-container').forEach(container => {
+        const hasGroups = [...container.children].some(group => group.style.display !== 'none');
+        container.style.display = hasGroups ? '' : 'none';
+    });
+    displayGroupingSettings();
+    displayUnevenField();
+}
+
+/**
+ * Shows the grouping mode and, when grouping by thresholds, a cutoff input for every group but the last.
+ */
+export function displayGroupingSettings() {
+    const settings = DataModel.getSettings();
+    const groupLetters = DataModel.getGroupLetters();
+    DOMElements.groupingMode.value = settings.groupingMode;
+    const container = DOMElements.groupThresholdInputs;
+    container.style.display = settings.groupingMode === 'thresholds' ? 'flex' : 'none';
+    container.innerHTML = '';
+    groupLetters.forEach((letter, index) => {
+        const field = document.createElement('label');
+        field.className = 'group-threshold';
+        if (index === groupLetters.length - 1) {
+            field.textContent = `Group ${letter}: above the Group ${groupLetters[index - 1]} cutoff`;
+        } else {
+            field.textContent = `Group ${letter} up to `;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = '0.1';
+            input.setAttribute('data-group', letter);
+            input.setAttribute('aria-label', `Highest playing handicap in Group ${letter}`);
+            input.value = settings.groupThresholds[letter] ?? '';
+            field.appendChild(input);
+        }
+        container.appendChild(field);
+    });
+}
+
+/**
+ * Shows the current draw seed in the seed input and on the tee sheet.
+ */
+export function displayDrawSeed() {
+    const seed = DataModel.getSettings().drawSeed;
+    DOMElements.drawSeedInput.value = seed;
+    DOMElements.teeSheetSeed.textContent = `Draw seed: ${seed}`;
+}
+
+/**
+ * Displays the scorecard for the selected scoring team, plus every team's progress.
+ */
+export function displayScorecard() {
+    const teams = DataModel.getTeams();
+    const select = DOMElements.scoringTeamSelect;
+    select.innerHTML = '';
+    teams.forEach(team => {
+        const option = document.createElement('option');
+        option.value = team.id;
+        option.textContent = `Team ${team.id}`;
+        select.appendChild(option);
+    });
+
+    if (!teams.some(team => team.id === UIState.scoringTeamId)) {
+        UIState.scoringTeamId = teams.length > 0 ? teams[0].id : null;
+    }
+    // Remember which score input has focus so tabbing through the card survives the re-render
+    const focused = document.activeElement;
+    let focusedKey = null;
+    if (focused && DOMElements.scorecardBody.contains(focused)) {
+        focusedKey = `[data-player-id="${focused.getAttribute('data-player-id')}"][data-hole="${focused.getAttribute('data-hole')}"]`;
+    } else if (focused && DOMElements.scorecardHead.contains(focused)) {
+        focusedKey = `[data-balls-hole="${focused.getAttribute('data-balls-hole')}"]`;
+    }
+    DOMElements.scorecardHead.innerHTML = '';
+    DOMElements.scorecardBody.innerHTML = '';
+    DOMElements.clearTeamScoresBtn.disabled = UIState.scoringTeamId === null;
+    DOMElements.ballsToCountInput.value = DataModel.getSettings().ballsToCount;
+    displayScoringFormat();
+    displayScoringProgress();
+    displayLeaderboard();
+    displaySkins();
+
+    if (UIState.scoringTeamId === null) {
+        DOMElements.scorecardStatus.textContent = 'No teams created yet.';
+        return;
+    }
+    select.value = UIState.scoringTeamId;
+
+    const scorecard = DataModel.getTeamScorecard(UIState.scoringTeamId);
+    const holes = DataModel.getCourseProfile().holes;
+
+    const headerRow = DOMElements.scorecardHead.insertRow();
+    ['Player', ...holes.map(hole => hole.number), 'Total'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
+    const parRow = DOMElements.scorecardHead.insertRow();
+    parRow.insertCell().textContent = 'Par';
+    holes.forEach(hole => { parRow.insertCell().textContent = hole.par; });
+    parRow.insertCell().textContent = holes.reduce((sum, hole) => sum + hole.par, 0);
+    const strokeIndexRow = DOMElements.scorecardHead.insertRow();
+    strokeIndexRow.insertCell().textContent = 'Stroke Index';
+    holes.forEach(hole => { strokeIndexRow.insertCell().textContent = hole.strokeIndex; });
+    strokeIndexRow.insertCell();
+    const ballsRow = DOMElements.scorecardHead.insertRow();
+    ballsRow.insertCell().textContent = 'Balls Count';
+    const holeOverrides = DataModel.getSettings().ballsToCountByHole;
+    holes.forEach(hole => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '1';
+        input.value = holeOverrides[hole.number.toString()] || '';
+        input.placeholder = DataModel.getSettings().ballsToCount;
+        input.setAttribute('data-balls-hole', hole.number);
+        input.setAttribute('aria-label', `Balls that count on hole ${hole.number}`);
+        // Change listener is added in AppController (event delegation)
+        ballsRow.insertCell().appendChild(input);
+    });
+    ballsRow.insertCell();
+
+    scorecard.rows.forEach(row => {
+        const tableRow = DOMElements.scorecardBody.insertRow();
+        tableRow.insertCell().textContent = formatPlayer(row.player);
+        holes.forEach((hole, index) => {
+            const cell = tableRow.insertCell();
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '1';
+            input.value = row.scores[index] === null ? '' : row.scores[index];
+            input.setAttribute('data-player-id', row.player.id);
+            input.setAttribute('data-hole', hole.number);
+            input.setAttribute('aria-label', `${row.player.name}, hole ${hole.number}`);
+            // Change listener is added in AppController (event delegation)
+            cell.classList.toggle('missing-score', row.scores[index] === null);
+            cell.appendChild(input);
+        });
+        tableRow.insertCell().textContent = row.total;
+    });
+
+    const result = Scoring.calculateTeamResult(scorecard.team);
+    const stableford = Scoring.isStablefordFormat();
+    const teamRow = DOMElements.scorecardBody.insertRow();
+    teamRow.className = 'team-score-row';
+    teamRow.insertCell().textContent = stableford ? 'Team Points' : 'Team Best Ball (net)';
+    result.holes.forEach(holeResult => {
+        teamRow.insertCell().textContent = holeResult.complete ? holeResult.teamScore : '';
+    });
+    if (result.thru === 0) {
+        teamRow.insertCell().textContent = '';
+    } else {
+        teamRow.insertCell().textContent = stableford ? `${result.points} pts` : `${result.total} (${Scoring.formatToPar(result.toPar)})`;
+    }
+
+    if (focusedKey) {
+        const input = DOMElements.scorecardTable.querySelector(focusedKey);
+        if (input) input.focus();
+    }
+
+    DOMElements.scorecardStatus.textContent = scorecard.isComplete ?
+        'Scorecard complete.' :
+        `Holes complete: ${scorecard.holesComplete} of ${holes.length}. Missing scores on holes: ${scorecard.missingHoles.join(', ')}.`;
+}
+
 /**
  * Displays an error message to the user.
  * @param {string} message - The error message to display.
@@ -532,14 +1555,15 @@ export function resetGroupsUI() {
     DOMElements.selectTeamBtn.disabled = true;
     DOMElements.selectAllBtn.disabled = true;
     DOMElements.draftStyleSelectBtn.disabled = true; 
+    DOMElements.optimizeTeamsBtn.disabled = true;
     DOMElements.showBracketBtn.disabled = true;
-    DOMElements.groupA.innerHTML = '';
-    DOMElements.groupB.innerHTML = '';
-    DOMElements.groupC.innerHTML = '';
-    DOMElements.groupD.innerHTML = '';
+    Object.values(getGroupElements()).forEach(element => { element.innerHTML = ''; });
+    DOMElements.groupBalanceWarning.style.display = 'none';
     DOMElements.teamsContainer.innerHTML = ''; // Also clear teams display
+    DOMElements.balanceMetrics.innerHTML = '';
     updateTeamCount(); // Update count after clearing teams
     DOMElements.teeAssignmentTabButton.disabled = true;
+    DOMElements.scoringTabButton.disabled = true;
     UIState.interactiveDraftState = null; 
 }
 
@@ -549,9 +1573,8 @@ export function resetGroupsUI() {
  * @returns {Promise<{success: boolean, team?: object, message?: string}>} Promise resolving with selection result.
  */
 export async function enhancedTeamSelectionAnimation() {
-    const slots = ['A', 'B', 'C', 'D'];
+    const slots = DataModel.getGroupLetters();
     const selectedPlayers = {};
-    const groups = DataModel.getGroups(); // Get current groups from DataModel
 
     if (!DataModel.canFormTeam()) {
          return { success: false, message: "Not enough players to form a team." };
@@ -563,7 +1586,15 @@ export async function enhancedTeamSelectionAnimation() {
         slotElement.classList.add('selecting');
         await new Promise(resolve => setTimeout(resolve, 200)); 
 
-        const groupPlayers = groups[slot];
+        const groupPlayers = DataModel.getGroupPlayers(slot);
+        const unevenField = DataModel.getSettings().unevenField;
+        if (groupPlayers.length === 0 && unevenField.mode === 'threesomes' && unevenField.group === slot) {
+            slotElement.textContent = 'Blind draw'; // Threesome: this slot stays open
+            await new Promise(resolve => setTimeout(resolve, 300));
+            slotElement.classList.remove('selecting');
+            slotElement.textContent = slot;
+            continue;
+        }
         if (!groupPlayers || groupPlayers.length === 0) {
             console.error(`No players available in Group ${slot}`);
             showError(`Error: No players left in Group ${slot}. Cannot form team.`);
@@ -656,7 +1687,130 @@ export function closeTutorial() {
 // --- Interactive Draft UI Functions ---
 
 /**
- * Creates and displays the interactive draft overlay.
+ * Labels for how a draft pick was made, shown in the pick log.
+ */
+const DRAFT_PICK_METHOD_LABELS = {
+    captain: '',
+    auto: ' (auto pick)',
+    clock: ' (clock ran out)'
+};
+
+/**
+ * Shows the draft setup overlay: turn order, pick clock and captains.
+ * Captains default to the top players of group A; choosing captains lists every grouped player.
+ */
+export function showDraftSetupUI() {
+    closeDraftSetupUI();
+    const numTeams = DataModel.getDraftTeamCount();
+    const defaultCaptainIds = DataModel.getDefaultCaptainIds();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'selection-fullscreen';
+    overlay.id = 'draft-setup-overlay';
+    overlay.innerHTML = `
+        <div class="draft-overlay-content draft-setup">
+            <h2>Captain Draft</h2>
+            <p>${numTeams} teams. Captains are seated first; the teams then take turns picking one player from each remaining group.</p>
+            <div class="form-group">
+                <label for="draftOrderSelect">Turn Order:</label>
+                <select id="draftOrderSelect">
+                    <option value="snake">Snake (order reverses every round)</option>
+                    <option value="linear">Linear (same order every round)</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="draftPickSeconds">Pick Clock (seconds):</label>
+                <input type="number" id="draftPickSeconds" value="0" min="0" max="600" step="5" aria-describedby="draftPickSecondsHelp">
+                <small id="draftPickSecondsHelp">0 for no clock. When the clock runs out, the pick is made automatically.</small>
+            </div>
+            <div class="form-group">
+                <label for="draftCaptainMode">Captains:</label>
+                <select id="draftCaptainMode">
+                    <option value="default">Top ${numTeams} players of Group ${defaultCaptainIds.length > 0 ? findPlayerGroup(defaultCaptainIds[0]) : 'A'}</option>
+                    <option value="choose">Choose captains</option>
+                </select>
+                <div id="draftCaptainChoices" class="draft-captain-choices" style="display: none;"></div>
+                <small id="draftCaptainCount"></small>
+            </div>
+            <button id="startDraftBtn">Start Draft</button>
+            <button id="cancelDraftSetupBtn">Cancel</button>
+        </div>`;
+    document.body.appendChild(overlay);
+
+    const choices = overlay.querySelector('#draftCaptainChoices');
+    DataModel.getGroupLetters().forEach(letter => {
+        DataModel.getGroupPlayers(letter).forEach(player => {
+            const label = document.createElement('label');
+            label.className = 'draft-captain-choice';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = player.id;
+            checkbox.checked = defaultCaptainIds.includes(player.id);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${letter}: ${formatPlayer(player)}`));
+            choices.appendChild(label);
+        });
+    });
+
+    const updateCaptainCount = () => {
+        const chosen = choices.querySelectorAll('input:checked').length;
+        overlay.querySelector('#draftCaptainCount').textContent = overlay.querySelector('#draftCaptainMode').value === 'choose' ?
+            `${chosen} of ${numTeams} captains chosen.` : '';
+    };
+    overlay.querySelector('#draftCaptainMode').addEventListener('change', (event) => {
+        choices.style.display = event.target.value === 'choose' ? 'flex' : 'none';
+        updateCaptainCount();
+    });
+    choices.addEventListener('change', updateCaptainCount);
+}
+
+/**
+ * Reads the options chosen in the draft setup overlay.
+ * @returns {{order: string, pickSeconds: number, captainIds?: Array<string>}} Options for DataModel.initializeInteractiveDraft.
+ */
+export function getDraftSetupOptions() {
+    const overlay = document.getElementById('draft-setup-overlay');
+    const options = {
+        order: overlay.querySelector('#draftOrderSelect').value,
+        pickSeconds: parseInt(overlay.querySelector('#draftPickSeconds').value) || 0
+    };
+    if (overlay.querySelector('#draftCaptainMode').value === 'choose') {
+        options.captainIds = [...overlay.querySelectorAll('#draftCaptainChoices input:checked')].map(input => input.value);
+    }
+    return options;
+}
+
+/**
+ * Removes the draft setup overlay, if it is open.
+ */
+export function closeDraftSetupUI() {
+    const overlay = document.getElementById('draft-setup-overlay');
+    if (overlay) overlay.remove();
+}
+
+/**
+ * Finds the group a waiting player is in.
+ * @param {string} playerId - The player's ID.
+ * @returns {string|undefined} The group letter.
+ */
+function findPlayerGroup(playerId) {
+    return DataModel.getGroupLetters().find(letter => DataModel.getGroups()[letter].includes(playerId));
+}
+
+/**
+ * Gets the team number and captain name shown for a drafting team.
+ * @param {object} draftState - The draft state.
+ * @param {number} teamIndex - The team's index in the draft.
+ * @returns {string} E.g. "Team 3 (Captain: Smith, Pat)".
+ */
+function describeDraftTeam(draftState, teamIndex) {
+    const captain = DataModel.getPlayerById(draftState.captainIds[teamIndex]);
+    return `Team ${draftState.firstTeamId + teamIndex}${captain ? ` (Captain: ${captain.name})` : ''}`;
+}
+
+/**
+ * Creates and displays the interactive draft overlay: a column per team with its captain,
+ * the players the team on the clock can pick, and the pick log.
  * @param {object} draftState - The initial state of the draft from DataModel.
  */
 export function startInteractiveDraftUI(draftState) {
@@ -667,46 +1821,81 @@ export function startInteractiveDraftUI(draftState) {
     overlay.id = 'interactive-draft-overlay'; 
 
     const title = document.createElement('h2');
-    title.textContent = `Interactive Draft (${draftState.numTeams} Teams)`;
+    title.textContent = `Captain Draft (${draftState.numTeams} Teams, ${draftState.order} order)`;
     overlay.appendChild(title);
 
+    const status = document.createElement('p');
+    status.className = 'draft-status';
+    status.innerHTML = '<span id="draftOnTheClock"></span> <span id="draftClock" class="draft-clock"></span>';
+    overlay.appendChild(status);
+
     const contentDiv = document.createElement('div');
     contentDiv.className = 'draft-overlay-content'; 
     overlay.appendChild(contentDiv);
 
-    for (let i = 0; i < draftState.numTeams; i++) {
-        const teamId = DataModel.getTeams().length + i + 1; 
+    const groupLetters = DataModel.getGroupLetters();
+    for (let i = 0; i < draftState.numTeams; i++) { // Slots filled before a pause are shown when the draft resumes
         const column = document.createElement('div');
         column.className = 'draft-team-column';
         column.id = `draft-team-column-${i}`;
-        column.innerHTML = `<h3>Team ${teamId}</h3>`;
+        column.innerHTML = `<h3>Team ${draftState.firstTeamId + i}</h3>`;
         
-        ['D', 'C', 'B', 'A'].forEach(groupLetter => {
+        groupLetters.forEach((groupLetter, slotIndex) => {
             const slot = document.createElement('div');
             slot.className = 'draft-player-slot';
             slot.id = `draft-slot-team${i}-group${groupLetter}`;
-            slot.textContent = `${groupLetter}: ...`; 
+            const playerId = draftState.draftedTeamsData[i].playerIds[slotIndex];
+            if (playerId) {
+                const isCaptain = draftState.captainIds[i] === playerId; // The captain is seated before the first pick
+                slot.textContent = `${groupLetter}: ${formatPlayer(DataModel.getPlayerById(playerId))}${isCaptain ? ' (C)' : ''}`;
+                slot.classList.add('reveal');
+                if (isCaptain) slot.classList.add('draft-captain-slot');
+            } else {
+                slot.textContent = `${groupLetter}: ...`; 
+            }
             column.appendChild(slot);
         });
         contentDiv.appendChild(column);
     }
 
+    const boardDiv = document.createElement('div');
+    boardDiv.className = 'draft-overlay-content draft-board';
+    boardDiv.innerHTML = `
+        <div class="draft-available">
+            <h3 id="draftAvailableTitle">Available</h3>
+            <div id="draftAvailablePlayers" class="draft-available-players"></div>
+        </div>
+        <div class="draft-log">
+            <h3>Pick Log</h3>
+            <ol id="draftPickLog" class="draft-pick-log"></ol>
+        </div>`;
+    overlay.appendChild(boardDiv);
+
     const controlsDiv = document.createElement('div');
     controlsDiv.style.marginTop = '20px';
     const nextPickButton = document.createElement('button');
     nextPickButton.id = 'nextDraftPickBtn';
-    nextPickButton.textContent = 'Next Pick (D)';
-    // Event listener will be added in AppController
+    nextPickButton.textContent = 'Auto Pick';
+    // Event listeners for the draft buttons are added in AppController
     controlsDiv.appendChild(nextPickButton);
+
+    [['undoDraftPickBtn', 'Undo Pick'], ['redoDraftPickBtn', 'Redo Pick'], ['pauseDraftBtn', 'Pause Draft']].forEach(([id, label]) => {
+        const button = document.createElement('button');
+        button.id = id;
+        button.textContent = label;
+        controlsDiv.appendChild(button);
+    });
+
+    const cancelButton = document.createElement('button');
+    cancelButton.id = 'cancelDraftBtn';
+    cancelButton.textContent = 'Cancel Draft';
+    controlsDiv.appendChild(cancelButton);
     
     const closeButton = document.createElement('button');
     closeButton.id = 'closeDraftOverlayBtn';
     closeButton.textContent = 'Close';
     closeButton.style.display = 'none'; 
-    closeButton.addEventListener('click', () => {
-         const draftOverlay = document.getElementById('interactive-draft-overlay');
-         if (draftOverlay) document.body.removeChild(draftOverlay);
-    });
+    closeButton.addEventListener('click', closeInteractiveDraftUI);
     controlsDiv.appendChild(closeButton);
 
     overlay.appendChild(controlsDiv);
@@ -716,11 +1905,26 @@ export function startInteractiveDraftUI(draftState) {
 }
 
 /**
- * Highlights the current team and slot in the draft UI.
+ * Removes the interactive draft overlay, if it is open.
+ */
+export function closeInteractiveDraftUI() {
+    const draftOverlay = document.getElementById('interactive-draft-overlay');
+    if (draftOverlay) draftOverlay.remove();
+}
+
+/**
+ * Highlights the team on the clock and its open slot, lists the players it can pick
+ * and refreshes the pick log.
  */
 export function displayDraftPickUI() {
     const state = UIState.interactiveDraftState;
-    if (!state || state.currentRoundIndex >= state.draftOrder.length) return; 
+    if (!state) return;
+    renderDraftPickLog(state);
+    const undoButton = document.getElementById('undoDraftPickBtn');
+    if (undoButton) undoButton.disabled = state.pickLog.length === 0;
+    const redoButton = document.getElementById('redoDraftPickBtn');
+    if (redoButton) redoButton.disabled = state.redoPicks.length === 0;
+    if (state.currentRoundIndex >= state.draftOrder.length) return; 
 
     const teamIndex = state.currentTeamIndex;
     const groupLetter = state.draftOrder[state.currentRoundIndex];
@@ -734,15 +1938,58 @@ export function displayDraftPickUI() {
     if (currentColumn) currentColumn.classList.add('selecting');
     if (currentSlot) currentSlot.classList.add('selecting');
 
-    const nextPickButton = document.getElementById('nextDraftPickBtn');
-    if (nextPickButton) {
-         nextPickButton.textContent = `Pick Team ${DataModel.getTeams().length + teamIndex + 1} - Group ${groupLetter}`;
+    const onTheClock = document.getElementById('draftOnTheClock');
+    if (onTheClock) {
+        onTheClock.textContent = `Round ${state.currentRoundIndex + 1}: ${describeDraftTeam(state, teamIndex)} picks from Group ${groupLetter}.`;
+    }
+    const availableTitle = document.getElementById('draftAvailableTitle');
+    if (availableTitle) availableTitle.textContent = `Available in Group ${groupLetter}`;
+    const availableList = document.getElementById('draftAvailablePlayers');
+    if (availableList) {
+        availableList.innerHTML = '';
+        state.availableGroups[groupLetter].map(DataModel.getPlayerById).forEach(player => {
+            const button = document.createElement('button');
+            button.className = 'draft-pick-btn';
+            button.setAttribute('data-player-id', player.id);
+            button.textContent = formatPlayer(player);
+            button.setAttribute('aria-label', `Pick ${player.name} for Team ${state.firstTeamId + teamIndex}`);
+            availableList.appendChild(button);
+        });
     }
 }
 
+/**
+ * Lists every pick made so far in the draft overlay's pick log.
+ * @param {object} state - The draft state.
+ */
+function renderDraftPickLog(state) {
+    const log = document.getElementById('draftPickLog');
+    if (!log) return;
+    log.innerHTML = '';
+    state.pickLog.forEach(entry => {
+        const item = document.createElement('li');
+        const player = DataModel.getPlayerById(entry.playerId);
+        item.textContent = `Round ${entry.round}: ${describeDraftTeam(state, entry.teamIndex)} - ` +
+            `${entry.groupLetter}: ${player ? player.name : 'Unknown player'}${DRAFT_PICK_METHOD_LABELS[entry.method] || ''}`;
+        log.appendChild(item);
+    });
+    log.scrollTop = log.scrollHeight;
+}
+
+/**
+ * Shows the seconds left on the pick clock.
+ * @param {number|null} secondsLeft - Seconds left, or null to hide the clock.
+ */
+export function updateDraftClock(secondsLeft) {
+    const clock = document.getElementById('draftClock');
+    if (!clock) return;
+    clock.textContent = secondsLeft === null ? '' : `${secondsLeft}s left`;
+    clock.classList.toggle('draft-clock-low', secondsLeft !== null && secondsLeft <= 5);
+}
+
 /**
  * Updates the draft UI after a pick has been made.
- * @param {object} pickResult - The result object from DataModel.makeInteractiveDraftPick.
+ * @param {object} pickResult - The result object from DataModel.makeCaptainPick or makeInteractiveDraftPick.
  */
 export function updateDraftPickUI(pickResult) {
      const state = UIState.interactiveDraftState; // Get current UI state
@@ -752,7 +1999,7 @@ export function updateDraftPickUI(pickResult) {
      
      const slotElement = document.getElementById(`draft-slot-team${teamIndex}-group${groupLetter}`);
      if (player && slotElement) {
-         slotElement.textContent = `${groupLetter}: ${player.name} (${player.displayHandicap})`;
+         slotElement.textContent = `${groupLetter}: ${formatPlayer(player)}`;
          slotElement.classList.add('reveal');
          slotElement.classList.remove('selecting'); 
      }
@@ -760,19 +2007,180 @@ export function updateDraftPickUI(pickResult) {
      const columnElement = document.getElementById(`draft-team-column-${teamIndex}`);
      if(columnElement) columnElement.classList.remove('selecting');
 
+     // Update UI state with the *new* state returned from the pick
+     UIState.interactiveDraftState = pickResult.updatedState; 
+     displayDraftPickUI(); // Highlight the *next* pick and log this one
+
      if (isDraftComplete) {
-         const nextPickButton = document.getElementById('nextDraftPickBtn');
+         updateDraftClock(null);
+         ['nextDraftPickBtn', 'cancelDraftBtn', 'undoDraftPickBtn', 'redoDraftPickBtn', 'pauseDraftBtn'].forEach(id => {
+             const button = document.getElementById(id);
+             if (button) button.style.display = 'none';
+         });
+         const onTheClock = document.getElementById('draftOnTheClock');
+         if (onTheClock) onTheClock.textContent = 'Draft complete.';
+         const availableList = document.getElementById('draftAvailablePlayers');
+         if (availableList) availableList.innerHTML = '';
          const closeButton = document.getElementById('closeDraftOverlayBtn');
-         if(nextPickButton) nextPickButton.style.display = 'none';
          if(closeButton) closeButton.style.display = 'block';
          showError("Draft Complete!");
-     } else {
-         // Update UI state with the *new* state returned from the pick
-         UIState.interactiveDraftState = pickResult.updatedState; 
-         displayDraftPickUI(); // Highlight the *next* pick
      }
 }
 
+/**
+ * Updates the draft UI after a pick has been taken back: the slot is emptied again
+ * and the player returns to the available list.
+ * @param {object} undoResult - The result object from DataModel.undoDraftPick.
+ */
+export function undoDraftPickUI(undoResult) {
+    if (!undoResult || !undoResult.success) return;
+    const { teamIndex, groupLetter } = undoResult;
+    const slotElement = document.getElementById(`draft-slot-team${teamIndex}-group${groupLetter}`);
+    if (slotElement) {
+        slotElement.textContent = `${groupLetter}: ...`;
+        slotElement.classList.remove('reveal');
+    }
+    UIState.interactiveDraftState = undoResult.updatedState;
+    displayDraftPickUI();
+}
+
+/**
+ * Labels the draft button "Resume Draft" while a draft is paused.
+ */
+export function displayDraftButton() {
+    const paused = DataModel.getInteractiveDraftState() !== null && !document.getElementById('interactive-draft-overlay');
+    DOMElements.draftStyleSelectBtn.textContent = paused ? 'Resume Draft' : 'Captain Draft';
+    DOMElements.draftStyleSelectBtn.setAttribute('aria-label', paused ? 'Resume the paused captain draft' : 'Captain draft team selection');
+}
+
+/**
+ * Shows the name of the open event.
+ */
+export function displayCurrentEvent() {
+    DOMElements.currentEventName.textContent = UIState.currentEvent ? UIState.currentEvent.name : 'Not saved';
+    document.title = UIState.currentEvent ? `${UIState.currentEvent.name} - Golf Team Selector` : 'Golf Team Selector & Tee Assignment';
+}
+
+/**
+ * Lists the saved events in the event library, with actions for each one.
+ * The open event cannot be opened again or deleted.
+ * @param {Array<object>} events - Event summaries from EventLibrary.listEvents.
+ */
+export function displayEventLibrary(events) {
+    const currentEventId = UIState.currentEvent ? UIState.currentEvent.id : null;
+    DOMElements.eventList.innerHTML = '';
+    if (events.length === 0) {
+        DOMElements.eventList.innerHTML = '<tr><td colspan="6">No saved events yet.</td></tr>';
+        return;
+    }
+    events.forEach(event => {
+        const row = DOMElements.eventList.insertRow();
+        row.setAttribute('data-event-id', event.id);
+        const isOpen = event.id === currentEventId;
+        if (isOpen) row.className = 'event-open';
+        row.insertCell().textContent = isOpen ? `${event.name} (open)` : event.name;
+        row.insertCell().textContent = event.eventDate;
+        row.insertCell().textContent = event.playerCount;
+        row.insertCell().textContent = event.teamCount;
+        row.insertCell().textContent = new Date(event.updatedAt).toLocaleString();
+        const actions = row.insertCell();
+        [['open', 'Open'], ['rename', 'Rename'], ['duplicate', 'Duplicate'], ['export', 'Export'], ['delete', 'Delete']].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.className = 'event-action-btn';
+            button.setAttribute('data-event-action', action);
+            button.setAttribute('aria-label', `${label} ${event.name}`);
+            button.textContent = label;
+            button.disabled = isOpen && (action === 'open' || action === 'delete');
+            actions.appendChild(button);
+        });
+        // Click listeners are added in AppController (event delegation)
+    });
+}
+
+/**
+ * Shows the event library.
+ */
+export function showEventLibrary() {
+    DOMElements.eventLibraryOverlay.style.display = 'flex';
+    DOMElements.eventLibraryStatus.textContent = '';
+    DOMElements.newEventName.value = '';
+    DOMElements.newEventName.focus();
+}
+
+/**
+ * Shows a message in the event library, which covers the page's message area, with an optional
+ * list of details such as the problems found in an event file. Long lists are cut short.
+ * @param {string} message - The message.
+ * @param {Array<string>} [details=[]] - Details listed below the message.
+ */
+export function showEventLibraryMessage(message, details = []) {
+    DOMElements.eventLibraryStatus.textContent = message;
+    if (details.length === 0) return;
+    const list = document.createElement('ul');
+    details.slice(0, MAX_LISTED_DETAILS).forEach(detail => {
+        const item = document.createElement('li');
+        item.textContent = detail;
+        list.appendChild(item);
+    });
+    if (details.length > MAX_LISTED_DETAILS) {
+        const item = document.createElement('li');
+        item.textContent = `...and ${details.length - MAX_LISTED_DETAILS} more.`;
+        list.appendChild(item);
+    }
+    DOMElements.eventLibraryStatus.appendChild(list);
+}
+
+/**
+ * Hides the event library.
+ */
+export function closeEventLibrary() {
+    DOMElements.eventLibraryOverlay.style.display = 'none';
+}
+
+/**
+ * Shows the undo history: undo and redo buttons, and the history panel's list of changes.
+ * Changes run oldest first, with undone changes after the current state.
+ * @param {{undo: Array<{label: string, time: number}>, redo: Array<{label: string, time: number}>}} history - From DataModel.getHistory.
+ */
+export function displayHistory(history) {
+    const lastUndo = history.undo[history.undo.length - 1];
+    const nextRedo = history.redo[history.redo.length - 1];
+    DOMElements.undoButton.disabled = !lastUndo;
+    DOMElements.undoButton.title = lastUndo ? `Undo: ${lastUndo.label}` : 'Nothing to undo';
+    DOMElements.redoButton.disabled = !nextRedo;
+    DOMElements.redoButton.title = nextRedo ? `Redo: ${nextRedo.label}` : 'Nothing to redo';
+
+    const formatTime = time => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    const addStep = (step, action, steps, className) => {
+        const item = document.createElement('li');
+        item.className = className;
+        const button = document.createElement('button');
+        button.setAttribute('data-history-action', action);
+        button.setAttribute('data-history-steps', steps);
+        button.textContent = `${step.label} (${formatTime(step.time)})`;
+        button.setAttribute('aria-label', action === 'undo' ? `Undo back to before ${step.label}` : `Redo up to ${step.label}`);
+        item.appendChild(button);
+        DOMElements.historyList.appendChild(item);
+    };
+
+    DOMElements.historyList.innerHTML = '';
+    history.undo.forEach((step, index) => addStep(step, 'undo', history.undo.length - index, 'history-step'));
+    const current = document.createElement('li');
+    current.className = 'history-current';
+    current.textContent = history.undo.length === 0 && history.redo.length === 0 ? 'No changes yet.' : 'Current state';
+    DOMElements.historyList.appendChild(current);
+    [...history.redo].reverse().forEach((step, index) => addStep(step, 'redo', index + 1, 'history-step history-undone'));
+}
+
+/**
+ * Opens or closes the history panel.
+ */
+export function toggleHistoryPanel() {
+    const open = DOMElements.historyPanel.style.display === 'none';
+    DOMElements.historyPanel.style.display = open ? 'block' : 'none';
+    DOMElements.historyButton.setAttribute('aria-expanded', open);
+}
+
 /**
  * Validates the player name input field and provides UI feedback.
  */
@@ -818,3 +2226,27 @@ export function validateHandicapInputUI() {
      }
      return validationResult.valid; 
 }
+
+/**
+ * Validates the inputs of the player edit row and provides UI feedback.
+ * @param {HTMLElement} item - The player list row being edited.
+ * @param {{name?: string, handicap?: string}} [errors] - Errors returned by DataModel.updatePlayer;
+ *        the inputs are validated directly when omitted.
+ * @returns {boolean} True if both inputs are valid.
+ */
+export function validatePlayerEditUI(item, errors) {
+    const nameInput = item.querySelector('.edit-player-name');
+    const handicapInput = item.querySelector('.edit-player-handicap');
+    if (!nameInput || !handicapInput) return false;
+    if (!errors) {
+        const nameResult = DataModel.validatePlayerName(nameInput.value);
+        const handicapResult = DataModel.validateHandicap(handicapInput.value);
+        errors = {
+            name: nameResult.valid ? null : nameResult.message,
+            handicap: handicapResult.valid ? null : handicapResult.message
+        };
+    }
+    showPlayerEditFeedback(nameInput, item.querySelector('.edit-name-validation'), errors.name);
+    showPlayerEditFeedback(handicapInput, item.querySelector('.edit-handicap-validation'), errors.handicap);
+    return !errors.name && !errors.handicap;
+}